@@ -1,86 +1,181 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createDataSource } from './api';
+import { isArchived, DEFAULT_BOARD_ID, boardDisplayName } from './api/boards';
+import { LIVE_STATUS } from './api/liveChannel';
+import { applyLeaderboardEvent, USER_CREATED, USER_UPDATED, POINTS_CLAIMED, USER_DELETED, SCORES_RESET, USERS_CLEARED } from './utils/leaderboardEvents';
+import { resolveEndpoint, saveEndpoint, clearQueryOverride, getBuildEndpoint, isLocalEndpoint } from './api/config';
+import ApiSettingsModal from './components/ApiSettingsModal';
+import PlayerProfile from './components/PlayerProfile';
+import MissingPlayerProfile from './components/MissingPlayerProfile';
+import { applyPendingClaims } from './utils/pendingClaims';
+import useUndoableActions, { UNDO_WINDOW_MS } from './hooks/useUndoableActions';
+import useBoards from './hooks/useBoards';
+import BoardsModal from './components/BoardsModal';
+import RankingsTable from './components/RankingsTable';
+import PlayerCombobox from './components/PlayerCombobox';
+import { fuzzyMatch } from './utils/fuzzy';
+import useTableSettings from './hooks/useTableSettings';
+import usePodiumSettings from './hooks/usePodiumSettings';
+import useRankBaseline, { RANK_BASELINES } from './hooks/useRankBaseline';
+import { getRankMovement, diffTopPlaces } from './utils/rankMovement';
+import usePrefersReducedMotion from './hooks/usePrefersReducedMotion';
+import useExitingItems from './hooks/useExitingItems';
+import { MOVE_DURATION_MS } from './hooks/useFlipAnimation';
+import ColumnPicker from './components/ColumnPicker';
+import RankingPicker from './components/RankingPicker';
+import PodiumPicker from './components/PodiumPicker';
+import { sortRows, nextSort, isKnownSort, DEFAULT_SORT } from './components/rankingsColumns';
+import { rankUsers } from './utils/ranking';
+import Podium from './components/Podium';
+import PrintReport from './components/PrintReport';
+import ImportPlayersModal from './components/ImportPlayersModal';
+import AdminPanel from './components/AdminPanel';
+import AuditLogModal from './components/AuditLogModal';
+import TeamStandings from './components/TeamStandings';
+import TeamsModal from './components/TeamsModal';
+import useRoute from './hooks/useRoute';
+import { PAGES, encodeSort, decodeSort } from './utils/routes';
+import useAuth from './hooks/useAuth';
+import LoginModal from './components/LoginModal';
+import { PERMISSIONS } from './utils/permissions';
+import { AUDIT_ACTIONS, createAuditEntry } from './utils/auditLog';
+import { listTeamNames, filterByTeam, rankTeams } from './utils/teams';
+import { AUTH_PROVIDER_KINDS } from './api/auth';
+import { rankingsToCsv, rankingsToJson, exportFileName, downloadFile, fetchAllUsers } from './utils/exportRankings';
+import useI18n from './hooks/useI18n';
+import Trans from './components/Trans';
+import LanguagePicker from './components/LanguagePicker';
+import useThemeMode from './hooks/useThemeMode';
+import useBrandTheme from './hooks/useBrandTheme';
+import ThemePicker from './components/ThemePicker';
+import BrandingModal from './components/BrandingModal';
+import { themeVariables, toCssDeclarations } from './utils/theme';
+import DialogHost from './components/DialogHost';
+import DeletePlayerModal from './components/DeletePlayerModal';
+import useDialogs from './hooks/useDialogs';
+import Menu from './components/Menu';
+import LiveRegion from './components/LiveRegion';
+import useAnnouncer from './hooks/useAnnouncer';
+import useClaimSummaries from './hooks/useClaimSummaries';
+import useNotifications from './hooks/useNotifications';
+import ToastStack from './components/ToastStack';
+import NotificationDrawer from './components/NotificationDrawer';
+import { NOTIFICATION_LEVELS } from './utils/notifications';
 
-// The base URL for all API requests
-const API_URL = 'https://leaderboard-backend-lceg.onrender.com/api';
-
-// --- COMPONENTS ---
-
-/**
- * A component to display the top 3 users in a sports-style podium.
- * @param {{topUsers: Array}} props - The top 3 users.
- */
-const Podium = ({ topUsers }) => {
-    // This array reorders the users to display them as 2nd, 1st, 3rd visually
-    const podiumOrder = [1, 0, 2];
-    const podiumUsers = podiumOrder.map(index => topUsers[index]).filter(Boolean);
-
-    return (
-        <div className="podium-container">
-            {podiumUsers.map((user) => (
-                <div key={user._id} className={`podium-step rank-${user.rank}`}>
-                    <div className="podium-rank">{user.rank}</div>
-                    <div className="podium-name">{user.name}</div>
-                    <div className="podium-points">{user.points} pts</div>
-                </div>
-            ))}
-        </div>
-    );
-};
+// How many players to request at a time from backends that support paging
+const PAGE_SIZE = 100;
 
 /**
  * The main application component that manages all state and logic.
  */
 function App() {
   // --- STATE MANAGEMENT ---
+  // Messages and number formats in the viewer's language; see i18n/translate.js
+  const { t, formatNumber, formatDate, formatOrdinal } = useI18n();
   const [users, setUsers] = useState([]);
-  const [selectedUserId, setSelectedUserId] = useState('');
-  const [newUserName, setNewUserName] = useState('');
-  const [message, setMessage] = useState('');
+  // The page and view state in the address bar; see utils/routes.js
+  const { route, navigate } = useRoute();
+  // What the app tells the viewer, as toasts and in the history drawer; see utils/notifications.js
+  const {
+    toasts, history: notificationHistory, unreadCount, notify, dismiss: dismissToast, dismissActionToasts, markHistoryRead,
+  } = useNotifications();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // The backend currently in use; see api/config.js for how it is resolved
+  const [endpoint, setEndpoint] = useState(resolveEndpoint);
+  const apiUrl = endpoint.url;
+  // Who is signed in for this endpoint and what their role may do; see hooks/useAuth.js
+  const auth = useAuth(endpoint);
+  const { can, getToken, handleUnauthorized, token: sessionToken } = auth;
+  // The boards (leaderboards or seasons) known for this endpoint, and the one being shown (a ?board= link wins)
+  const { boards, activeBoard, switchBoard, addBoard, archiveActiveBoard, rememberBoard } = useBoards(apiUrl, route.query.board);
+  const isReadOnly = isArchived(activeBoard);
+  const activeBoardName = boardDisplayName(activeBoard, t);
+  // Remote API, the in-browser stand-in or an archived snapshot, scoped to the active board
+  const dataSource = useMemo(
+    () => createDataSource(endpoint, activeBoard, { getToken, onUnauthorized: handleUnauthorized }),
+    [endpoint, activeBoard, getToken, handleUnauthorized]
+  );
+  const [liveStatus, setLiveStatus] = useState(LIVE_STATUS.CONNECTING);
+
+  // Dialogs (pop-ups) are opened by type and drawn by the DialogHost below; see dialogs/dialogStack.js
+  const { openDialog, closeDialog } = useDialogs();
+  // The standings shown in the printable report, when it is open
+  const [printReport, setPrintReport] = useState(null);
+  // News for screen readers that has no message of its own, such as rank changes
+  const { announcement, announce } = useAnnouncer();
+  // Claims sent to the server but not answered yet; their rows are marked as waiting
+  const [pendingClaims, setPendingClaims] = useState([]);
+  const nextClaimId = useRef(0);
+  // Deletes and resets waiting out their undo window
+  const { pendingActions, scheduleAction, commitAction, undoAction } = useUndoableActions();
+  // Only the ones asked for on the board (and endpoint) being shown
+  const boardActions = useMemo(() => pendingActions.filter(action => action.dataSource === dataSource), [pendingActions, dataSource]);
+  // Text typed into the rankings filter (kept in the URL as ?q=)
+  const tableFilter = route.query.q || '';
+  // Which table columns are shown and how rows are sorted; remembered between sessions, though a ?sort= link wins
+  const {
+    columns, optionalColumns, toggleColumn, sort: savedSort, setSort, rankBaseline, setRankBaseline, ranking, setRanking, teamScoring, setTeamScoring,
+  } = useTableSettings();
+  const sortFromUrl = decodeSort(route.query.sort);
+  const sort = isKnownSort(sortFromUrl) ? sortFromUrl : savedSort;
+  // How the podium looks (places, layout, extras); every board remembers its own
+  const { settings: podiumSettings, updateSettings: updatePodiumSettings } = usePodiumSettings(`leaderboard.podium.${apiUrl}.${activeBoard.id}`);
+  // Light, dark or high contrast (or whatever the system prefers), with the board's own colors, logo and title on top
+  const { mode: themeMode, preset: themePreset, setMode: setThemeMode } = useThemeMode();
+  const { brand, setBrand } = useBrandTheme(`leaderboard.brand.${apiUrl}.${activeBoard.id}`);
+  const themeCss = useMemo(() => toCssDeclarations(themeVariables(themePreset, brand)), [themePreset, brand]);
+  const appTitle = brand.title || t('app.title');
+  // The player whose profile panel is open, if any (the /players/:id route)
+  const profileUserId = route.page === PAGES.PLAYER ? route.playerId : null;
 
-  // State for managing the visibility of various modals (pop-ups)
-  const [isClearScoresModalOpen, setIsClearScoresModalOpen] = useState(false);
-  const [isClearUsersModalOpen, setIsClearUsersModalOpen] = useState(false);
-  const [isAddUserModalOpen, setIsAddUserModalOpen] = useState(false);
-  const [isDeleteUserModalOpen, setIsDeleteUserModalOpen] = useState(false);
-  const [userToDelete, setUserToDelete] = useState(null);
-  // State for the new actions dropdown menu
-  const [isActionsMenuOpen, setIsActionsMenuOpen] = useState(false);
+  // Paging: the cursor of the next page (null once everything is loaded) and the total reported by the server
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalUsers, setTotalUsers] = useState(0);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // How many players the whole board has, loaded or not
+  const boardPlayerCount = nextCursor ? Math.max(totalUsers, users.length) : users.length;
+
+  // Lets callbacks read the latest users without re-creating them on every change
+  const usersRef = useRef(users);
+  usersRef.current = users;
+  const nextCursorRef = useRef(nextCursor);
+  nextCursorRef.current = nextCursor;
+  const dataSourceRef = useRef(dataSource);
+  dataSourceRef.current = dataSource;
 
   // --- API & DATA FUNCTIONS ---
 
   /**
-   * Fetches the list of all users from the backend API.
+   * Fetches the first page of users (all of them, if the backend does not page) from the active data source.
+   * A background fetch leaves the table on screen, reloads as many rows as are already shown,
+   * and keeps quiet about failures.
    */
-  const fetchUsers = useCallback(async () => {
-    setIsLoading(true);
-    setError(null);
+  const fetchUsers = useCallback(async ({ background = false } = {}) => {
+    if (!background) {
+      setIsLoading(true);
+      setError(null);
+    }
     try {
-      const response = await axios.get(`${API_URL}/users`);
-      setUsers(response.data);
-      if (response.data.length > 0) {
-        setSelectedUserId(prevId => {
-            if (!prevId || !response.data.find(u => u._id === prevId)) {
-                return response.data[0]._id;
-            }
-            return prevId;
-        });
-      } else {
-        setSelectedUserId('');
-      }
+      const limit = background ? Math.max(PAGE_SIZE, usersRef.current.length) : PAGE_SIZE;
+      const page = await dataSource.listUsersPage({ limit });
+      setUsers(page.users);
+      setNextCursor(page.nextCursor);
+      setTotalUsers(page.total);
+      // A board opened from a link is only kept in the board list once it turns out to exist
+      rememberBoard(activeBoard.id);
     } catch (err) {
       console.error('Error fetching users:', err);
+      if (background) return;
       if (err.message === 'Network Error') {
-        setError('Network Error: Cannot connect to the server. Please make sure your Node.js backend is running on port 5000 and there are no errors in its terminal.');
+        setError(t('errors.cannotConnect', { url: apiUrl }));
       } else {
-        setError(`An error occurred: ${err.message}`);
+        setError(t('errors.generic', { message: err.message }));
       }
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [dataSource, apiUrl, t, rememberBoard, activeBoard.id]);
 
   /**
    * An effect hook that runs once when the component first mounts.
@@ -89,6 +184,63 @@ function App() {
     fetchUsers();
   }, [fetchUsers]);
 
+  /**
+   * Appends the next page of users, when the backend pages its results.
+   */
+  const loadMoreUsers = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    setIsLoadingMore(true);
+    try {
+      const page = await dataSource.listUsersPage({ cursor: nextCursor, limit: PAGE_SIZE });
+      setUsers(prevUsers => {
+        const knownIds = new Set(prevUsers.map(u => u._id));
+        return rankUsers([...prevUsers, ...page.users.filter(u => !knownIds.has(u._id))]);
+      });
+      setNextCursor(page.nextCursor);
+      setTotalUsers(page.total);
+    } catch (err) {
+      console.error('Error loading more users:', err);
+      notify(NOTIFICATION_LEVELS.ERROR, t('errors.loadMore'));
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [dataSource, nextCursor, isLoadingMore, t, notify]);
+
+  /**
+   * Adds an entry to the audit log for a change this browser has made, in the signed-in user's name.
+   */
+  const recordAudit = useCallback((action, players, details) => {
+    dataSource.recordAudit(createAuditEntry({ action, actor: auth.user, players, details }));
+  }, [dataSource, auth.user]);
+
+  /**
+   * Patches the users list with a single change instead of refetching everything.
+   * Claims are also handed to the data source so they end up in the player's history.
+   */
+  const applyEvent = useCallback((event) => {
+    if (event.type === POINTS_CLAIMED && event.user) {
+      const rankAfter = applyLeaderboardEvent(usersRef.current, event).find(u => u._id === event.user._id)?.rank;
+      dataSource.recordClaim(event.user._id, { points: event.pointsClaimed, totalAfter: event.user.points, rankAfter });
+    }
+    // With only the top pages loaded, a reset scrambles the order beyond what events can describe
+    const isPartial = Boolean(nextCursorRef.current);
+    if (isPartial && event.type === SCORES_RESET) {
+      fetchUsers({ background: true });
+      return;
+    }
+    setUsers(prevUsers => applyLeaderboardEvent(prevUsers, event, { isPartial }));
+  }, [dataSource, fetchUsers]);
+
+  /**
+   * Subscribes to changes made by other people (or other tabs) for as long as the data source is in use.
+   * The stream is opened again when the session changes, since it carries the token it was opened with.
+   */
+  useEffect(() => dataSource.subscribe({
+    onEvent: applyEvent,
+    onStatus: setLiveStatus,
+    onResync: () => fetchUsers({ background: true }),
+  }), [dataSource, applyEvent, fetchUsers, sessionToken]);
+
   /**
    * --- NEW ---
    * Generates 10 random users and adds them to the database in parallel.
@@ -98,151 +250,609 @@ function App() {
       const adjectives = ['Swift', 'Silent', 'Golden', 'Iron', 'Cosmic', 'Shadow', 'Crystal', 'Solar', 'Lunar', 'Crimson', 'Azure', 'Jade'];
       const nouns = ['Jaguar', 'Phoenix', 'Spectre', 'Golem', 'Voyager', 'Ninja', 'Dragon', 'Flare', 'Hunter', 'Warden', 'Knight', 'Sorcerer'];
       let createdCount = 0;
+      const names = [];
       const promises = [];
+      // Why each failed player could not be created, kept in the notification history
+      const failures = [];
 
       for (let i = 0; i < 10; i++) {
           const name = `${adjectives[Math.floor(Math.random() * adjectives.length)]} ${nouns[Math.floor(Math.random() * nouns.length)]}`;
+          names.push(name);
           // Add the API call promise to an array. We don't 'await' here.
-          promises.push(axios.post(`${API_URL}/users`, { name, points: 0 }));
+          promises.push(dataSource.createUser({ name, points: 0 }));
       }
 
       try {
           // Promise.allSettled waits for all promises to either fulfill or reject.
           // This is more efficient than awaiting each request in a loop.
           const results = await Promise.allSettled(promises);
-          results.forEach(result => {
+          results.forEach((result, index) => {
               if (result.status === 'fulfilled') {
                   createdCount++;
+                  applyEvent({ type: USER_CREATED, user: result.value });
               } else {
                   // Log errors for any requests that failed (e.g., duplicate name)
-                  console.error(`Could not create a random user:`, result.reason?.response?.data?.message);
+                  const reason = result.reason?.response?.data?.message || result.reason?.message;
+                  console.error(`Could not create a random user:`, reason);
+                  failures.push(t('notifications.failedFor', { name: names[index], reason }));
               }
           });
 
           if (createdCount > 0) {
-              setMessage(`Generated ${createdCount} new random players!`);
-              fetchUsers(); // Refresh the user list after creation is complete
+              recordAudit(AUDIT_ACTIONS.GENERATE, results.filter(r => r.status === 'fulfilled').map(r => r.value));
+          }
+          if (failures.length === 0) {
+              notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.generated', { count: createdCount }));
+          } else if (createdCount > 0) {
+              notify(NOTIFICATION_LEVELS.WARNING, t('messages.generatedPartly', { count: createdCount, total: results.length }), { details: failures });
           } else {
-              setMessage('Failed to generate new users. They might already exist.');
+              notify(NOTIFICATION_LEVELS.ERROR, t('messages.generateFailed'), { details: failures });
           }
       } catch (err) {
-          setError('An error occurred while generating users.');
+          notify(NOTIFICATION_LEVELS.ERROR, t('errors.generate'));
       } finally {
           setIsLoading(false);
       }
-  }, [fetchUsers]);
+  }, [applyEvent, dataSource, recordAudit, t, notify]);
 
 
   /**
-   * Handles the submission of the "Add User" form.
+   * Adds a player. Rejects after reporting a failure, so the name dialog stays open to try again.
    */
-  const handleAddUser = async (e) => {
-    e.preventDefault();
-    if (!newUserName.trim()) return;
+  const addUser = async (name) => {
     try {
-      const response = await axios.post(`${API_URL}/users`, { name: newUserName });
-      setMessage(`User "${response.data.name}" added successfully!`);
-      setNewUserName('');
-      setIsAddUserModalOpen(false);
-      fetchUsers();
+      const createdUser = await dataSource.createUser({ name });
+      recordAudit(AUDIT_ACTIONS.ADD, [createdUser]);
+      notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.userAdded', { name: createdUser.name }));
+      applyEvent({ type: USER_CREATED, user: createdUser });
     } catch (err) {
       console.error('Error adding user:', err);
-      const errorMessage = err.response?.data?.message || (err.message === 'Network Error' ? 'Network Error: Check server connection.' : 'Failed to add user.');
-      setMessage(`Error: ${errorMessage}`);
+      const errorMessage = err.response?.data?.message || (err.message === 'Network Error' ? t('errors.network') : t('errors.addUser'));
+      notify(NOTIFICATION_LEVELS.ERROR, t('errors.withReason', { message: errorMessage }));
+      throw err;
+    }
+  };
+
+  /**
+   * Asks for a new player's name and adds them.
+   */
+  const openAddUser = () => openDialog('prompt', {
+    title: t('addPlayer.title'),
+    label: t('addPlayer.nameLabel'),
+    placeholder: t('addPlayer.placeholder'),
+    submitLabel: t('addPlayer.submit'),
+    onSubmit: addUser,
+  });
+
+  /**
+   * Claims points for a player.
+   * The row is marked as waiting straight away; its points and rank change once the server's numbers
+   * arrive, and the mark goes again if the request fails.
+   */
+  const claimPointsFor = async (userId) => {
+    const claim = { id: nextClaimId.current++, userId };
+    const userName = users.find(u => u._id === userId)?.name;
+    setPendingClaims(prev => [...prev, claim]);
+    try {
+      const { updatedUser, pointsClaimed } = await dataSource.claimPoints(claim.userId);
+      recordAudit(AUDIT_ACTIONS.CLAIM, [updatedUser], { points: pointsClaimed });
+      notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.claimed', { count: pointsClaimed, name: updatedUser.name }));
+      applyEvent({ type: POINTS_CLAIMED, user: updatedUser, pointsClaimed });
+    } catch (err) {
+      console.error('Error claiming points:', err);
+      const reason = err.message === 'Network Error' ? t('errors.network') : t('errors.claim', { name: userName });
+      notify(NOTIFICATION_LEVELS.ERROR, t('errors.claimRolledBack', { reason }), {
+        action: { label: t('notifications.retry'), onAction: () => claimPointsFor(userId) },
+      });
+    } finally {
+      setPendingClaims(prev => prev.filter(c => c.id !== claim.id));
     }
   };
 
   /**
    * Handles the "Claim Points" button click for the selected user.
    */
-  const handleClaimPoints = async () => {
+  const handleClaimPoints = () => {
     if (!selectedUserId) {
-      setMessage('Please select a user first.');
+      notify(NOTIFICATION_LEVELS.INFO, t('messages.selectUser'));
       return;
     }
+    claimPointsFor(selectedUserId);
+  };
+
+  /**
+   * Moves a player to a team, or out of their team when `team` is null.
+   */
+  const handleAssignTeam = async (user, team) => {
     try {
-      const response = await axios.post(`${API_URL}/users/${selectedUserId}/claim`);
-      const { updatedUser, pointsClaimed } = response.data;
-      setMessage(`🎉 You claimed ${pointsClaimed} points for ${updatedUser.name}!`);
-      fetchUsers();
+      const updatedUser = await dataSource.setUserTeam(user._id, team);
+      applyEvent({ type: USER_UPDATED, user: updatedUser });
+      recordAudit(AUDIT_ACTIONS.TEAM, [updatedUser], { team: team || null });
+      const previousTeam = user.team || null;
+      notify(
+        NOTIFICATION_LEVELS.SUCCESS,
+        team ? t('messages.teamJoined', { name: updatedUser.name, team }) : t('messages.teamLeft', { name: updatedUser.name }),
+        { action: { label: t('undo.undo'), onAction: () => handleAssignTeam(updatedUser, previousTeam) } }
+      );
     } catch (err) {
-      console.error('Error claiming points:', err);
-      setMessage(err.message === 'Network Error' ? 'Network Error: Check server connection.' : 'Failed to claim points.');
+      console.error('Error assigning a team:', err);
+      notify(NOTIFICATION_LEVELS.ERROR, err.message === 'Network Error' ? t('errors.network') : t('errors.assignTeam', { name: user.name }), {
+        action: { label: t('notifications.retry'), onAction: () => handleAssignTeam(user, team) },
+      });
     }
   };
 
   /**
-   * Handles the final confirmation to clear all user scores.
+   * Runs a destructive action after the undo window has passed. Until then its effect is only
+   * simulated on screen, so pressing Undo needs no request at all.
+   * The window is the time on screen of a toast offering Undo: it only runs while that toast is shown and the
+   * toasts are not hovered or focused, and closing the toast ends it early. Once the action has really happened,
+   * a second toast says so and the audit entry is recorded.
+   * An action belongs to the board it was asked on: it is only shown there, and its audit entry goes to that
+   * board's log even when another board has been opened in the meantime.
+   * @param {{label: string, committedMessage: string, event: object, commit: Function, failureMessage: string,
+   *   audit: {action: string, players: Array, playerCount?: number}}} action
+   *   `label` is the toast during the undo window, `committedMessage` the one after.
+   */
+  const scheduleUndoable = (action) => {
+    const { label, committedMessage, event, commit, failureMessage, audit } = action;
+    const origin = dataSource;
+    const id = scheduleAction({
+      label,
+      event,
+      commit,
+      commitOnUnload: () => origin.sendOnUnload(event),
+      boardId: activeBoard.id,
+      dataSource: origin,
+      onCommitted: () => {
+        if (dataSourceRef.current === origin) applyEvent(event);
+        origin.recordAudit(createAuditEntry({ ...audit, actor: auth.user }));
+        notify(NOTIFICATION_LEVELS.SUCCESS, committedMessage);
+      },
+      onFailed: (err) => {
+        console.error(failureMessage, err);
+        // Retrying starts a new undo window, as the action is hidden from the board again until it is sent
+        notify(NOTIFICATION_LEVELS.ERROR, err.message === 'Network Error' ? t('errors.network') : failureMessage, {
+          action: { label: t('notifications.retry'), onAction: () => scheduleUndoable(action) },
+        });
+      },
+    });
+    notify(NOTIFICATION_LEVELS.INFO, label, {
+      duration: UNDO_WINDOW_MS,
+      action: { label: t('undo.undo'), onAction: () => undoAction(id) },
+      onClose: () => commitAction(id),
+    });
+  };
+
+  /**
+   * Resets every score once confirmed.
    */
   const handleClearAllScores = async () => {
+    const confirmed = await openDialog('confirm', {
+      title: t('resetScores.title'),
+      message: t('resetScores.body'),
+      confirmLabel: t('resetScores.confirm'),
+      danger: true,
+    });
+    if (!confirmed) return;
+    scheduleUndoable({
+      label: t('undo.scoresReset'),
+      committedMessage: t('messages.scoresReset'),
+      event: { type: SCORES_RESET },
+      commit: () => dataSource.clearScores(),
+      failureMessage: t('errors.clearScores'),
+      audit: { action: AUDIT_ACTIONS.RESET, players: [], playerCount: boardPlayerCount },
+    });
+  };
+
+  /**
+   * Deletes ALL users once confirmed.
+   */
+  const handleClearAllUsers = async () => {
+      const confirmed = await openDialog('confirm', {
+        title: t('deleteAll.title'),
+        message: t('deleteAll.body'),
+        confirmLabel: t('deleteAll.confirm'),
+        danger: true,
+      });
+      if (!confirmed) return;
+      scheduleUndoable({
+        label: t('undo.usersDeleted'),
+        committedMessage: t('messages.usersDeleted'),
+        event: { type: USERS_CLEARED },
+        commit: () => dataSource.deleteAllUsers(),
+        failureMessage: t('errors.deleteAll'),
+        audit: { action: AUDIT_ACTIONS.DELETE_ALL, players: [], playerCount: boardPlayerCount },
+      });
+  };
+
+  /**
+   * Deletes a single user once confirmed, closing the delete list.
+   */
+  const handleDeleteUser = async (user) => {
+    const { _id: userId, name } = user;
+    const confirmed = await openDialog('confirm', {
+      title: t('confirmDelete.title'),
+      message: <Trans id="confirmDelete.body" values={{ name: <strong>{name}</strong> }} />,
+      confirmLabel: t('confirmDelete.confirm'),
+      danger: true,
+    });
+    if (!confirmed) return;
+    closeDialog('deletePlayer');
+    scheduleUndoable({
+      label: t('undo.userDeleted', { name }),
+      committedMessage: t('messages.userDeleted', { name }),
+      event: { type: USER_DELETED, userId },
+      commit: () => dataSource.deleteUser(userId),
+      failureMessage: t('errors.deleteUser', { name }),
+      audit: { action: AUDIT_ACTIONS.DELETE, players: [user] },
+    });
+  };
+  
+  /**
+   * Switches to the endpoint picked in the settings panel and remembers it for next time.
+   */
+  const handleSaveEndpoint = (nextEndpoint) => {
+    saveEndpoint(nextEndpoint);
+    clearQueryOverride();
+    // Board ids belong to an endpoint, so a ?board= from the old one must not be carried over
+    navigate({ query: { board: null, user: null } }, { replace: true });
+    setEndpoint({ ...nextEndpoint, source: 'saved' });
+    closeDialog('apiSettings');
+    notify(NOTIFICATION_LEVELS.INFO, t('messages.endpointChanged', { label: t(`api.profile.${nextEndpoint.profile}`) }));
+  };
+
+  /**
+   * Forgets the saved endpoint and falls back to the one chosen at build time.
+   */
+  const handleResetEndpoint = () => {
+    saveEndpoint(null);
+    clearQueryOverride();
+    navigate({ query: { board: null, user: null } }, { replace: true });
+    setEndpoint({ ...getBuildEndpoint(), source: 'build' });
+    closeDialog('apiSettings');
+    notify(NOTIFICATION_LEVELS.INFO, t('messages.endpointReset'));
+  };
+
+  /**
+   * Loads the complete standings of the active board, including pages not shown yet,
+   * with pending deletes and resets applied so the result matches the screen.
+   */
+  const loadFullStandings = async () => {
+    const allUsers = await fetchAllUsers(dataSource);
+    return rankUsers(boardActions.reduce((list, action) => applyLeaderboardEvent(list, action.event), allUsers), ranking);
+  };
+
+  /**
+   * Downloads the current rankings (rank, name, points, id) as CSV or JSON.
+   * @param {'csv' | 'json'} format
+   */
+  const handleExport = async (format) => {
     try {
-        await axios.post(`${API_URL}/users/clear-scores`);
-        setMessage('All scores have been cleared successfully.');
-        fetchUsers();
+      const standings = await loadFullStandings();
+      if (format === 'csv') {
+        downloadFile(exportFileName(activeBoard.name, 'csv'), rankingsToCsv(standings), 'text/csv;charset=utf-8');
+      } else {
+        downloadFile(exportFileName(activeBoard.name, 'json'), rankingsToJson(standings, { board: activeBoard.name }), 'application/json');
+      }
+      notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.exported', { count: standings.length, format: format.toUpperCase() }));
     } catch (err) {
-        console.error('Error clearing scores:', err);
-        setMessage(err.message === 'Network Error' ? 'Network Error: Check server connection.' : 'Failed to clear scores.');
-    } finally {
-        setIsClearScoresModalOpen(false);
+      console.error('Error exporting rankings:', err);
+      notify(NOTIFICATION_LEVELS.ERROR, err.message === 'Network Error' ? t('errors.network') : t('errors.export'), {
+        action: { label: t('notifications.retry'), onAction: () => handleExport(format) },
+      });
     }
   };
 
   /**
-   * Handles the final confirmation to delete ALL users.
+   * Opens the print-optimized results sheet.
    */
-  const handleClearAllUsers = async () => {
-      try {
-          await axios.delete(`${API_URL}/users`);
-          setMessage('All users have been deleted.');
-          fetchUsers();
-      } catch (err) {
-          console.error('Error deleting all users:', err);
-          setMessage(err.message === 'Network Error' ? 'Network Error: Check server connection.' : 'Failed to delete all users.');
-      } finally {
-          setIsClearUsersModalOpen(false);
-      }
+  const handleOpenPrintReport = async () => {
+    try {
+      setPrintReport({ users: await loadFullStandings(), generatedAt: new Date() });
+    } catch (err) {
+      console.error('Error preparing the report:', err);
+      notify(NOTIFICATION_LEVELS.ERROR, err.message === 'Network Error' ? t('errors.network') : t('errors.report'), {
+        action: { label: t('notifications.retry'), onAction: handleOpenPrintReport },
+      });
+    }
   };
 
   /**
-   * Handles the final confirmation to delete a single user.
+   * Opens another board; its users are loaded by the data source effect.
+   * The board goes into the URL, while a player selection, team filter or profile from the old board is dropped.
    */
-  const handleDeleteUser = async () => {
-    if (!userToDelete) return;
+  const handleSwitchBoard = (boardId) => {
+    switchBoard(boardId);
+    navigate({
+      page: route.page === PAGES.PLAYER ? PAGES.BOARD : undefined,
+      query: { board: boardId === DEFAULT_BOARD_ID ? null : boardId, user: null, team: null },
+    }, { replace: true });
+    closeDialog('boards');
+  };
+
+  /**
+   * Creates a board (or season) and switches to it.
+   */
+  const handleCreateBoard = (name) => {
+    const board = addBoard(name);
+    navigate({
+      page: route.page === PAGES.PLAYER ? PAGES.BOARD : undefined,
+      query: { board: board.id, user: null, team: null },
+    }, { replace: true });
+    closeDialog('boards');
+    notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.boardCreated', { name: board.name }));
+  };
+
+  /**
+   * Freezes the active board with its complete standings, including pages not shown yet.
+   * Nothing is archived when they cannot be loaded, or when another board was opened in the meantime.
+   */
+  const handleArchiveBoard = async () => {
+    const origin = dataSource;
+    const { name } = activeBoard;
+    closeDialog('boards');
     try {
-        await axios.delete(`${API_URL}/users/${userToDelete._id}`);
-        setMessage(`User "${userToDelete.name}" was deleted.`);
-        setIsDeleteUserModalOpen(false);
-        setUserToDelete(null);
-        fetchUsers();
+      const standings = await loadFullStandings();
+      if (dataSourceRef.current !== origin) return;
+      archiveActiveBoard(standings);
+      notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.boardArchived', { name }));
     } catch (err) {
-        console.error('Error deleting user:', err);
-        setMessage(err.message === 'Network Error' ? 'Network Error: Check server connection.' : 'Failed to delete user.');
-    } finally {
-        setUserToDelete(null);
+      console.error('Error archiving the board:', err);
+      notify(NOTIFICATION_LEVELS.ERROR, err.message === 'Network Error' ? t('errors.network') : t('errors.archive', { name }), {
+        action: { label: t('notifications.retry'), onAction: handleArchiveBoard },
+      });
     }
   };
-  
+
+  /**
+   * Saves the active board's colors, logo and title from the branding dialog.
+   */
+  const handleSaveBranding = (nextBrand) => {
+    const previousBrand = brand;
+    setBrand(nextBrand);
+    closeDialog('branding');
+    notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.brandingSaved', { board: activeBoardName }), {
+      action: { label: t('undo.undo'), onAction: () => setBrand(previousBrand) },
+    });
+  };
+
   /**
-   * An effect hook that creates a timer to clear notification messages after 4 seconds.
+   * Names the browser tab after the board's brand title, when it has one.
    */
   useEffect(() => {
-    if (message) {
-      const timer = setTimeout(() => setMessage(''), 4000);
-      return () => clearTimeout(timer);
-    }
-  }, [message]);
+    document.title = appTitle;
+  }, [appTitle]);
+
+  /**
+   * Signs in from the login dialog; errors are shown by the dialog itself.
+   */
+  const handleLogin = async (credentials) => {
+    const session = await auth.login(credentials);
+    closeDialog('login');
+    notify(NOTIFICATION_LEVELS.SUCCESS, t('messages.loggedIn', { name: session.user.name, role: t(`roles.${session.user.role}`) }));
+  };
+
+  /**
+   * Signs out; the page falls back to what anonymous visitors may do.
+   */
+  const handleLogout = () => {
+    auth.logout();
+    notify(NOTIFICATION_LEVELS.INFO, t('messages.loggedOut'));
+  };
+
+  /**
+   * Tells the user when their session ran out, whether by its expiry time or because the API refused the token.
+   */
+  useEffect(() => {
+    if (!auth.isExpired) return;
+    notify(NOTIFICATION_LEVELS.WARNING, t('messages.sessionExpired'), {
+      action: { label: t('auth.logIn'), onAction: () => openDialog('login') },
+    });
+  }, [auth.isExpired, t, notify, openDialog]);
+
+  // --- ROUTING ---
+
+  /**
+   * Opens a player's profile at /players/:id, so the link can be shared.
+   */
+  const openProfile = (userId) => navigate({ page: PAGES.PLAYER, playerId: userId });
+
+  /**
+   * Goes back to the board page, keeping the view state.
+   */
+  const goToBoard = () => navigate({ page: PAGES.BOARD });
+
+  /**
+   * Picks the player to claim points for, remembered in the URL.
+   */
+  const handleSelectUser = (userId) => navigate({ query: { user: userId } }, { replace: true });
+
+  /**
+   * Filters the rankings; the text is kept in the URL without adding a history entry per keystroke.
+   */
+  const handleTableFilterChange = (text) => navigate({ query: { q: text } }, { replace: true });
+
+  /**
+   * Narrows the rankings to one team (empty for everyone), kept in the URL as ?team=.
+   */
+  const handleTeamFilterChange = (team) => navigate({ query: { team } }, { replace: true });
+
+  /**
+   * Opens the individual rankings filtered to one team, e.g. from the team standings.
+   */
+  const openTeam = (team) => navigate({ page: PAGES.BOARD, query: { team } });
+
+  /**
+   * Sorts the rankings by a column, both for this link and as the remembered default.
+   */
+  const handleSort = (columnId) => {
+    const next = nextSort(sort, columnId);
+    setSort(next);
+    navigate({ query: { sort: encodeSort(next) } }, { replace: true });
+  };
+
+  /**
+   * Shows or hides a column. Hiding the column the table is sorted by also drops the sort from the URL.
+   */
+  const handleToggleColumn = (columnId) => {
+    toggleColumn(columnId);
+    if (sort.columnId === columnId) navigate({ query: { sort: null } }, { replace: true });
+  };
+
+  /**
+   * Writes the board and sort order into the URL when they only come from this browser's saved settings,
+   * so a copied link opens the same view elsewhere.
+   */
+  const boardParam = activeBoard.id === DEFAULT_BOARD_ID ? null : activeBoard.id;
+  const sortParam = sort.columnId === DEFAULT_SORT.columnId && sort.direction === DEFAULT_SORT.direction ? null : encodeSort(sort);
+  const isUrlOutOfDate = (route.query.board || null) !== boardParam || (route.query.sort || null) !== sortParam;
+  useEffect(() => {
+    if (isUrlOutOfDate) navigate({ query: { board: boardParam, sort: sortParam } }, { replace: true });
+  }, [navigate, isUrlOutOfDate, boardParam, sortParam]);
+
+  /**
+   * Retry and Undo act on the board they were offered for, so their toasts go when another board or endpoint opens.
+   * The Undo of a pending delete or reset stays: the action still happens on its own board unless it is undone.
+   */
+  useEffect(() => {
+    dismissActionToasts();
+  }, [dataSource, dismissActionToasts]);
+
+  /**
+   * Opens the notification history; everything in it counts as seen once it is closed again.
+   */
+  const openNotificationHistory = () => openDialog('notifications').then(markHistoryRead);
 
-  const topThreeUsers = users.slice(0, 3);
+  // Claim counts and times per player, from the history the data source keeps (which grows with every claim)
+  const claimSummaries = useClaimSummaries(dataSource, users);
+
+  // Ranks are numbered on screen, by the scheme and tie-break the viewer picked, rather than taken from the server
+  const rankedUsers = useMemo(() => rankUsers(users, ranking), [users, ranking]);
+
+  // Confirmed users with deletes and resets that are still in their undo window already applied
+  const visibleUsers = useMemo(
+    () => (boardActions.length > 0
+      ? rankUsers(boardActions.reduce((list, action) => applyLeaderboardEvent(list, action.event), rankedUsers), ranking)
+      : rankedUsers),
+    [rankedUsers, boardActions, ranking]
+  );
+  // What the table and podium show: visible users, with the ones that have claims in flight marked
+  const displayedUsers = useMemo(() => applyPendingClaims(visibleUsers, pendingClaims), [visibleUsers, pendingClaims]);
+
+  // The standings the "Change" column and the podium callout compare with; picking another
+  // ranking scheme starts over, since the old ranks are not comparable
+  const baselineResetKey = useMemo(() => ({ dataSource, ranking }), [dataSource, ranking]);
+  const baseline = useRankBaseline(rankedUsers, {
+    mode: rankBaseline,
+    storageKey: `leaderboard.rankBaseline.${apiUrl}.${activeBoard.id}.${ranking.scheme}.${ranking.tieBreak}`,
+    isComplete: !nextCursor,
+    resetKey: baselineResetKey,
+  });
+
+  /**
+   * The rows of the rankings table: users with their claim statistics and rank movement attached,
+   * in the chosen sort order.
+   */
+  const tableRows = useMemo(() => {
+    const rows = displayedUsers.map(user => {
+      const summary = claimSummaries.get(user._id);
+      return {
+        ...user,
+        claimCount: summary?.claims || 0,
+        lastClaimAt: summary?.lastClaimAt || null,
+        pointsToday: summary?.pointsToday || 0,
+        rankChange: getRankMovement(user, baseline),
+      };
+    });
+    return sortRows(rows, sort);
+  }, [claimSummaries, displayedUsers, baseline, sort]);
+
+  // Deleted players linger in the table for a moment to fade out
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const animatedRows = useExitingItems(tableRows, { duration: MOVE_DURATION_MS, disabled: prefersReducedMotion, resetKey: dataSource });
+
+  // The teams on this board, and the one the rankings are narrowed to (?team=; ignored when no such team exists)
+  const teamNames = useMemo(() => listTeamNames(visibleUsers), [visibleUsers]);
+  const teamFilter = teamNames.includes(route.query.team) ? route.query.team : '';
+  const teamStandings = useMemo(
+    () => rankTeams(displayedUsers, { ...teamScoring, scheme: ranking.scheme }),
+    [displayedUsers, teamScoring, ranking.scheme]
+  );
+
+  /**
+   * The rankings narrowed down by the team and the filter box. Rows keep their real rank;
+   * `tableHighlights` maps each matching user id to the matched character positions.
+   */
+  const { filteredUsers, tableHighlights } = useMemo(() => {
+    const teamRows = filterByTeam(animatedRows, teamFilter);
+    if (!tableFilter.trim()) return { filteredUsers: teamRows, tableHighlights: null };
+    const highlights = new Map();
+    teamRows.forEach(user => {
+      const match = fuzzyMatch(tableFilter, user.name);
+      if (match) highlights.set(user._id, match.indices);
+    });
+    return { filteredUsers: teamRows.filter(u => highlights.has(u._id)), tableHighlights: highlights };
+  }, [animatedRows, teamFilter, tableFilter]);
+
+  // The player picked for claiming (?user=), falling back to the leader when none is picked or they are gone
+  const selectedUserId = visibleUsers.some(u => u._id === route.query.user) ? route.query.user : (visibleUsers[0]?._id || '');
+  /**
+   * Tells screen-reader users when the player picked for claiming moves up or down, e.g. after their claim
+   * or someone else's. Estimates for claims still in flight are left out.
+   */
+  const selectedStanding = visibleUsers.find(u => u._id === selectedUserId);
+  const selectedRank = selectedStanding?.rank;
+  const selectedName = selectedStanding?.name;
+  const lastSelectedRank = useRef(null);
+  useEffect(() => {
+    const previous = lastSelectedRank.current;
+    lastSelectedRank.current = selectedRank === undefined ? null : { userId: selectedUserId, rank: selectedRank };
+    if (!previous || selectedRank === undefined || previous.userId !== selectedUserId || previous.rank === selectedRank) return;
+    announce(t(selectedRank < previous.rank ? 'announce.rankUp' : 'announce.rankDown', { name: selectedName, rank: formatOrdinal(selectedRank) }));
+  }, [selectedUserId, selectedRank, selectedName, announce, t, formatOrdinal]);
+
+  const podiumMovement = useMemo(
+    () => diffTopPlaces(displayedUsers, baseline, podiumSettings.places),
+    [displayedUsers, baseline, podiumSettings.places]
+  );
+  // Points gained today, for the podium's "recent gains"
+  const recentGains = useMemo(
+    () => new Map([...claimSummaries].map(([userId, summary]) => [userId, summary.pointsToday])),
+    [claimSummaries]
+  );
+
+  // A profile link may name a player on a page that is not loaded yet, or one that does not exist: look them up
+  const [profileLookup, setProfileLookup] = useState(null);
+  const loadedProfileUser = displayedUsers.find(u => u._id === profileUserId);
+  const needsProfileLookup = Boolean(profileUserId) && !loadedProfileUser && !isLoading && !error;
+  useEffect(() => {
+    if (!needsProfileLookup) return;
+    let cancelled = false;
+    setProfileLookup({ userId: profileUserId, dataSource, status: 'loading', user: null });
+    dataSource.getUser(profileUserId)
+      .then(user => {
+        if (!cancelled) setProfileLookup({ userId: profileUserId, dataSource, status: user ? 'found' : 'missing', user });
+      })
+      .catch(err => {
+        console.error('Error loading a player:', err);
+        if (!cancelled) setProfileLookup({ userId: profileUserId, dataSource, status: 'failed', user: null });
+      });
+    return () => { cancelled = true; };
+  }, [needsProfileLookup, profileUserId, dataSource]);
+  const lookup = profileLookup?.userId === profileUserId && profileLookup.dataSource === dataSource ? profileLookup : null;
+  const profileUser = loadedProfileUser || (lookup?.status === 'found' ? lookup.user : null);
+  const profileStatus = error ? 'failed' : lookup?.status || 'loading';
 
   // --- JSX RENDER ---
   return (
     <>
       <style>{`
-        :root { --rank-1-color: #ffd700; --rank-2-color: #c0c0c0; --rank-3-color: #cd7f32; }
+        :root { ${themeCss} }
         body { 
             font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: #fff; 
+            background: var(--bg);
+            color: var(--text); 
             margin: 0; 
             padding: 20px; 
             min-height: 100vh;
@@ -250,197 +860,503 @@ function App() {
         .App { 
             max-width: 700px; 
             margin: 0 auto; 
-            background: rgba(255, 255, 255, 0.1);
+            background: var(--surface);
             backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
+            border: 1px solid var(--border);
             padding: 20px 40px; 
             border-radius: 20px; 
-            box-shadow: 0 8px 32px 0 rgba(31, 38, 135, 0.37);
+            box-shadow: 0 8px 32px 0 var(--shadow);
             position: relative; 
         }
-        header h1 { text-align: center; color: #fff; margin-bottom: 10px; font-weight: 600; }
-        .controls { display: flex; justify-content: center; align-items: center; margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid rgba(255, 255, 255, 0.2); flex-wrap: wrap; gap: 15px; }
+        header h1 { text-align: center; color: var(--text); margin-bottom: 10px; font-weight: 600; }
+        .controls { display: flex; justify-content: center; align-items: center; margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid var(--border); flex-wrap: wrap; gap: 15px; }
         .form-group { display: flex; gap: 10px; flex-grow: 1; }
         input[type="text"], select { 
             padding: 12px; 
-            border: 1px solid rgba(255, 255, 255, 0.3);
+            border: 1px solid var(--border);
             border-radius: 8px; 
             font-size: 16px; 
             flex-grow: 1; 
-            background: rgba(255, 255, 255, 0.2);
-            color: #fff;
+            background: var(--input-bg);
+            color: var(--text);
         }
-        select option { background: #34495e; color: #fff;}
-        input::placeholder { color: rgba(255, 255, 255, 0.7); }
-        button { padding: 12px 22px; border: none; border-radius: 8px; background: linear-gradient(45deg, #3498db, #8e44ad); color: white; font-size: 16px; font-weight: 500; cursor: pointer; transition: all 0.3s ease; }
-        button:hover { box-shadow: 0 0 20px rgba(142, 68, 173, 0.7); transform: translateY(-2px); }
-        button:disabled { background: #bdc3c7; cursor: not-allowed; transform: none; box-shadow: none; }
-        .message { text-align: center; padding: 12px; margin: 15px 0; border-radius: 8px; background-color: rgba(46, 204, 113, 0.8); color: #fff; font-weight: 500; }
-        .leaderboard h2 { text-align: center; color: #fff; margin: 40px 0 20px 0; font-weight: 500; }
-        table { width: 100%; border-collapse: collapse; background: rgba(255, 255, 255, 0.15); border-radius: 8px; overflow: hidden;}
-        th, td { padding: 15px; text-align: left; border-bottom: 1px solid rgba(255, 255, 255, 0.2); }
-        th { background-color: rgba(255, 255, 255, 0.2); font-weight: 500;}
+        select option { background: var(--surface-raised); color: var(--text);}
+        input::placeholder { color: var(--text-muted); }
+        button { padding: 12px 22px; border: none; border-radius: 8px; background: var(--button-bg); color: var(--button-text); font-size: 16px; font-weight: 500; cursor: pointer; transition: all 0.3s ease; }
+        button:hover { box-shadow: 0 0 20px var(--button-glow); transform: translateY(-2px); }
+        button:disabled { background: var(--disabled-bg); color: var(--disabled-text); cursor: not-allowed; transform: none; box-shadow: none; }
+        .leaderboard h2 { text-align: center; color: var(--text); margin: 40px 0 20px 0; font-weight: 500; }
+        table { width: 100%; border-collapse: collapse; background: var(--tint); border-radius: 8px; overflow: hidden;}
+        th, td { padding: 15px; text-align: start; border-bottom: 1px solid var(--border); }
+        th { background-color: var(--tint-strong); font-weight: 500;}
         tbody tr:last-child td { border-bottom: none; }
         td:first-child, th:first-child { font-weight: bold; text-align: center; width: 80px; }
-        .loading { text-align: center; padding: 20px; font-size: 1.2em; color: #fff; }
-        .error-message { text-align: center; padding: 15px; margin: 15px 0; border-radius: 8px; background-color: rgba(231, 76, 60, 0.8); color: #fff; font-weight: 500; }
-        tbody tr td[colSpan="3"] { text-align: center; color: rgba(255, 255, 255, 0.8); padding: 20px; }
-        .btn-danger { background: linear-gradient(45deg, #e74c3c, #c0392b); }
+        .loading { text-align: center; padding: 20px; font-size: 1.2em; color: var(--text); }
+        .error-message { text-align: center; padding: 15px; margin: 15px 0; border-radius: 8px; background-color: var(--error-bg); color: #fff; font-weight: 500; }
+        tbody tr td[colSpan="3"] { text-align: center; color: var(--text-soft); padding: 20px; }
+        .btn-danger { background: var(--danger-bg); }
         .btn-danger:hover { box-shadow: 0 0 20px rgba(192, 57, 43, 0.7); }
-        .modal-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(0, 0, 0, 0.6); backdrop-filter: blur(5px); display: flex; justify-content: center; align-items: center; z-index: 1000; }
-        .modal-content { background: rgba(52, 73, 94, 0.8); backdrop-filter: blur(15px); border: 1px solid rgba(255, 255, 255, 0.2); padding: 30px; border-radius: 16px; box-shadow: 0 8px 32px 0 rgba(31, 38, 135, 0.37); text-align: center; width: 90%; max-width: 400px; color: #fff; }
+        .modal-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: var(--backdrop); backdrop-filter: blur(5px); display: flex; justify-content: center; align-items: center; z-index: 1000; }
+        .modal-content { background: var(--surface-raised); backdrop-filter: blur(15px); border: 1px solid var(--border); padding: 30px; border-radius: 16px; box-shadow: 0 8px 32px 0 var(--shadow); text-align: center; width: 90%; max-width: 400px; color: var(--text); }
         .modal-content h3 { margin-top: 0; font-weight: 500; }
         .modal-actions { margin-top: 20px; display: flex; justify-content: center; gap: 15px; }
-        .btn-secondary { background: linear-gradient(45deg, #95a5a6, #7f8c8d); }
+        .btn-secondary { background: var(--secondary-bg); }
         .btn-secondary:hover { box-shadow: 0 0 20px rgba(127, 140, 141, 0.7); }
-        .fab { position: fixed; width: 60px; height: 60px; color: white; border: 1px solid rgba(255, 255, 255, 0.3); border-radius: 50%; font-size: 28px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 15px rgba(0,0,0,0.3); cursor: pointer; transition: all 0.3s ease; background: rgba(255, 255, 255, 0.15); backdrop-filter: blur(10px); }
+        .fab { position: fixed; width: 60px; height: 60px; color: var(--text); border: 1px solid var(--border); border-radius: 50%; font-size: 28px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 15px rgba(0,0,0,0.3); cursor: pointer; transition: all 0.3s ease; background: var(--tint); backdrop-filter: blur(10px); }
         .fab:hover { transform: scale(1.1) rotate(15deg); box-shadow: 0 6px 20px rgba(0,0,0,0.4); }
-        .add-user-fab { bottom: 30px; right: 30px; font-size: 36px; }
-        .delete-user-fab { bottom: 30px; left: 30px; }
+        .add-user-fab { bottom: 30px; inset-inline-end: 30px; font-size: 36px; }
         .actions-fab { bottom: 30px; left: 50%; transform: translateX(-50%); }
-        .actions-menu { position: fixed; bottom: 100px; left: 50%; transform: translateX(-50%); display: flex; flex-direction: column; gap: 10px; background: rgba(52, 73, 94, 0.9); padding: 15px; border-radius: 12px; z-index: 1001; backdrop-filter: blur(10px); border: 1px solid rgba(255, 255, 255, 0.2); }
-        .actions-menu button { width: 100%; text-align: left;}
+        .actions-menu { position: fixed; bottom: 100px; left: 50%; transform: translateX(-50%); display: flex; flex-direction: column; gap: 10px; background: var(--surface-raised); padding: 15px; border-radius: 12px; z-index: 1001; backdrop-filter: blur(10px); border: 1px solid var(--border); }
+        .actions-menu button { width: 100%; text-align: start;}
         .podium-container { display: flex; justify-content: center; align-items: flex-end; gap: 5px; margin-top: 30px; height: 200px; }
-        .podium-step { width: 30%; text-align: center; color: #333; padding: 10px; border-radius: 8px 8px 0 0; display: flex; flex-direction: column; justify-content: flex-end; box-shadow: inset 0 -5px 15px rgba(0,0,0,0.2); }
-        .podium-step.rank-1 { background-color: var(--rank-1-color); height: 100%; }
-        .podium-step.rank-2 { background-color: var(--rank-2-color); height: 75%; }
-        .podium-step.rank-3 { background-color: var(--rank-3-color); height: 50%; }
+        .podium-step { flex: 1; max-width: 30%; min-width: 0; text-align: center; color: var(--podium-text); padding: 10px; border-radius: 8px 8px 0 0; display: flex; flex-direction: column; justify-content: flex-end; box-shadow: inset 0 -5px 15px rgba(0,0,0,0.2); overflow: hidden; }
+        .rank-1:is(.podium-step, .podium-card, .podium-bar-row) { --podium-color: var(--rank-1-color); }
+        .rank-2:is(.podium-step, .podium-card, .podium-bar-row) { --podium-color: var(--rank-2-color); }
+        .rank-3:is(.podium-step, .podium-card, .podium-bar-row) { --podium-color: var(--rank-3-color); }
+        .rank-other:is(.podium-step, .podium-card, .podium-bar-row) { --podium-color: var(--rank-other-color); }
+        .podium-step { background-color: var(--podium-color); }
         .podium-rank { font-size: 2em; font-weight: bold; text-shadow: 1px 1px 3px rgba(0,0,0,0.2); }
         .podium-name { font-size: 1.2em; font-weight: 600; margin: 5px 0; }
         .podium-points { font-size: 1em; font-weight: 500; }
         .delete-list { list-style: none; padding: 0; margin-top: 20px; max-height: 200px; overflow-y: auto; }
         .delete-list-item { display: flex; justify-content: space-between; align-items: center; padding: 10px; border-radius: 6px; }
-        .delete-list-item:nth-child(odd) { background: rgba(255,255,255,0.1); }
+        .delete-list-item:nth-child(odd) { background: var(--tint); }
         .delete-list-item button { font-size: 18px; background: none; box-shadow: none; padding: 5px 10px; }
+        .endpoint-badge { text-align: center; margin: 0 0 20px 0; font-size: 0.85em; color: var(--text-soft); word-break: break-all; }
+        .endpoint-badge button { padding: 2px 8px; margin-inline-start: 6px; font-size: 0.9em; background: var(--tint-strong); color: var(--text); }
+        .live-status { margin-inline-start: 8px; font-weight: 500; }
+        .live-status-live { color: var(--success); }
+        .live-status-polling { color: var(--warning); }
+        .live-status-connecting, .live-status-reconnecting { color: var(--text-muted); }
+        .podium-step.is-clickable, .podium-card.is-clickable, .podium-bar-row.is-clickable, .clickable-row { cursor: pointer; }
+        .is-pending .cell-points { font-style: italic; color: var(--text-soft); }
+        .pending-badge { margin-inline-start: 4px; }
+        .clickable-row:hover td { background: var(--tint); }
+        .player-profile { max-width: 480px; max-height: 85vh; overflow-y: auto; }
+        .player-profile h4 { margin: 20px 0 8px 0; font-weight: 500; text-align: start; }
+        .profile-standing { margin-top: -5px; color: var(--text-soft); }
+        .profile-stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin: 15px 0 0 0; }
+        .profile-stats div { background: var(--tint); border-radius: 8px; padding: 8px 4px; }
+        .profile-stats dt { font-size: 0.75em; color: var(--text-muted); }
+        .profile-stats dd { margin: 4px 0 0 0; font-size: 1.2em; font-weight: 600; }
+        .rank-chart { width: 100%; height: 80px; color: var(--rank-1-color); background: var(--tint); border-radius: 8px; }
+        .claim-list { list-style: none; padding: 0; margin: 0; max-height: 200px; overflow-y: auto; text-align: start; }
+        .claim-list li { display: flex; justify-content: space-between; gap: 10px; padding: 6px 8px; border-radius: 6px; }
+        .claim-list li:nth-child(odd) { background: var(--tint); }
+        .profile-note { font-size: 0.85em; color: var(--text-muted); }
+        .board-bar { display: flex; justify-content: center; gap: 10px; margin-bottom: 10px; }
+        .board-bar select { flex-grow: 0; min-width: 200px; padding: 8px 12px; }
+        .board-bar button { padding: 8px 16px; font-size: 14px; }
+        .archived-banner { text-align: center; padding: 12px; margin: 15px 0; border-radius: 8px; background: rgba(241, 196, 15, 0.25); border: 1px solid rgba(241, 196, 15, 0.6); }
+        .board-list { list-style: none; padding: 0; margin: 10px 0; text-align: start; }
+        .board-list-item { display: flex; justify-content: space-between; align-items: center; padding: 8px 10px; border-radius: 6px; }
+        .board-list-item.is-active { background: var(--tint); }
+        .board-list-item button { padding: 6px 14px; font-size: 14px; }
+        .board-list-item small { color: var(--text-muted); }
+        .boards-modal h4 { margin: 15px 0 0 0; font-weight: 500; text-align: start; }
+        .table-viewport { overflow-y: auto; border-radius: 8px; }
+        .rankings-table thead th { position: sticky; top: 0; z-index: 1; background-color: var(--table-head); }
+        .rankings-row td { height: 52px; box-sizing: border-box; padding-top: 0; padding-bottom: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .spacer-row { border: none; }
+        .rankings-count { font-size: 0.6em; color: var(--text-muted); }
+        .combobox { position: relative; flex-grow: 1; display: flex; }
+        .combobox-list { position: absolute; top: 100%; left: 0; right: 0; margin: 4px 0 0 0; padding: 4px; list-style: none; max-height: 260px; overflow-y: auto; background: var(--surface-raised); border: 1px solid var(--border); border-radius: 8px; z-index: 10; text-align: start; }
+        .combobox-option { display: flex; justify-content: space-between; padding: 8px 10px; border-radius: 6px; cursor: pointer; }
+        .combobox-option.is-active { background: var(--tint-strong); }
+        .combobox-option small, .combobox-empty { color: var(--text-muted); }
+        .combobox-empty { padding: 8px 10px; }
+        mark { background: var(--mark); color: var(--mark-text); border-radius: 2px; }
+        .table-filter { margin-bottom: 10px; }
+        input[type="search"] { padding: 12px; border: 1px solid var(--border); border-radius: 8px; font-size: 16px; flex-grow: 1; background: var(--input-bg); color: var(--text); }
+        .list-note { font-size: 0.85em; color: var(--text-muted); }
+        tbody td.table-message { text-align: center; color: var(--text-soft); padding: 20px; font-weight: normal; }
+        .th-sort { background: none; padding: 0; font: inherit; color: inherit; border-radius: 0; }
+        .th-sort:hover { box-shadow: none; transform: none; text-decoration: underline; }
+        .rankings-row.is-exiting { animation: row-exit 0.45s ease forwards; }
+        @keyframes row-exit { to { opacity: 0; } }
+        .rank-change.is-up { color: var(--success); }
+        .rank-change.is-down { color: var(--danger); }
+        .rank-change.is-new { font-size: 0.75em; font-weight: 700; padding: 2px 6px; border-radius: 4px; background: rgba(241, 196, 15, 0.3); color: var(--warning); }
+        .table-filter select { flex-grow: 0; }
+        .podium-callout { text-align: center; margin: 10px 0 0 0; color: var(--text-soft); }
+        .column-picker { position: relative; }
+        .column-picker > button { height: 100%; }
+        .column-picker-menu { position: absolute; inset-inline-end: 0; top: 100%; margin-top: 4px; display: flex; flex-direction: column; gap: 8px; padding: 12px; background: var(--surface-raised); border: 1px solid var(--border); border-radius: 8px; z-index: 10; white-space: nowrap; text-align: start; }
+        .column-picker-menu label { display: flex; align-items: center; gap: 8px; cursor: pointer; }
+        .print-report { position: fixed; inset: 0; z-index: 2000; overflow-y: auto; background: #fff; color: #222; padding: 30px 40px; }
+        .print-report header h1 { color: #222; margin-bottom: 0; }
+        .print-report header p { text-align: center; color: #555; margin-top: 5px; }
+        .print-toolbar { display: flex; justify-content: flex-end; gap: 10px; }
+        .report-stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin: 20px 0; }
+        .report-stats div { border: 1px solid #ddd; border-radius: 8px; padding: 10px; text-align: center; }
+        .report-stats dt { font-size: 0.8em; color: #555; }
+        .report-stats dd { margin: 4px 0 0 0; font-size: 1.4em; font-weight: 600; }
+        .report-table { margin-top: 30px; background: none; }
+        .report-table th, .report-table td { border-bottom: 1px solid #ddd; color: #222; padding: 8px 15px; }
+        .report-table th { background: #f3f3f3; }
+        @media print {
+            body { background: #fff; padding: 0; }
+            body * { visibility: hidden; }
+            .print-report, .print-report * { visibility: visible; }
+            .print-report { position: absolute; inset: 0; overflow: visible; padding: 0; }
+            .print-report .podium-step { box-shadow: none; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .report-table tr { break-inside: avoid; }
+            .no-print { display: none; }
+        }
+        .import-modal { max-width: 640px; width: 90%; }
+        .import-modal textarea { width: 100%; box-sizing: border-box; margin-top: 10px; padding: 12px; border: 1px solid var(--border); border-radius: 8px; font-family: monospace; font-size: 14px; background: var(--input-bg); color: var(--text); resize: vertical; }
+        .import-preview { max-height: 300px; overflow-y: auto; border-radius: 8px; text-align: start; }
+        .import-preview td { padding: 8px 10px; font-weight: normal; }
+        .import-preview small { color: var(--text-muted); }
+        .import-row.is-invalid td:last-child, .import-row.is-failed td:last-child { color: var(--danger); }
+        .import-row.is-duplicate td:last-child { color: var(--warning); }
+        .import-row.is-created td:last-child { color: var(--success); }
+        .admin-panel { text-align: start; }
+        .admin-locked p { margin: 15px 0; }
+        .auth-bar { text-align: center; margin: -12px 0 20px 0; font-size: 0.85em; color: var(--text-soft); }
+        .auth-bar button { margin-inline-start: 10px; padding: 4px 12px; font-size: 13px; }
+        .login-modal form { text-align: start; }
+        .login-modal .field, .branding-modal .field { display: flex; flex-direction: column; gap: 6px; margin-top: 12px; }
+        .login-modal .field span, .branding-modal .field span { font-size: 0.9em; color: var(--text-soft); }
+        .admin-header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; }
+        .admin-header h2 { margin: 0; }
+        .admin-section { margin-top: 20px; padding: 15px 20px; border-radius: 12px; background: var(--tint); }
+        .admin-section h3 { margin: 0 0 10px 0; font-weight: 500; }
+        .admin-actions { display: flex; flex-wrap: wrap; gap: 10px; }
+        .audit-log-modal { max-width: 640px; width: 90%; }
+        .audit-filters { display: flex; gap: 10px; margin-bottom: 10px; }
+        .audit-filters select { flex-grow: 0; }
+        .audit-list { list-style: none; padding: 0; margin: 0; max-height: 360px; overflow-y: auto; text-align: start; }
+        .audit-list li { display: flex; flex-direction: column; gap: 2px; padding: 8px 10px; border-radius: 6px; }
+        .audit-list li:nth-child(odd) { background: var(--tint); }
+        .audit-time, .audit-players { font-size: 0.85em; color: var(--text-muted); }
+        .view-tabs { display: flex; justify-content: center; gap: 10px; margin-top: 20px; }
+        .view-tabs button { padding: 8px 20px; font-size: 14px; }
+        .team-table th.is-ranked-by { text-decoration: underline; }
+        .teams-modal { max-width: 520px; }
+        .team-list { list-style: none; padding: 0; margin: 15px 0 0 0; max-height: 300px; overflow-y: auto; text-align: start; }
+        .team-list-item { display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 6px 10px; border-radius: 6px; }
+        .team-list-item:nth-child(odd) { background: var(--tint); }
+        .team-list-item input { width: 45%; padding: 8px; font-size: 14px; }
+        .picker-group { border: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 6px; }
+        .picker-row { display: flex; flex-wrap: wrap; gap: 6px 12px; }
+        .picker-group legend { padding: 0; margin-bottom: 4px; font-size: 0.85em; color: var(--text-muted); }
+        .podium-tie { font-size: 0.4em; font-weight: 600; text-transform: uppercase; }
+        .podium-names { list-style: none; padding: 0; margin: 5px 0; font-weight: 600; }
+        .podium-names .is-clickable { cursor: pointer; }
+        .podium-names .is-clickable:hover { text-decoration: underline; }
+        .podium-more { font-size: 0.85em; font-weight: 500; }
+        .podium-step.is-shared .podium-name { font-size: 1em; margin: 2px 0; }
+        .podium-toolbar { display: flex; justify-content: flex-end; margin-top: 20px; }
+        .podium-toolbar + .podium-container, .podium-toolbar + .podium-cards, .podium-toolbar + .podium-bars { margin-top: 10px; }
+        .podium-extra { font-size: 0.8em; opacity: 0.85; }
+        .podium-gain { font-weight: 600; }
+        .podium-cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 10px; margin-top: 30px; }
+        .podium-card { display: flex; flex-direction: column; align-items: center; gap: 2px; padding: 12px; border-radius: 12px; color: var(--podium-text); background-color: var(--podium-color); box-shadow: 0 4px 15px rgba(0,0,0,0.2); }
+        .podium-card .podium-rank { font-size: 1.5em; }
+        .podium-bars { display: flex; flex-direction: column; gap: 6px; margin-top: 30px; }
+        .podium-bar-row { display: grid; grid-template-columns: minmax(120px, 35%) 1fr; align-items: center; gap: 10px; }
+        .podium-bar-label { display: flex; flex-wrap: wrap; align-items: center; gap: 4px 8px; text-align: start; }
+        .podium-bar-label .podium-rank { font-size: 1.1em; }
+        .podium-bar-label .podium-name { font-size: 1em; margin: 0; }
+        .podium-bar-label .podium-names { margin: 0; }
+        .podium-bar-track { height: 22px; border-radius: 11px; background: var(--tint); overflow: hidden; }
+        .podium-bar { height: 100%; border-radius: 11px; background-color: var(--podium-color); transition: width 0.45s ease; }
+        .avatar { display: inline-flex; align-items: center; justify-content: center; border-radius: 50%; color: #fff; font-weight: 600; object-fit: cover; flex-shrink: 0; }
+        .avatar.is-large { width: 44px; height: 44px; font-size: 1em; margin: 0 auto 4px auto; }
+        .avatar.is-small { width: 20px; height: 20px; font-size: 0.6em; margin-inline-end: 6px; vertical-align: middle; }
+        .podium-bar-label .avatar.is-large { width: 28px; height: 28px; font-size: 0.7em; margin: 0; }
+        @media (prefers-reduced-motion: reduce) { .podium-bar { transition: none; } }
+        .board-bar .language-picker, .board-bar .theme-picker { min-width: 0; }
+        :focus-visible { outline: 3px solid var(--focus); outline-offset: 2px; }
+        .modal-content:focus { outline: none; }
+        .visually-hidden { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0; }
+        .podium-callout:empty { margin: 0; }
+        .brand-logo { height: 1.2em; max-width: 160px; object-fit: contain; vertical-align: middle; margin-inline-end: 12px; }
+        .branding-modal form { text-align: start; }
+        .checkbox-field { display: flex; align-items: center; gap: 8px; margin-top: 15px; cursor: pointer; }
+        .color-fields { display: flex; align-items: flex-end; gap: 15px; }
+        .color-fields input[type="color"] { width: 64px; height: 40px; padding: 2px; border: 1px solid var(--border); border-radius: 8px; background: var(--input-bg); cursor: pointer; }
+        .brand-swatch { flex-grow: 1; height: 40px; border-radius: 8px; }
+        .toast-stack { position: fixed; bottom: 30px; inset-inline-start: 20px; display: flex; flex-direction: column; gap: 8px; z-index: 1002; width: calc(100% - 40px); max-width: 380px; }
+        .toast { position: relative; overflow: hidden; display: flex; align-items: center; gap: 10px; padding: 12px 12px 14px 15px; border-radius: 8px; border-inline-start: 5px solid var(--toast-color); background: var(--surface-raised); color: var(--text); box-shadow: 0 4px 15px rgba(0,0,0,0.3); text-align: start; }
+        .toast-success { --toast-color: var(--success); }
+        .toast-info { --toast-color: var(--info); }
+        .toast-warning { --toast-color: var(--warning); }
+        .toast-error { --toast-color: var(--danger); }
+        .toast-icon { color: var(--toast-color); font-weight: bold; }
+        .toast-message { flex-grow: 1; }
+        .toast button { padding: 6px 12px; font-size: 14px; flex-shrink: 0; }
+        .toast .toast-close { padding: 2px 8px; background: none; color: var(--text-muted); font-size: 20px; box-shadow: none; }
+        .toast-timer { position: absolute; bottom: 0; inset-inline-start: 0; height: 3px; width: 100%; background: var(--toast-color); transform-origin: left; animation: toast-timer linear forwards; }
+        [dir="rtl"] .toast-timer { transform-origin: right; }
+        .toast-stack.is-paused .toast-timer { animation-play-state: paused; }
+        @keyframes toast-timer { from { transform: scaleX(1); } to { transform: scaleX(0); } }
+        @media (prefers-reduced-motion: reduce) { .toast-timer { display: none; } }
+        @media (max-width: 600px) { .toast-stack { bottom: 100px; } }
+        .notification-bell { position: relative; }
+        .notification-badge { position: absolute; top: -6px; inset-inline-end: -6px; min-width: 18px; padding: 1px 5px; border-radius: 9px; background: var(--danger); color: #fff; font-size: 11px; line-height: 16px; }
+        .modal-content.notification-drawer { max-width: 480px; max-height: 80vh; display: flex; flex-direction: column; }
+        .notification-history { list-style: none; padding: 0; margin: 0; overflow-y: auto; text-align: start; }
+        .notification-history > li { display: flex; gap: 10px; padding: 10px; border-bottom: 1px solid var(--border); }
+        .notification-history > li.is-unread { background: var(--tint); }
+        .notification-history p { margin: 0; }
+        .notification-history time { font-size: 12px; color: var(--text-muted); }
+        .notification-details { margin: 6px 0; padding-inline-start: 20px; font-size: 14px; color: var(--text-soft); }
+        .notification-new { margin-inline-start: 8px; padding: 0 6px; border-radius: 4px; background: var(--tint-strong); font-size: 11px; text-transform: uppercase; }
+        .notification-empty { color: var(--text-muted); }
+        .profile-list { list-style: none; padding: 0; margin: 0; text-align: start; }
+        .profile-list li { padding: 8px 0; }
+        .profile-list label { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; cursor: pointer; }
+        .profile-list label.is-disabled { opacity: 0.5; cursor: not-allowed; }
+        .profile-list small { flex-basis: 100%; padding-inline-start: 24px; color: var(--text-muted); word-break: break-all; }
+        .profile-list .form-group { margin-top: 8px; }
+        .form-error { color: var(--danger); margin: 10px 0 0 0; }
       `}</style>
       <div className="App">
-        {isAddUserModalOpen && (
-            <div className="modal-overlay" onClick={() => setIsAddUserModalOpen(false)}>
-                <div className="modal-content" onClick={e => e.stopPropagation()}>
-                    <h3>Add a New Player</h3>
-                    <form onSubmit={handleAddUser}>
-                        <div className="form-group">
-                            <input type="text" value={newUserName} onChange={(e) => setNewUserName(e.target.value)} placeholder="Enter new user name" autoFocus/>
-                        </div>
-                        <div className="modal-actions">
-                            <button type="button" className="btn-secondary" onClick={() => setIsAddUserModalOpen(false)}>Cancel</button>
-                            <button type="submit">Add User</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
+        {printReport && (
+            <PrintReport boardName={activeBoardName} users={printReport.users} generatedAt={printReport.generatedAt} onClose={() => setPrintReport(null)} />
         )}
-        {isDeleteUserModalOpen && (
-             <div className="modal-overlay" onClick={() => setIsDeleteUserModalOpen(false)}>
-                <div className="modal-content" onClick={e => e.stopPropagation()}>
-                    <h3>Delete a Player</h3>
-                    {users.length > 0 ? (
-                        <ul className="delete-list">
-                            {users.map(user => (
-                                <li key={user._id} className="delete-list-item">
-                                    <span>{user.name}</span>
-                                    <button className="btn-danger" onClick={() => setUserToDelete(user)}>🗑️</button>
-                                </li>
-                            ))}
-                        </ul>
-                    ) : <p>No users to delete.</p>}
-                </div>
-            </div>
+        {profileUser && (
+            <PlayerProfile user={profileUser} dataSource={dataSource} onClose={goToBoard} />
         )}
-        {isClearScoresModalOpen && (
-          <div className="modal-overlay">
-            <div className="modal-content">
-              <h3>Reset All Scores</h3>
-              <p>This will reset all scores to 0. This action cannot be undone.</p>
-              <div className="modal-actions">
-                <button className="btn-secondary" onClick={() => setIsClearScoresModalOpen(false)}>Cancel</button>
-                <button className="btn-danger" onClick={handleClearAllScores}>Confirm Reset</button>
-              </div>
-            </div>
-          </div>
+        {profileUserId && !profileUser && (
+            <MissingPlayerProfile status={profileStatus} boardName={activeBoardName} onClose={goToBoard} />
         )}
-        {isClearUsersModalOpen && (
-          <div className="modal-overlay">
-            <div className="modal-content">
-              <h3>Delete All Users</h3>
-              <p>This will permanently delete all users and scores. Are you sure?</p>
-              <div className="modal-actions">
-                <button className="btn-secondary" onClick={() => setIsClearUsersModalOpen(false)}>Cancel</button>
-                <button className="btn-danger" onClick={handleClearAllUsers}>Confirm Delete All</button>
-              </div>
-            </div>
-          </div>
+        {/* How each dialog type is drawn; open one with openDialog(type). Confirm and prompt are built in */}
+        <DialogHost
+            dialogs={{
+                deletePlayer: (_, close) => <DeletePlayerModal users={visibleUsers} onDelete={handleDeleteUser} onClose={() => close()} />,
+                apiSettings: (_, close) => (
+                    <ApiSettingsModal endpoint={endpoint} onSave={handleSaveEndpoint} onReset={handleResetEndpoint} onClose={() => close()} />
+                ),
+                boards: (_, close) => (
+                    <BoardsModal
+                        boards={boards}
+                        activeBoard={activeBoard}
+                        onSwitch={handleSwitchBoard}
+                        onCreate={handleCreateBoard}
+                        onArchive={handleArchiveBoard}
+                        canManage={can(PERMISSIONS.MANAGE_BOARDS)}
+                        onClose={() => close()}
+                    />
+                ),
+                login: (_, close) => (
+                    <LoginModal providerKind={auth.providerKind} isExpired={auth.isExpired} onLogin={handleLogin} onClose={() => close()} />
+                ),
+                teams: (_, close) => <TeamsModal users={visibleUsers} onAssign={handleAssignTeam} onClose={() => close()} />,
+                branding: (_, close) => <BrandingModal boardName={activeBoardName} brand={brand} onSave={handleSaveBranding} onClose={() => close()} />,
+                notifications: (_, close) => <NotificationDrawer history={notificationHistory} onClose={() => close()} />,
+                auditLog: (_, close) => <AuditLogModal dataSource={dataSource} boardName={activeBoardName} onClose={() => close()} />,
+                importPlayers: (_, close) => (
+                    <ImportPlayersModal
+                        loadExistingUsers={loadFullStandings}
+                        createUser={dataSource.createUser}
+                        onUserCreated={(user) => applyEvent({ type: USER_CREATED, user })}
+                        onFinished={(createdUsers) => createdUsers.length > 0 && recordAudit(AUDIT_ACTIONS.IMPORT, createdUsers)}
+                        onClose={() => close()}
+                    />
+                ),
+            }}
+        />
+
+        {!isReadOnly && can(PERMISSIONS.ADD_PLAYER) && (
+            <button className="fab add-user-fab" onClick={openAddUser} aria-label={t('fab.addPlayer')} title={t('fab.addPlayer')}>
+                <span aria-hidden="true">+</span>
+            </button>
         )}
-        {userToDelete && (
-          <div className="modal-overlay">
-            <div className="modal-content">
-              <h3>Confirm Deletion</h3>
-              <p>Are you sure you want to delete <strong>{userToDelete.name}</strong>? This cannot be undone.</p>
-              <div className="modal-actions">
-                <button className="btn-secondary" onClick={() => setUserToDelete(null)}>Cancel</button>
-                <button className="btn-danger" onClick={handleDeleteUser}>Delete</button>
-              </div>
+        <Menu
+            label={t('menu.label')}
+            icon="⚙️"
+            buttonClassName="fab actions-fab"
+            menuClassName="actions-menu"
+            items={[
+                route.page === PAGES.ADMIN
+                    ? { id: 'board', label: t('menu.backToBoard'), onSelect: goToBoard }
+                    : can(PERMISSIONS.OPEN_ADMIN_AREA) && { id: 'admin', label: t('menu.admin'), onSelect: () => navigate({ page: PAGES.ADMIN }) },
+                { id: 'boards', label: t('menu.boards'), className: 'btn-secondary', onSelect: () => openDialog('boards') },
+                { id: 'csv', label: t('common.exportCsv'), className: 'btn-secondary', disabled: visibleUsers.length === 0, onSelect: () => handleExport('csv') },
+                { id: 'json', label: t('common.exportJson'), className: 'btn-secondary', disabled: visibleUsers.length === 0, onSelect: () => handleExport('json') },
+                { id: 'print', label: t('menu.printReport'), className: 'btn-secondary', disabled: visibleUsers.length === 0, onSelect: handleOpenPrintReport },
+                { id: 'api', label: t('menu.apiSettings'), className: 'btn-secondary', onSelect: () => openDialog('apiSettings') },
+            ].filter(Boolean)}
+        />
+
+        <header>
+          <h1>{brand.logoUrl && <img className="brand-logo" src={brand.logoUrl} alt="" />}{appTitle}</h1>
+          <div className="board-bar">
+            <select value={activeBoard.id} onChange={(e) => handleSwitchBoard(e.target.value)} aria-label={t('header.board')}>
+              {boards.map(board => (
+                <option key={board.id} value={board.id}>{isArchived(board) ? t('header.archivedBoard', { name: boardDisplayName(board, t) }) : boardDisplayName(board, t)}</option>
+              ))}
+            </select>
+            <button type="button" className="btn-secondary" onClick={() => openDialog('boards')}>{t('header.manage')}</button>
+            <LanguagePicker />
+            <ThemePicker mode={themeMode} onChange={setThemeMode} />
+            <button
+              type="button"
+              className="btn-secondary notification-bell"
+              onClick={openNotificationHistory}
+              aria-label={unreadCount > 0 ? t('notifications.open', { count: unreadCount }) : t('notifications.title')}
+            >
+              <span aria-hidden="true">🔔</span>
+              {unreadCount > 0 && <span className="notification-badge" aria-hidden="true">{formatNumber(unreadCount)}</span>}
+            </button>
+          </div>
+          <p className="endpoint-badge" title={t('header.endpointSource', { source: endpoint.source })}>
+            <Trans
+              id="header.endpoint"
+              values={{
+                label: <strong>{t(`api.profile.${endpoint.profile}`)}</strong>,
+                location: isLocalEndpoint(endpoint) ? t('header.storedInBrowser') : <bdi>{apiUrl}</bdi>,
+              }}
+            />
+            <span className={`live-status live-status-${liveStatus}`}>● {t(`liveStatus.${liveStatus}`)}</span>
+            <button type="button" onClick={() => openDialog('apiSettings')}>{t('header.change')}</button>
+          </p>
+          {auth.providerKind !== AUTH_PROVIDER_KINDS.NONE && (
+            <p className="auth-bar">
+              {auth.user
+                ? <Trans id="auth.signedInAs" values={{ name: <strong>{auth.user.name}</strong>, role: t(`roles.${auth.role}`) }} />
+                : (auth.isExpired ? t('auth.sessionExpired') : t('auth.guest'))}
+              {auth.user
+                ? <button type="button" className="btn-secondary" onClick={handleLogout}>{t('auth.logOut')}</button>
+                : <button type="button" onClick={() => openDialog('login')}>{t('auth.logIn')}</button>}
+            </p>
+          )}
+        </header>
+
+        {route.page !== PAGES.ADMIN && can(PERMISSIONS.CLAIM_POINTS) && (
+          <div className="controls">
+            <div className="form-group">
+              <PlayerCombobox
+                id="claim-player"
+                users={visibleUsers}
+                selectedUserId={selectedUserId}
+                onSelect={handleSelectUser}
+                disabled={visibleUsers.length === 0 || isReadOnly}
+                placeholder={t('claim.placeholder')}
+              />
+              <button onClick={handleClaimPoints} disabled={!selectedUserId || isReadOnly}>{t('claim.submit')}</button>
             </div>
           </div>
         )}
 
-        <button className="fab add-user-fab" onClick={() => setIsAddUserModalOpen(true)}>+</button>
-        <button className="fab delete-user-fab" onClick={() => setIsDeleteUserModalOpen(true)}>🗑️</button>
-        <button className="fab actions-fab" onClick={() => setIsActionsMenuOpen(!isActionsMenuOpen)}>⚙️</button>
+        {isReadOnly && (
+          <div className="archived-banner">
+            {t('board.archivedBanner', { date: formatDate(activeBoard.archivedAt) })}
+          </div>
+        )}
         
-        {isActionsMenuOpen && (
-            <div className="actions-menu">
-                <button onClick={() => { handleGenerateTenUsers(); setIsActionsMenuOpen(false); }} disabled={isLoading}>Generate 10 Users</button>
-                <button className="btn-danger" onClick={() => { setIsClearScoresModalOpen(true); setIsActionsMenuOpen(false); }} disabled={users.length === 0}>Reset All Scores</button>
-                <button className="btn-danger" onClick={() => { setIsClearUsersModalOpen(true); setIsActionsMenuOpen(false); }} disabled={users.length === 0}>Delete All Users</button>
+        <ToastStack toasts={toasts} onDismiss={dismissToast} onShowHistory={openNotificationHistory} />
+        <LiveRegion message={announcement} />
+        {isLoading && <div className="loading">{t('common.loading')}</div>}
+        {error && <div className="error-message" role="alert">{error}</div>}
+
+        {route.page === PAGES.ADMIN && !can(PERMISSIONS.OPEN_ADMIN_AREA) && (
+          <div className="admin-panel admin-locked">
+            <h2>{t('admin.title')}</h2>
+            <p>{auth.user ? t('admin.roleCannot', { name: auth.user.name, role: t(`roles.${auth.role}`) }) : t('admin.logInAsAdmin')}</p>
+            <div className="admin-actions">
+              {auth.providerKind !== AUTH_PROVIDER_KINDS.NONE && <button type="button" onClick={() => openDialog('login')}>{auth.user ? t('admin.logInAsSomeoneElse') : t('auth.logIn')}</button>}
+              <button type="button" className="btn-secondary" onClick={goToBoard}>{t('common.backToBoard')}</button>
             </div>
+          </div>
+        )}
+        {route.page === PAGES.ADMIN && can(PERMISSIONS.OPEN_ADMIN_AREA) && (
+          <AdminPanel
+            boardName={activeBoardName}
+            playerCount={visibleUsers.length}
+            isReadOnly={isReadOnly}
+            isBusy={isLoading}
+            can={can}
+            onBack={goToBoard}
+            onGenerate={handleGenerateTenUsers}
+            onImport={() => openDialog('importPlayers')}
+            onAssignTeams={() => openDialog('teams')}
+            onDeletePlayer={() => openDialog('deletePlayer')}
+            onResetScores={handleClearAllScores}
+            onDeleteAll={handleClearAllUsers}
+            onManageBoards={() => openDialog('boards')}
+            onApiSettings={() => openDialog('apiSettings')}
+            onAuditLog={() => openDialog('auditLog')}
+            onBranding={() => openDialog('branding')}
+          />
         )}
 
-        <header>
-          <h1>Leaderboard Challenge</h1>
-        </header>
+        {!isLoading && !error && route.page !== PAGES.ADMIN && (teamNames.length > 0 || route.page === PAGES.TEAMS) && (
+          <nav className="view-tabs" aria-label={t('tabs.label')}>
+            <button type="button" className={route.page === PAGES.TEAMS ? 'btn-secondary' : undefined} aria-current={route.page !== PAGES.TEAMS ? 'page' : undefined} onClick={goToBoard}>{t('tabs.players')}</button>
+            <button type="button" className={route.page === PAGES.TEAMS ? undefined : 'btn-secondary'} aria-current={route.page === PAGES.TEAMS ? 'page' : undefined} onClick={() => navigate({ page: PAGES.TEAMS })}>{t('tabs.teams')}</button>
+          </nav>
+        )}
 
-        <div className="controls">
-          <div className="form-group">
-            <select value={selectedUserId} onChange={(e) => setSelectedUserId(e.target.value)} disabled={users.length === 0}>
-              <option value="" disabled>-- Select a User to Claim Points --</option>
-              {users.map((user) => (<option key={user._id} value={user._id}>{user.name}</option>))}
-            </select>
-            <button onClick={handleClaimPoints} disabled={!selectedUserId}>Claim Points</button>
+        {!isLoading && !error && route.page !== PAGES.ADMIN && visibleUsers.length > 0 && (
+          <div className="podium-toolbar">
+            <PodiumPicker settings={podiumSettings} onChange={updatePodiumSettings} />
           </div>
-        </div>
-        
-        {message && <div className="message">{message}</div>}
-        {isLoading && <div className="loading">Loading...</div>}
-        {error && <div className="error-message">{error}</div>}
+        )}
 
-        {!isLoading && !error && (
+        {!isLoading && !error && route.page === PAGES.TEAMS && (
+          <TeamStandings
+            teams={teamStandings}
+            scoring={teamScoring}
+            onChangeScoring={setTeamScoring}
+            onSelectTeam={openTeam}
+            podiumSettings={podiumSettings}
+            note={nextCursor ? t('teams.partialNote', { loaded: users.length, total: totalUsers }) : undefined}
+          />
+        )}
+
+        {!isLoading && !error && route.page !== PAGES.ADMIN && route.page !== PAGES.TEAMS && (
           <>
-            {topThreeUsers.length > 0 && <Podium topUsers={topThreeUsers} />}
+            {displayedUsers.length > 0 && (
+              <Podium
+                users={displayedUsers}
+                places={podiumSettings.places}
+                layout={podiumSettings.layout}
+                showAvatars={podiumSettings.showAvatars}
+                showGap={podiumSettings.showGap}
+                gains={podiumSettings.showRecentGains ? recentGains : undefined}
+                onSelectUser={openProfile}
+                movement={podiumMovement}
+              />
+            )}
             <div className="leaderboard">
-              {users.length > 0 && <h2>Full Rankings</h2>}
-              <table>
-                <thead>
-                  <tr>
-                    <th>Rank</th>
-                    <th>Name</th>
-                    <th>Points</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {users.length > 0 ? (
-                    users.map((user) => (
-                        <tr key={user._id}>
-                            <td>{user.rank}</td>
-                            <td>{user.name}</td>
-                            <td>{user.points}</td>
-                        </tr>
-                    ))
-                  ) : (
-                    <tr><td colSpan="3">No users found. Try deleting all users and restarting the server.</td></tr>
+              {visibleUsers.length > 0 && (
+                <h2>{t('rankings.title')}{nextCursor && <small className="rankings-count">{t('rankings.loadedCount', { loaded: users.length, total: totalUsers })}</small>}</h2>
+              )}
+              {visibleUsers.length > 0 && (
+                <div className="form-group table-filter">
+                  <input type="search" value={tableFilter} onChange={(e) => handleTableFilterChange(e.target.value)} placeholder={t('rankings.filterPlaceholder')} aria-label={t('rankings.filterLabel')} />
+                  {teamNames.length > 0 && (
+                    <select value={teamFilter} onChange={(e) => handleTeamFilterChange(e.target.value)} aria-label={t('rankings.teamFilterLabel')}>
+                      <option value="">{t('rankings.allTeams')}</option>
+                      {teamNames.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
                   )}
-                </tbody>
-              </table>
+                  <select value={rankBaseline} onChange={(e) => setRankBaseline(e.target.value)} aria-label={t('rankings.baselineLabel')}>
+                    {RANK_BASELINES.map(option => <option key={option} value={option}>{t(`rankBaseline.${option}`)}</option>)}
+                  </select>
+                  <RankingPicker ranking={ranking} onChange={setRanking} />
+                  <ColumnPicker optionalColumns={optionalColumns} onToggle={handleToggleColumn} />
+                </div>
+              )}
+              <RankingsTable
+                users={filteredUsers}
+                columns={columns}
+                sort={sort}
+                onSort={handleSort}
+                highlights={tableHighlights}
+                emptyMessage={tableFilter.trim()
+                  ? (teamFilter ? t('rankings.noMatchInTeam', { text: tableFilter, team: teamFilter }) : t('common.noPlayersMatch', { text: tableFilter }))
+                  : undefined}
+                onSelectUser={openProfile}
+                hasMore={Boolean(nextCursor)}
+                isLoadingMore={isLoadingMore}
+                onLoadMore={loadMoreUsers}
+                reduceMotion={prefersReducedMotion}
+              />
             </div>
           </>
         )}
@@ -0,0 +1,38 @@
+import { LIVE_STATUS } from './liveChannel';
+import { createApiError } from './errors';
+import { paginate } from './pagination';
+
+/**
+ * A read-only data source over the final standings saved when a board was archived.
+ * Every change is refused, and there is nothing to subscribe to.
+ * @param {{name: string, finalStandings: Array}} board - An archived board from api/boards.js.
+ * @param {{getAuditLog: Function}} liveSource - The board's regular data source, which still holds its audit log.
+ */
+export const createArchivedDataSource = (board, { getAuditLog }) => {
+    const refuse = async () => {
+        throw createApiError(403, `"${board.name}" is archived and read-only.`);
+    };
+
+    return {
+        kind: 'archived',
+        listUsers: async () => board.finalStandings || [],
+        listUsersPage: async (options) => paginate(board.finalStandings || [], options),
+        getUser: async (userId) => (board.finalStandings || []).find(user => user._id === userId) || null,
+        createUser: refuse,
+        claimPoints: refuse,
+        setUserTeam: refuse,
+        clearScores: refuse,
+        deleteAllUsers: refuse,
+        deleteUser: refuse,
+        sendOnUnload: () => false,
+        getClaimHistory: async () => ({ claims: [], source: 'local' }),
+        recordClaim: () => {},
+        listClaimHistory: () => ({}),
+        recordAudit: () => {},
+        getAuditLog,
+        subscribe: ({ onStatus = () => {} }) => {
+            onStatus(LIVE_STATUS.ARCHIVED);
+            return () => {};
+        },
+    };
+};
@@ -0,0 +1,27 @@
+// --- AUDIT LOG STORE ---
+
+// Oldest entries are dropped beyond this, so localStorage does not fill up
+const MAX_ENTRIES = 1000;
+
+/**
+ * Keeps audit entries (see utils/auditLog.js) in localStorage, oldest first.
+ * Used by the offline data source, and by the remote one when the backend has no audit endpoint.
+ * @param {{storage?: Storage, storageKey: string}} options
+ */
+export const createAuditLogStore = ({ storage = window.localStorage, storageKey }) => {
+    const read = () => {
+        try {
+            return JSON.parse(storage.getItem(storageKey)) || [];
+        } catch (err) {
+            return [];
+        }
+    };
+
+    return {
+        record: (entry) => {
+            storage.setItem(storageKey, JSON.stringify([...read(), entry].slice(-MAX_ENTRIES)));
+        },
+        list: () => read(),
+        clear: () => storage.removeItem(storageKey),
+    };
+};
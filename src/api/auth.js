@@ -0,0 +1,76 @@
+import axios from 'axios';
+import { isLocalEndpoint } from './config';
+import { createApiError } from './errors';
+import { normalizeSession } from './session';
+import { ROLES, normalizeRole } from '../utils/permissions';
+
+// --- AUTHENTICATION ---
+// A provider turns credentials into a session `{ token, user: { name, role }, expiresAt }`.
+// Which one is used comes from REACT_APP_AUTH_PROVIDER:
+//   remote - POST {api}/auth/login (the default for real backends in production builds)
+//   stub   - signs in locally as any name and role, for development and Offline mode
+//   none   - no login at all; everyone may do everything (for backends without authentication)
+
+export const AUTH_PROVIDER_KINDS = { REMOTE: 'remote', STUB: 'stub', NONE: 'none' };
+
+// Session lengths offered by the stub provider, so expiry can be tried out without waiting an hour
+export const STUB_SESSION_MINUTES = [1, 15, 60];
+
+/**
+ * Logs in against the backend.
+ * @param {string} baseUrl - The API root, e.g. "http://localhost:5000/api".
+ */
+const createRemoteAuthProvider = (baseUrl) => ({
+    kind: AUTH_PROVIDER_KINDS.REMOTE,
+    anonymousRole: ROLES.VIEWER,
+    /**
+     * @param {{username: string, password: string}} credentials
+     */
+    login: async ({ username, password }) => {
+        const { data } = await axios.post(`${baseUrl}/auth/login`, { username, password });
+        return normalizeSession(data, username);
+    },
+});
+
+/**
+ * Signs in without a server: any name, any role, with a made-up token. Never use it in production.
+ */
+const createStubAuthProvider = () => ({
+    kind: AUTH_PROVIDER_KINDS.STUB,
+    anonymousRole: ROLES.VIEWER,
+    /**
+     * @param {{username: string, role: string, sessionMinutes?: number}} credentials
+     */
+    login: async ({ username, role, sessionMinutes = 60 }) => {
+        if (!username.trim()) throw createApiError(400, 'Enter a name.');
+        const normalizedRole = normalizeRole(role);
+        return {
+            token: `stub.${normalizedRole}.${Math.random().toString(36).slice(2)}`,
+            user: { name: username.trim(), role: normalizedRole },
+            expiresAt: new Date(Date.now() + sessionMinutes * 60 * 1000).toISOString(),
+        };
+    },
+});
+
+const noAuthProvider = {
+    kind: AUTH_PROVIDER_KINDS.NONE,
+    anonymousRole: ROLES.ADMIN,
+    login: async () => {
+        throw createApiError(501, 'Logging in is turned off for this app.');
+    },
+};
+
+/**
+ * Picks the auth provider for an endpoint resolved by api/config.js.
+ * Without REACT_APP_AUTH_PROVIDER, Offline mode and development builds use the stub.
+ * @param {{profile: string, url: string}} endpoint
+ */
+export const createAuthProvider = (endpoint) => {
+    const configured = process.env.REACT_APP_AUTH_PROVIDER;
+    if (configured === AUTH_PROVIDER_KINDS.NONE) return noAuthProvider;
+    if (configured === AUTH_PROVIDER_KINDS.STUB) return createStubAuthProvider();
+    if (!configured && (isLocalEndpoint(endpoint) || process.env.NODE_ENV === 'development')) {
+        return createStubAuthProvider();
+    }
+    return createRemoteAuthProvider(endpoint.url);
+};
@@ -0,0 +1,106 @@
+// --- LEADERBOARDS & SEASONS ---
+// The list of boards is kept in this browser, one list per API endpoint. The default board is the
+// original global `/users` list; every other board lives under `/boards/:id` on the same backend.
+// The backend does not know about the list or about archiving, so an archive only holds in this browser.
+
+export const DEFAULT_BOARD_ID = 'default';
+
+export const DEFAULT_BOARD = {
+    id: DEFAULT_BOARD_ID,
+    name: 'Main Leaderboard',
+    status: 'active',
+    createdAt: null,
+};
+
+/**
+ * The name to show for a board. The default board's saved name is only a fallback: it is shown in the viewer's
+ * language instead. Ranking exports keep the saved name, like the rest of their text.
+ * @param {{id: string, name: string}} board
+ * @param {Function} t - The translator from useI18n.
+ */
+export const boardDisplayName = (board, t) => (board.id === DEFAULT_BOARD_ID ? t('boards.defaultName') : board.name);
+
+const storageKey = (endpointUrl) => `leaderboard.boards.${endpointUrl}`;
+
+/**
+ * Reads the boards and the active board id saved for an endpoint. The default board is always present.
+ * @param {string} endpointUrl
+ * @returns {{boards: Array, activeBoardId: string}}
+ */
+export const loadBoards = (endpointUrl) => {
+    let saved = null;
+    try {
+        saved = JSON.parse(window.localStorage.getItem(storageKey(endpointUrl)));
+    } catch (err) {
+        // Fall through to the defaults
+    }
+    const boards = saved?.boards?.length ? saved.boards : [DEFAULT_BOARD];
+    const activeBoardId = boards.some(b => b.id === saved?.activeBoardId) ? saved.activeBoardId : DEFAULT_BOARD_ID;
+    return { boards, activeBoardId };
+};
+
+/**
+ * Persists the boards and the active board id for an endpoint.
+ * @param {string} endpointUrl
+ * @param {{boards: Array, activeBoardId: string}} state
+ */
+export const saveBoards = (endpointUrl, { boards, activeBoardId }) => {
+    window.localStorage.setItem(storageKey(endpointUrl), JSON.stringify({ boards, activeBoardId }));
+};
+
+/**
+ * Makes a URL-safe id from a board name, e.g. "Spring Cup 2025" -> "spring-cup-2025-k3f9".
+ * The random suffix keeps two boards with the same name apart.
+ * @param {string} name
+ */
+const createBoardId = (name) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `${slug || 'board'}-${Math.random().toString(36).slice(2, 6)}`;
+};
+
+/**
+ * Creates a new, empty, active board.
+ * @param {string} name
+ */
+export const createBoard = (name) => ({
+    id: createBoardId(name),
+    name: name.trim(),
+    status: 'active',
+    createdAt: new Date().toISOString(),
+});
+
+/**
+ * Whether a string can be a board id, e.g. one taken from a shared link. Ids end up in API paths.
+ * @param {string} boardId
+ */
+export const isValidBoardId = (boardId) => /^[a-z0-9][a-z0-9-]{0,60}$/.test(boardId);
+
+/**
+ * A board record for an id this browser has not seen yet, e.g. from a link someone shared.
+ * The name is guessed from the id: "spring-cup-2025-k3f9" -> "Spring Cup 2025".
+ * @param {string} boardId
+ */
+export const boardFromId = (boardId) => ({
+    id: boardId,
+    name: boardId
+        .replace(/-[a-z0-9]{4}$/, '')
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '),
+    status: 'active',
+    createdAt: null,
+});
+
+/**
+ * Returns an archived copy of a board that keeps its final standings for the read-only view.
+ * @param {object} board
+ * @param {Array} finalStandings - The ranked users at the moment of archiving.
+ */
+export const archiveBoard = (board, finalStandings) => ({
+    ...board,
+    status: 'archived',
+    archivedAt: new Date().toISOString(),
+    finalStandings: finalStandings.map(({ _id, name, points, rank }) => ({ _id, name, points, rank })),
+});
+
+export const isArchived = (board) => board.status === 'archived';
@@ -0,0 +1,56 @@
+// --- CLAIM HISTORY ---
+
+/**
+ * Keeps a per-player list of point claims in localStorage.
+ * Used by the offline data source, and by the remote one when the backend has no history endpoint.
+ * Each entry looks like `{ points, totalAfter, rankAfter, claimedAt }`.
+ * @param {{storage?: Storage, storageKey: string}} options
+ */
+export const createClaimHistoryStore = ({ storage = window.localStorage, storageKey }) => {
+    const read = () => {
+        try {
+            return JSON.parse(storage.getItem(storageKey)) || {};
+        } catch (err) {
+            return {};
+        }
+    };
+    const write = (historyByUser) => storage.setItem(storageKey, JSON.stringify(historyByUser));
+
+    return {
+        /**
+         * Appends a claim to a player's history. A claim that repeats the previous entry
+         * (the same claim reported twice, e.g. by this tab and by the live stream) is ignored.
+         * @param {string} userId
+         * @param {{points: number, totalAfter: number, rankAfter?: number, claimedAt?: string}} claim
+         */
+        record: (userId, { points, totalAfter, rankAfter = null, claimedAt = new Date().toISOString() }) => {
+            const historyByUser = read();
+            const claims = historyByUser[userId] || [];
+            const last = claims[claims.length - 1];
+            if (last && last.points === points && last.totalAfter === totalAfter) return;
+            historyByUser[userId] = [...claims, { points, totalAfter, rankAfter, claimedAt }];
+            write(historyByUser);
+        },
+        list: (userId) => read()[userId] || [],
+        listAll: () => read(),
+        removeUser: (userId) => {
+            const historyByUser = read();
+            delete historyByUser[userId];
+            write(historyByUser);
+        },
+        clear: () => storage.removeItem(storageKey),
+    };
+};
+
+/**
+ * Normalizes whatever a history endpoint returns into the entry shape used by the store.
+ * Accepts either a bare array or `{ claims: [...] }`, with `points` or `pointsClaimed` and `claimedAt` or `createdAt`.
+ * @param {Array | {claims: Array}} body
+ */
+export const normalizeClaimHistory = (body) =>
+    (Array.isArray(body) ? body : body?.claims || []).map(claim => ({
+        points: claim.points ?? claim.pointsClaimed,
+        totalAfter: claim.totalAfter ?? null,
+        rankAfter: claim.rankAfter ?? null,
+        claimedAt: claim.claimedAt || claim.createdAt,
+    }));
@@ -0,0 +1,117 @@
+// --- API ENDPOINT CONFIGURATION ---
+
+// localStorage key for the endpoint chosen in the settings panel
+const SETTINGS_KEY = 'leaderboard.apiSettings';
+// Query parameter that overrides the endpoint for the current page load, e.g. ?api=local or ?api=https://host/api
+const QUERY_PARAM = 'api';
+
+/**
+ * The named backend profiles. Each URL can be replaced at build time with the matching
+ * REACT_APP_* variable. A profile without a URL is shown in the settings panel but cannot be picked.
+ * Profiles with `type: 'local'` do not use the network at all; see api/localDataSource.js.
+ * Their display names are in the message catalogs, under `api.profile.*`.
+ */
+export const API_PROFILES = {
+    local: {
+        url: process.env.REACT_APP_LOCAL_API_URL || 'http://localhost:5000/api',
+    },
+    staging: {
+        url: process.env.REACT_APP_STAGING_API_URL || '',
+    },
+    production: {
+        url: process.env.REACT_APP_PRODUCTION_API_URL || 'https://leaderboard-backend-lceg.onrender.com/api',
+    },
+    offline: {
+        url: 'browser://local',
+        type: 'local',
+    },
+};
+
+// The profile name used for a free-form URL that does not belong to a named profile
+export const CUSTOM_PROFILE = 'custom';
+
+/**
+ * Removes trailing slashes so paths like `${url}/users` never contain "//".
+ * @param {string} url
+ */
+const normalizeUrl = (url) => url.trim().replace(/\/+$/, '');
+
+/**
+ * Turns a profile name or a raw URL into an endpoint description.
+ * @param {string} value - A key of API_PROFILES or an absolute http(s) URL.
+ * @returns {{profile: string, url: string} | null} null when the value is neither.
+ */
+export const endpointFromValue = (value) => {
+    if (!value) return null;
+    const profile = API_PROFILES[value];
+    if (profile) {
+        return profile.url ? { profile: value, url: normalizeUrl(profile.url) } : null;
+    }
+    if (/^https?:\/\//i.test(value)) {
+        return { profile: CUSTOM_PROFILE, url: normalizeUrl(value) };
+    }
+    return null;
+};
+
+/**
+ * Reads the endpoint saved from the settings panel, if any.
+ */
+export const loadSavedEndpoint = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+        if (!saved) return null;
+        return saved.profile === CUSTOM_PROFILE ? endpointFromValue(saved.url) : endpointFromValue(saved.profile);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Persists the endpoint chosen in the settings panel. Passing null forgets it.
+ * @param {{profile: string, url: string} | null} endpoint
+ */
+export const saveEndpoint = (endpoint) => {
+    if (endpoint) {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(endpoint));
+    } else {
+        window.localStorage.removeItem(SETTINGS_KEY);
+    }
+};
+
+/**
+ * The endpoint baked in at build time: REACT_APP_API_URL wins, then REACT_APP_API_PROFILE,
+ * then the production profile.
+ */
+export const getBuildEndpoint = () =>
+    endpointFromValue(process.env.REACT_APP_API_URL) ||
+    endpointFromValue(process.env.REACT_APP_API_PROFILE) ||
+    endpointFromValue('production');
+
+/**
+ * Works out which backend the app should talk to.
+ * Precedence: ?api= query parameter, then the saved setting, then the build-time default.
+ * @returns {{profile: string, url: string, source: 'query' | 'saved' | 'build'}}
+ */
+export const resolveEndpoint = () => {
+    const fromQuery = endpointFromValue(new URLSearchParams(window.location.search).get(QUERY_PARAM));
+    if (fromQuery) return { ...fromQuery, source: 'query' };
+    const saved = loadSavedEndpoint();
+    if (saved) return { ...saved, source: 'saved' };
+    return { ...getBuildEndpoint(), source: 'build' };
+};
+
+/**
+ * Drops the ?api= override from the address bar so that a newly saved setting takes effect on reload.
+ */
+export const clearQueryOverride = () => {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(QUERY_PARAM)) return;
+    url.searchParams.delete(QUERY_PARAM);
+    window.history.replaceState(null, '', url);
+};
+
+/**
+ * Whether an endpoint is served from the browser instead of a backend.
+ * @param {{profile: string}} endpoint
+ */
+export const isLocalEndpoint = (endpoint) => API_PROFILES[endpoint.profile]?.type === 'local';
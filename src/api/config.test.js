@@ -0,0 +1,52 @@
+import { endpointFromValue, resolveEndpoint, saveEndpoint, clearQueryOverride, API_PROFILES, CUSTOM_PROFILE } from './config';
+
+const BUILD_VARIABLES = ['REACT_APP_API_URL', 'REACT_APP_API_PROFILE'];
+const originalEnv = Object.fromEntries(BUILD_VARIABLES.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+    saveEndpoint(null);
+    window.history.replaceState(null, '', '/');
+    BUILD_VARIABLES.forEach(name => {
+        if (originalEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = originalEnv[name];
+    });
+});
+
+test('turns profile names and http(s) URLs into endpoints', () => {
+    expect(endpointFromValue('offline')).toEqual({ profile: 'offline', url: API_PROFILES.offline.url });
+    expect(endpointFromValue('https://example.com/api//')).toEqual({ profile: CUSTOM_PROFILE, url: 'https://example.com/api' });
+    expect(endpointFromValue('HTTP://example.com')).toEqual({ profile: CUSTOM_PROFILE, url: 'HTTP://example.com' });
+    expect(endpointFromValue('ftp://example.com')).toBeNull();
+    expect(endpointFromValue('nowhere')).toBeNull();
+    expect(endpointFromValue('')).toBeNull();
+    expect(endpointFromValue(null)).toBeNull();
+});
+
+test('prefers the ?api= override, then the saved choice, then the build settings, then production', () => {
+    delete process.env.REACT_APP_API_URL;
+    delete process.env.REACT_APP_API_PROFILE;
+    expect(resolveEndpoint()).toEqual({ profile: 'production', url: API_PROFILES.production.url, source: 'build' });
+
+    process.env.REACT_APP_API_PROFILE = 'offline';
+    expect(resolveEndpoint()).toEqual({ profile: 'offline', url: API_PROFILES.offline.url, source: 'build' });
+    process.env.REACT_APP_API_URL = 'https://env.example.com/api/';
+    expect(resolveEndpoint()).toEqual({ profile: CUSTOM_PROFILE, url: 'https://env.example.com/api', source: 'build' });
+
+    saveEndpoint({ profile: CUSTOM_PROFILE, url: 'https://saved.example.com' });
+    expect(resolveEndpoint()).toEqual({ profile: CUSTOM_PROFILE, url: 'https://saved.example.com', source: 'saved' });
+
+    window.history.replaceState(null, '', '/?api=offline');
+    expect(resolveEndpoint()).toEqual({ profile: 'offline', url: API_PROFILES.offline.url, source: 'query' });
+
+    clearQueryOverride();
+    expect(window.location.search).toBe('');
+    expect(resolveEndpoint().source).toBe('saved');
+});
+
+test('ignores an unusable override or saved choice', () => {
+    delete process.env.REACT_APP_API_URL;
+    delete process.env.REACT_APP_API_PROFILE;
+    window.history.replaceState(null, '', '/?api=nowhere');
+    window.localStorage.setItem('leaderboard.apiSettings', '{not json');
+    expect(resolveEndpoint().source).toBe('build');
+});
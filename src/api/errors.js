@@ -0,0 +1,11 @@
+/**
+ * Builds an error shaped like an axios error response, so the handlers in App
+ * can treat every data source the same way.
+ * @param {number} status - The HTTP status the backend would have answered with.
+ * @param {string} message - The message the backend would have put in the body.
+ */
+export const createApiError = (status, message) => {
+    const error = new Error(message);
+    error.response = { status, data: { message } };
+    return error;
+};
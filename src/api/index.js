@@ -0,0 +1,23 @@
+import { isLocalEndpoint } from './config';
+import { DEFAULT_BOARD, DEFAULT_BOARD_ID, isArchived } from './boards';
+import { createLocalDataSource } from './localDataSource';
+import { createRemoteDataSource } from './remoteDataSource';
+import { createArchivedDataSource } from './archivedDataSource';
+
+/**
+ * Picks the data source implementation for an endpoint resolved by api/config.js and a board from api/boards.js.
+ * All implementations expose the same methods: listUsers, listUsersPage, getUser, createUser, claimPoints,
+ * setUserTeam, clearScores, deleteAllUsers and deleteUser, plus claim history, the audit log and live updates.
+ * `sendOnUnload(event)` sends a deferred delete or reset while the page closes, and returns false where the
+ * regular method is already safe to call then.
+ * @param {{profile: string, url: string}} endpoint
+ * @param {object} [board] - Defaults to the main board, i.e. the plain `/users` list.
+ * @param {{getToken?: Function, onUnauthorized?: Function}} [auth] - Passed to the remote data source; see useAuth.
+ */
+export const createDataSource = (endpoint, board = DEFAULT_BOARD, auth = {}) => {
+    const isDefaultBoard = board.id === DEFAULT_BOARD_ID;
+    const liveSource = isLocalEndpoint(endpoint)
+        ? createLocalDataSource(isDefaultBoard ? {} : { storageKey: `leaderboard.local.boards.${board.id}.users` })
+        : createRemoteDataSource(isDefaultBoard ? endpoint.url : `${endpoint.url}/boards/${encodeURIComponent(board.id)}`, auth);
+    return isArchived(board) ? createArchivedDataSource(board, liveSource) : liveSource;
+};
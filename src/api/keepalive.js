@@ -0,0 +1,38 @@
+import { USER_DELETED, SCORES_RESET, USERS_CLEARED } from '../utils/leaderboardEvents';
+
+// --- REQUESTS THAT OUTLIVE THE PAGE ---
+// A delete or reset still in its undo window when the page is closed has to be sent right then. Requests made
+// through axios are usually cancelled as the page unloads, so these go out as `fetch` with `keepalive`, which
+// the browser finishes in the background. Their answer is never read.
+
+/**
+ * The REST request that makes a leaderboard change happen, matching the data source's own methods.
+ * @param {string} baseUrl - The API root of the board.
+ * @param {{type: string, userId?: string}} event - A deferred change (see utils/leaderboardEvents.js).
+ * @returns {{method: string, url: string} | null} null for changes that are never deferred.
+ */
+export const requestForChange = (baseUrl, event) => {
+    switch (event.type) {
+        case USER_DELETED:
+            return { method: 'DELETE', url: `${baseUrl}/users/${event.userId}` };
+        case USERS_CLEARED:
+            return { method: 'DELETE', url: `${baseUrl}/users` };
+        case SCORES_RESET:
+            return { method: 'POST', url: `${baseUrl}/users/clear-scores` };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Sends a request that the browser keeps going after the page has gone.
+ * @param {{method: string, url: string}} request
+ * @param {string | null} token - Sent as `Authorization: Bearer …`, like every other request.
+ * @returns {boolean} Whether a request went out.
+ */
+export const sendKeepalive = ({ method, url }, token) => {
+    if (typeof fetch !== 'function') return false;
+    fetch(url, { method, keepalive: true, headers: token ? { Authorization: `Bearer ${token}` } : {} })
+        .catch(err => console.error('Error sending a change as the page closed:', err));
+    return true;
+};
@@ -0,0 +1,24 @@
+import { requestForChange, sendKeepalive } from './keepalive';
+import { USER_DELETED, SCORES_RESET, USERS_CLEARED, USER_CREATED } from '../utils/leaderboardEvents';
+
+const originalFetch = global.fetch;
+afterEach(() => { global.fetch = originalFetch; });
+
+test('maps each deferred change to its REST request', () => {
+    const baseUrl = 'https://example.com/api';
+    expect(requestForChange(baseUrl, { type: USER_DELETED, userId: 'g1' })).toEqual({ method: 'DELETE', url: 'https://example.com/api/users/g1' });
+    expect(requestForChange(baseUrl, { type: USERS_CLEARED })).toEqual({ method: 'DELETE', url: 'https://example.com/api/users' });
+    expect(requestForChange(baseUrl, { type: SCORES_RESET })).toEqual({ method: 'POST', url: 'https://example.com/api/users/clear-scores' });
+    expect(requestForChange(baseUrl, { type: USER_CREATED, user: {} })).toBeNull();
+});
+
+test('sends the request with keepalive and the token', () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+    expect(sendKeepalive({ method: 'DELETE', url: 'https://example.com/api/users/g1' }, 't1')).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/api/users/g1', {
+        method: 'DELETE', keepalive: true, headers: { Authorization: 'Bearer t1' },
+    });
+
+    sendKeepalive({ method: 'DELETE', url: 'https://example.com/api/users' }, null);
+    expect(global.fetch).toHaveBeenLastCalledWith('https://example.com/api/users', { method: 'DELETE', keepalive: true, headers: {} });
+});
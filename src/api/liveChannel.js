@@ -0,0 +1,146 @@
+import { diffUsers, USER_CREATED, USER_UPDATED, POINTS_CLAIMED, USER_DELETED, SCORES_RESET, USERS_CLEARED } from '../utils/leaderboardEvents';
+
+// --- LIVE UPDATES ---
+
+/**
+ * The states a live subscription reports through its `onStatus` callback.
+ */
+export const LIVE_STATUS = {
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    RECONNECTING: 'reconnecting',
+    POLLING: 'polling',
+    ARCHIVED: 'archived',
+};
+
+// 'sse' (default), 'websocket' or 'polling'; the first two fall back to polling when they cannot connect
+const TRANSPORT = process.env.REACT_APP_LIVE_TRANSPORT || 'sse';
+const POLL_INTERVAL_MS = Number(process.env.REACT_APP_LIVE_POLL_INTERVAL_MS) || 5000;
+const RECONNECT_DELAY_MS = 3000;
+const EVENT_TYPES = [USER_CREATED, USER_UPDATED, POINTS_CLAIMED, USER_DELETED, SCORES_RESET, USERS_CLEARED];
+
+/**
+ * Parses a message from the server into a leaderboard event.
+ * Accepts both `{type, ...}` bodies and named SSE events whose body is just the payload.
+ * @param {string} data - The raw message body.
+ * @param {string} [namedType] - The SSE event name, when the server used one.
+ * @returns {object | null} null for anything that is not a known event.
+ */
+const parseEvent = (data, namedType) => {
+    try {
+        const payload = JSON.parse(data);
+        const event = { ...payload, type: namedType || payload.type };
+        if (event.type === USER_DELETED && !event.userId) event.userId = event.user?._id;
+        return EVENT_TYPES.includes(event.type) ? event : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Subscribes to leaderboard changes from the REST backend.
+ * Tries the configured streaming transport first (SSE at `/users/events`, or a WebSocket at `/live`)
+ * and falls back to polling `/users` if the stream never opens.
+ * @param {{baseUrl: string, listUsers: Function, getToken?: Function, onEvent: Function, onStatus?: Function, onResync?: Function}} options
+ *   `onResync` is called when a dropped stream comes back, since events may have been missed meanwhile.
+ *   Streams cannot send headers, so the token from `getToken` goes into the URL as `?access_token=`.
+ * @returns {Function} Unsubscribes and releases the connection.
+ */
+export const subscribeToRemote = ({ baseUrl, listUsers, getToken = () => null, onEvent, onStatus = () => {}, onResync = () => {} }) => {
+    let stopped = false;
+    let everConnected = false;
+    let cleanup = () => {};
+
+    const emit = (event) => {
+        if (event && !stopped) onEvent(event);
+    };
+
+    const startPolling = () => {
+        if (stopped) return;
+        onStatus(LIVE_STATUS.POLLING);
+        let snapshot = null;
+        const poll = async () => {
+            try {
+                const users = await listUsers();
+                if (snapshot && !stopped) diffUsers(snapshot, users).forEach(emit);
+                snapshot = users;
+            } catch (err) {
+                // Keep the previous snapshot; the next tick will catch up
+            }
+        };
+        poll();
+        const timer = setInterval(poll, POLL_INTERVAL_MS);
+        cleanup = () => clearInterval(timer);
+    };
+
+    // Called whenever a stream opens; a second open means events may have been missed in between
+    const handleOpen = () => {
+        if (everConnected) onResync();
+        everConnected = true;
+        onStatus(LIVE_STATUS.LIVE);
+    };
+
+    const withToken = (url) => {
+        const token = getToken();
+        return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
+    };
+
+    const startWebSocket = () => {
+        let retryTimer;
+        const socket = new WebSocket(withToken(`${baseUrl.replace(/^http/i, 'ws')}/live`));
+        socket.onopen = handleOpen;
+        socket.onmessage = (e) => emit(parseEvent(e.data));
+        socket.onclose = () => {
+            if (stopped) return;
+            if (!everConnected) {
+                startPolling();
+                return;
+            }
+            onStatus(LIVE_STATUS.RECONNECTING);
+            retryTimer = setTimeout(startWebSocket, RECONNECT_DELAY_MS);
+        };
+        cleanup = () => {
+            clearTimeout(retryTimer);
+            socket.onclose = null;
+            socket.close();
+        };
+    };
+
+    const startEventSource = () => {
+        const source = new EventSource(withToken(`${baseUrl}/users/events`));
+        // EventSource reconnects by itself after a drop and fires "open" again
+        source.onopen = handleOpen;
+        source.onmessage = (e) => emit(parseEvent(e.data));
+        EVENT_TYPES.forEach(type => source.addEventListener(type, (e) => emit(parseEvent(e.data, type))));
+        source.onerror = () => {
+            if (stopped) return;
+            if (!everConnected) {
+                source.close();
+                startPolling();
+            } else if (source.readyState === EventSource.CLOSED) {
+                // The browser gave up reconnecting (e.g. the server answered with an error), so poll instead;
+                // polling only reports changes from its first snapshot on, so catch up on what was missed first
+                source.close();
+                onResync();
+                startPolling();
+            } else {
+                onStatus(LIVE_STATUS.RECONNECTING);
+            }
+        };
+        cleanup = () => source.close();
+    };
+
+    onStatus(LIVE_STATUS.CONNECTING);
+    if (TRANSPORT === 'websocket' && typeof WebSocket !== 'undefined') {
+        startWebSocket();
+    } else if (TRANSPORT === 'sse' && typeof EventSource !== 'undefined') {
+        startEventSource();
+    } else {
+        startPolling();
+    }
+
+    return () => {
+        stopped = true;
+        cleanup();
+    };
+};
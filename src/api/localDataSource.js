@@ -0,0 +1,137 @@
+import { rankUsers } from '../utils/ranking';
+import { normalizeTeamName } from '../utils/teams';
+import { diffUsers } from '../utils/leaderboardEvents';
+import { LIVE_STATUS } from './liveChannel';
+import { createClaimHistoryStore } from './claimHistoryStore';
+import { createAuditLogStore } from './auditLogStore';
+import { createApiError } from './errors';
+import { paginate } from './pagination';
+
+// The range of points a single claim can award, mirroring the backend
+export const CLAIM_POINTS_RANGE = { min: 1, max: 10 };
+
+const DEFAULT_STORAGE_KEY = 'leaderboard.local.users';
+const HISTORY_KEY_SUFFIX = '.history';
+const AUDIT_KEY_SUFFIX = '.audit';
+
+/**
+ * Generates a 24 character hex id, the same shape as the MongoDB ids the backend returns.
+ */
+const createId = () =>
+    Array.from({ length: 24 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+
+/**
+ * A data source that keeps the whole leaderboard in the browser, so the app works with no backend.
+ * It follows the same contract as the REST API: ranked `/users`, random point claims, score resets and deletes.
+ * @param {{storage?: Storage, storageKey?: string, random?: Function}} [options]
+ *   `storage` defaults to window.localStorage; `random` can be swapped for a deterministic generator in tests.
+ */
+export const createLocalDataSource = ({ storage = window.localStorage, storageKey = DEFAULT_STORAGE_KEY, random = Math.random } = {}) => {
+    const parse = (value) => {
+        try {
+            return JSON.parse(value) || [];
+        } catch (err) {
+            return [];
+        }
+    };
+    const read = () => parse(storage.getItem(storageKey));
+    const write = (users) => storage.setItem(storageKey, JSON.stringify(users));
+    const findRanked = (userId) => rankUsers(read()).find(user => user._id === userId);
+    const history = createClaimHistoryStore({ storage, storageKey: `${storageKey}${HISTORY_KEY_SUFFIX}` });
+    const auditLog = createAuditLogStore({ storage, storageKey: `${storageKey}${AUDIT_KEY_SUFFIX}` });
+
+    return {
+        kind: 'local',
+
+        listUsers: async () => rankUsers(read()),
+
+        listUsersPage: async (options) => paginate(rankUsers(read()), options),
+
+        getUser: async (userId) => findRanked(userId) || null,
+
+        createUser: async ({ name, points = 0, team = null }) => {
+            const trimmed = (name || '').trim();
+            if (!trimmed) throw createApiError(400, 'User name is required.');
+            const users = read();
+            if (users.some(user => user.name.toLowerCase() === trimmed.toLowerCase())) {
+                throw createApiError(400, `User "${trimmed}" already exists.`);
+            }
+            const user = { _id: createId(), name: trimmed, points: Number(points) || 0, team: normalizeTeamName(team), createdAt: new Date().toISOString() };
+            write([...users, user]);
+            return findRanked(user._id);
+        },
+
+        claimPoints: async (userId) => {
+            const users = read();
+            const user = users.find(u => u._id === userId);
+            if (!user) throw createApiError(404, 'User not found.');
+            const { min, max } = CLAIM_POINTS_RANGE;
+            const pointsClaimed = min + Math.floor(random() * (max - min + 1));
+            user.points += pointsClaimed;
+            // Lets ties be broken by who reached the score first
+            user.reachedAt = new Date().toISOString();
+            write(users);
+            const updatedUser = findRanked(userId);
+            history.record(userId, { points: pointsClaimed, totalAfter: updatedUser.points, rankAfter: updatedUser.rank });
+            return { updatedUser, pointsClaimed };
+        },
+
+        setUserTeam: async (userId, team) => {
+            const users = read();
+            const user = users.find(u => u._id === userId);
+            if (!user) throw createApiError(404, 'User not found.');
+            user.team = normalizeTeamName(team);
+            write(users);
+            return findRanked(userId);
+        },
+
+        clearScores: async () => {
+            write(read().map(({ reachedAt, ...user }) => ({ ...user, points: 0 })));
+            return { message: 'All scores have been cleared.' };
+        },
+
+        deleteAllUsers: async () => {
+            write([]);
+            history.clear();
+            return { message: 'All users have been deleted.' };
+        },
+
+        deleteUser: async (userId) => {
+            const users = read();
+            if (!users.some(user => user._id === userId)) throw createApiError(404, 'User not found.');
+            write(users.filter(user => user._id !== userId));
+            history.removeUser(userId);
+            return { message: 'User deleted.' };
+        },
+
+        // Changes are written the moment the regular methods are called, so closing the page cannot cut them off
+        sendOnUnload: () => false,
+
+        getClaimHistory: async (userId) => ({ claims: history.list(userId), source: 'local' }),
+
+        listClaimHistory: () => history.listAll(),
+
+        // Claims are already recorded by claimPoints, in whichever tab made them
+        recordClaim: () => {},
+
+        recordAudit: (entry) => auditLog.record(entry),
+
+        getAuditLog: async () => ({ entries: auditLog.list(), source: 'local' }),
+
+        /**
+         * Reports changes made by other tabs of this browser. Changes made through this
+         * object are not reported back; the caller already knows about them.
+         * @param {{onEvent: Function, onStatus?: Function}} handlers
+         * @returns {Function} Unsubscribe.
+         */
+        subscribe: ({ onEvent, onStatus = () => {} }) => {
+            const handleStorage = (e) => {
+                if (e.storageArea !== storage || e.key !== storageKey) return;
+                diffUsers(rankUsers(parse(e.oldValue)), rankUsers(parse(e.newValue))).forEach(onEvent);
+            };
+            window.addEventListener('storage', handleStorage);
+            onStatus(LIVE_STATUS.LIVE);
+            return () => window.removeEventListener('storage', handleStorage);
+        },
+    };
+};
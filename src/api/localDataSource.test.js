@@ -0,0 +1,120 @@
+import { createLocalDataSource, CLAIM_POINTS_RANGE } from './localDataSource';
+
+const createMemoryStorage = () => {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: (key) => { delete items[key]; },
+    };
+};
+
+const setup = (random = () => 0.5) => createLocalDataSource({ storage: createMemoryStorage(), random });
+
+test('creates users and lists them ranked by points', async () => {
+    const source = setup();
+    await source.createUser({ name: 'Ada', points: 5 });
+    await source.createUser({ name: 'Linus', points: 12 });
+    await source.createUser({ name: 'Grace' });
+
+    const users = await source.listUsers();
+    expect(users.map(u => [u.rank, u.name, u.points])).toEqual([
+        [1, 'Linus', 12],
+        [2, 'Ada', 5],
+        [3, 'Grace', 0],
+    ]);
+});
+
+test('looks up a single ranked player', async () => {
+    const source = setup();
+    await source.createUser({ name: 'Ada', points: 5 });
+    const linus = await source.createUser({ name: 'Linus', points: 12 });
+    expect(await source.getUser(linus._id)).toMatchObject({ name: 'Linus', rank: 1 });
+    expect(await source.getUser('nobody')).toBeNull();
+});
+
+test('rejects blank and duplicate names with an axios-like error', async () => {
+    const source = setup();
+    await source.createUser({ name: 'Ada' });
+
+    await expect(source.createUser({ name: '  ' })).rejects.toMatchObject({ response: { status: 400 } });
+    await expect(source.createUser({ name: 'ada' })).rejects.toMatchObject({
+        response: { data: { message: 'User "ada" already exists.' } },
+    });
+});
+
+test('claims a random amount of points and returns the re-ranked user', async () => {
+    const source = setup(() => 0.999);
+    const ada = await source.createUser({ name: 'Ada' });
+    await source.createUser({ name: 'Linus', points: 3 });
+
+    const { updatedUser, pointsClaimed } = await source.claimPoints(ada._id);
+    expect(pointsClaimed).toBe(CLAIM_POINTS_RANGE.max);
+    expect(updatedUser).toMatchObject({ name: 'Ada', points: CLAIM_POINTS_RANGE.max, rank: 1 });
+    await expect(source.claimPoints('missing')).rejects.toMatchObject({ response: { status: 404 } });
+});
+
+test('clears scores and deletes users', async () => {
+    const source = setup();
+    const ada = await source.createUser({ name: 'Ada', points: 7 });
+    await source.createUser({ name: 'Linus', points: 3 });
+
+    await source.clearScores();
+    expect((await source.listUsers()).every(u => u.points === 0)).toBe(true);
+
+    await source.deleteUser(ada._id);
+    expect((await source.listUsers()).map(u => u.name)).toEqual(['Linus']);
+
+    await source.deleteAllUsers();
+    expect(await source.listUsers()).toEqual([]);
+});
+
+test('records every claim in the player history', async () => {
+    const source = setup(() => 0);
+    const ada = await source.createUser({ name: 'Ada' });
+    await source.claimPoints(ada._id);
+    await source.claimPoints(ada._id);
+
+    const { claims, source: origin } = await source.getClaimHistory(ada._id);
+    expect(origin).toBe('local');
+    expect(claims.map(c => [c.points, c.totalAfter, c.rankAfter])).toEqual([[1, 1, 1], [1, 2, 1]]);
+
+    await source.deleteUser(ada._id);
+    expect((await source.getClaimHistory(ada._id)).claims).toEqual([]);
+});
+
+test('serves the ranked list one page at a time', async () => {
+    const source = setup();
+    for (const [name, points] of [['Ada', 5], ['Linus', 12], ['Grace', 9]]) {
+        await source.createUser({ name, points });
+    }
+
+    const first = await source.listUsersPage({ limit: 2 });
+    expect(first.users.map(u => u.name)).toEqual(['Linus', 'Grace']);
+    expect(first).toMatchObject({ total: 3, nextCursor: '2' });
+
+    const second = await source.listUsersPage({ cursor: first.nextCursor, limit: 2 });
+    expect(second.users.map(u => [u.rank, u.name])).toEqual([[3, 'Ada']]);
+    expect(second.nextCursor).toBeNull();
+});
+
+test('keeps the audit log, even after every player is deleted', async () => {
+    const source = setup();
+    source.recordAudit({ id: '1', action: 'add', players: [{ id: 'a1', name: 'Ada' }] });
+    source.recordAudit({ id: '2', action: 'deleteAll', players: [] });
+    await source.deleteAllUsers();
+
+    const { entries, source: origin } = await source.getAuditLog();
+    expect(origin).toBe('local');
+    expect(entries.map(e => e.id)).toEqual(['1', '2']);
+});
+
+test('moves players between teams', async () => {
+    const source = setup();
+    const ada = await source.createUser({ name: 'Ada', team: ' Red ' });
+    expect(ada.team).toBe('Red');
+
+    expect((await source.setUserTeam(ada._id, 'Blue')).team).toBe('Blue');
+    expect((await source.setUserTeam(ada._id, '')).team).toBeNull();
+    await expect(source.setUserTeam('nope', 'Red')).rejects.toMatchObject({ response: { status: 404 } });
+});
@@ -0,0 +1,29 @@
+/**
+ * Cuts one page out of a fully ranked list, using the position of the next item as the cursor.
+ * This is how the in-browser data sources answer paged requests.
+ * @param {Array} users - The whole ranked list.
+ * @param {{cursor?: string | null, limit: number}} options
+ * @returns {{users: Array, nextCursor: string | null, total: number}}
+ */
+export const paginate = (users, { cursor = null, limit }) => {
+    const start = Number(cursor) || 0;
+    const end = start + limit;
+    return {
+        users: users.slice(start, end),
+        nextCursor: end < users.length ? String(end) : null,
+        total: users.length,
+    };
+};
+
+/**
+ * Normalizes a `/users` response. Backends without pagination answer with a plain array,
+ * which is treated as the one and only page. Paged answers look like
+ * `{ users | items: [...], nextCursor, total }`.
+ * @param {Array | object} body
+ * @returns {{users: Array, nextCursor: string | null, total: number}}
+ */
+export const normalizeUsersPage = (body) => {
+    if (Array.isArray(body)) return { users: body, nextCursor: null, total: body.length };
+    const users = body.users || body.items || [];
+    return { users, nextCursor: body.nextCursor ?? null, total: body.total ?? users.length };
+};
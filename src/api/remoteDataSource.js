@@ -0,0 +1,158 @@
+import axios from 'axios';
+import { subscribeToRemote } from './liveChannel';
+import { createClaimHistoryStore, normalizeClaimHistory } from './claimHistoryStore';
+import { createAuditLogStore } from './auditLogStore';
+import { normalizeAuditLog } from '../utils/auditLog';
+import { normalizeUsersPage } from './pagination';
+import { requestForChange, sendKeepalive } from './keepalive';
+import { USER_DELETED, USERS_CLEARED } from '../utils/leaderboardEvents';
+
+// Statuses meaning "this backend has no such endpoint" (claim history, audit log)
+const MISSING_ENDPOINT_STATUSES = [404, 405, 501];
+// Page size when looking for one player in the full list
+const USER_LOOKUP_PAGE_SIZE = 1000;
+
+/**
+ * A data source backed by the leaderboard REST API.
+ * Every method resolves with the response body and rejects with the axios error untouched,
+ * so callers can keep reading `err.response?.data?.message`.
+ * Requests carry the signed-in user's token as `Authorization: Bearer …`.
+ * @param {string} baseUrl - The API root, e.g. "http://localhost:5000/api".
+ * @param {{getToken?: Function, onUnauthorized?: Function}} [auth] - `getToken` returns the current token (or null);
+ *   `onUnauthorized` is called when the API answers 401, i.e. the token expired or was revoked.
+ */
+export const createRemoteDataSource = (baseUrl, { getToken = () => null, onUnauthorized = () => {} } = {}) => {
+    const http = axios.create();
+    http.interceptors.request.use((config) => {
+        const token = getToken();
+        if (token) config.headers.Authorization = `Bearer ${token}`;
+        return config;
+    });
+    http.interceptors.response.use(undefined, (err) => {
+        if (err.response?.status === 401) onUnauthorized();
+        return Promise.reject(err);
+    });
+
+    const listUsers = async () => normalizeUsersPage((await http.get(`${baseUrl}/users`)).data).users;
+    const listUsersPage = async ({ cursor = null, limit }) => {
+        const params = cursor ? { limit, cursor } : { limit };
+        return normalizeUsersPage((await http.get(`${baseUrl}/users`, { params })).data);
+    };
+    // Claims are recorded here as they happen, in case the backend cannot tell us about them later
+    const history = createClaimHistoryStore({ storageKey: `leaderboard.history.${baseUrl}` });
+    let hasHistoryEndpoint = true;
+    // Likewise for the audit log: kept here too, and used only if the backend keeps none
+    const auditLog = createAuditLogStore({ storageKey: `leaderboard.audit.${baseUrl}` });
+    let hasAuditEndpoint = true;
+
+    return {
+        kind: 'remote',
+        listUsers,
+        /**
+         * Loads one page of ranked users. Backends that ignore `limit`/`cursor` send everything as a single page.
+         * @param {{cursor?: string | null, limit: number}} options
+         * @returns {Promise<{users: Array, nextCursor: string | null, total: number}>}
+         */
+        listUsersPage,
+        /**
+         * Loads one player from `/users/:id`. Backends without that endpoint answer 404 for every id,
+         * so a 404 is double-checked by going through the list.
+         * @param {string} userId
+         * @returns {Promise<object | null>} null when there is no such player.
+         */
+        getUser: async (userId) => {
+            try {
+                return (await http.get(`${baseUrl}/users/${encodeURIComponent(userId)}`)).data;
+            } catch (err) {
+                if (!MISSING_ENDPOINT_STATUSES.includes(err.response?.status)) throw err;
+            }
+            let cursor = null;
+            do {
+                const page = await listUsersPage({ cursor, limit: USER_LOOKUP_PAGE_SIZE });
+                const user = page.users.find(u => u._id === userId);
+                if (user) return user;
+                cursor = page.nextCursor;
+            } while (cursor);
+            return null;
+        },
+        createUser: async (user) => (await http.post(`${baseUrl}/users`, user)).data,
+        claimPoints: async (userId) => (await http.post(`${baseUrl}/users/${userId}/claim`)).data,
+        /**
+         * Moves a player to a team, or out of their team with null.
+         * @param {string} userId
+         * @param {string | null} team
+         * @returns {Promise<object>} The updated user.
+         */
+        setUserTeam: async (userId, team) => (await http.patch(`${baseUrl}/users/${userId}`, { team })).data,
+        clearScores: async () => (await http.post(`${baseUrl}/users/clear-scores`)).data,
+        deleteAllUsers: async () => {
+            const { data } = await http.delete(`${baseUrl}/users`);
+            history.clear();
+            return data;
+        },
+        deleteUser: async (userId) => {
+            const { data } = await http.delete(`${baseUrl}/users/${userId}`);
+            history.removeUser(userId);
+            return data;
+        },
+        /**
+         * Sends a deferred delete or reset as the page closes, when a regular request would be cancelled
+         * (see api/keepalive.js). The answer is not waited for.
+         * @param {{type: string, userId?: string}} event
+         * @returns {boolean} Whether it was sent; if not, the caller falls back to the regular method.
+         */
+        sendOnUnload: (event) => {
+            const request = requestForChange(baseUrl, event);
+            if (!request || !sendKeepalive(request, getToken())) return false;
+            if (event.type === USER_DELETED) history.removeUser(event.userId);
+            if (event.type === USERS_CLEARED) history.clear();
+            return true;
+        },
+        /**
+         * Loads a player's claims from `/users/:id/history`, or from the local record when the backend lacks that endpoint.
+         * @param {string} userId
+         * @returns {Promise<{claims: Array, source: 'server' | 'local'}>}
+         */
+        getClaimHistory: async (userId) => {
+            if (hasHistoryEndpoint) {
+                try {
+                    const { data } = await http.get(`${baseUrl}/users/${userId}/history`);
+                    return { claims: normalizeClaimHistory(data), source: 'server' };
+                } catch (err) {
+                    if (!MISSING_ENDPOINT_STATUSES.includes(err.response?.status)) throw err;
+                    hasHistoryEndpoint = false;
+                }
+            }
+            return { claims: history.list(userId), source: 'local' };
+        },
+        recordClaim: (userId, claim) => history.record(userId, claim),
+        /**
+         * Every claim seen by this browser, keyed by user id. Cheap enough to call on each render,
+         * unlike asking the server for every player's history.
+         */
+        listClaimHistory: () => history.listAll(),
+        recordAudit: (entry) => auditLog.record(entry),
+        /**
+         * Loads the audit log from `/audit`, or from the local record when the backend lacks that endpoint.
+         * @returns {Promise<{entries: Array, source: 'server' | 'local'}>}
+         */
+        getAuditLog: async () => {
+            if (hasAuditEndpoint) {
+                try {
+                    const { data } = await http.get(`${baseUrl}/audit`);
+                    return { entries: normalizeAuditLog(data), source: 'server' };
+                } catch (err) {
+                    if (!MISSING_ENDPOINT_STATUSES.includes(err.response?.status)) throw err;
+                    hasAuditEndpoint = false;
+                }
+            }
+            return { entries: auditLog.list(), source: 'local' };
+        },
+        /**
+         * Streams leaderboard events; see api/liveChannel.js.
+         * @param {{onEvent: Function, onStatus?: Function, onResync?: Function}} handlers
+         * @returns {Function} Unsubscribe.
+         */
+        subscribe: (handlers) => subscribeToRemote({ baseUrl, listUsers, getToken, ...handlers }),
+    };
+};
@@ -0,0 +1,59 @@
+import { createApiError } from './errors';
+import { normalizeRole } from '../utils/permissions';
+
+// --- LOGIN SESSIONS ---
+// A session is `{ token, user: { name, role }, expiresAt }`, saved per API endpoint in localStorage.
+
+/**
+ * Reads a login response into a session. Accepts `token` or `accessToken`, `expiresAt` or
+ * `expiresIn` (seconds), and the role either on `user` or at the top level.
+ * @param {object} body
+ * @param {string} username - Used as the display name when the response has none.
+ */
+export const normalizeSession = (body, username) => {
+    const token = body?.token || body?.accessToken;
+    if (!token) throw createApiError(502, 'The server did not send a login token.');
+    const expiresAt = body.expiresAt
+        || (body.expiresIn ? new Date(Date.now() + body.expiresIn * 1000).toISOString() : null);
+    return {
+        token,
+        user: {
+            name: body.user?.name || body.user?.username || username,
+            role: normalizeRole(body.user?.role || body.role),
+        },
+        expiresAt,
+    };
+};
+
+const sessionKey = (endpointUrl) => `leaderboard.auth.${endpointUrl}`;
+
+/**
+ * Whether a session is past its expiry time. Sessions without one last until the server rejects them.
+ * @param {{expiresAt: string | null}} session
+ * @param {number} [now]
+ */
+export const isSessionExpired = (session, now = Date.now()) =>
+    Boolean(session?.expiresAt) && Date.parse(session.expiresAt) <= now;
+
+/**
+ * Reads the session saved for an endpoint, dropping it when it has expired.
+ * @param {string} endpointUrl
+ */
+export const loadSession = (endpointUrl) => {
+    try {
+        const session = JSON.parse(window.localStorage.getItem(sessionKey(endpointUrl)));
+        return session?.token && !isSessionExpired(session) ? session : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Saves (or, with null, forgets) the session for an endpoint.
+ * @param {string} endpointUrl
+ * @param {object | null} session
+ */
+export const saveSession = (endpointUrl, session) => {
+    if (session) window.localStorage.setItem(sessionKey(endpointUrl), JSON.stringify(session));
+    else window.localStorage.removeItem(sessionKey(endpointUrl));
+};
@@ -0,0 +1,28 @@
+import { normalizeSession, isSessionExpired, loadSession, saveSession } from './session';
+
+test('reads the common shapes of a login response', () => {
+    expect(normalizeSession({ token: 't1', user: { name: 'Ada', role: 'admin' }, expiresAt: '2030-01-01T00:00:00.000Z' }, 'ada')).toEqual({
+        token: 't1',
+        user: { name: 'Ada', role: 'admin' },
+        expiresAt: '2030-01-01T00:00:00.000Z',
+    });
+    const session = normalizeSession({ accessToken: 't2', role: 'Scorekeeper', expiresIn: 60 }, 'grace');
+    expect(session.user).toEqual({ name: 'grace', role: 'scorekeeper' });
+    expect(Date.parse(session.expiresAt)).toBeGreaterThan(Date.now());
+    expect(() => normalizeSession({}, 'ada')).toThrow('did not send a login token');
+});
+
+test('knows when a session has expired', () => {
+    expect(isSessionExpired({ expiresAt: '2020-01-01T00:00:00.000Z' })).toBe(true);
+    expect(isSessionExpired({ expiresAt: '2030-01-01T00:00:00.000Z' }, Date.parse('2025-01-01'))).toBe(false);
+    expect(isSessionExpired({ expiresAt: null })).toBe(false);
+});
+
+test('saves sessions per endpoint and drops expired ones when loading', () => {
+    saveSession('http://a', { token: 't', user: { name: 'Ada', role: 'admin' }, expiresAt: null });
+    saveSession('http://b', { token: 't', user: { name: 'Old', role: 'admin' }, expiresAt: '2020-01-01T00:00:00.000Z' });
+    expect(loadSession('http://a').user.name).toBe('Ada');
+    expect(loadSession('http://b')).toBeNull();
+    saveSession('http://a', null);
+    expect(loadSession('http://a')).toBeNull();
+});
@@ -0,0 +1,56 @@
+import React from 'react';
+import { PERMISSIONS } from '../utils/permissions';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * The admin area (/admin): bulk and destructive actions, kept away from the board people watch.
+ * The actions themselves live in App; this only lays them out. Actions the signed-in role may not
+ * perform (see `can` from useAuth) are disabled.
+ * @param {{boardName: string, playerCount: number, isReadOnly: boolean, isBusy: boolean, can: Function, onBack: Function,
+ *   onGenerate: Function, onImport: Function, onAssignTeams: Function, onDeletePlayer: Function, onResetScores: Function,
+ *   onDeleteAll: Function, onManageBoards: Function, onApiSettings: Function, onAuditLog: Function, onBranding: Function}} props
+ */
+const AdminPanel = ({ boardName, playerCount, isReadOnly, isBusy, can, onBack, onGenerate, onImport, onAssignTeams, onDeletePlayer, onResetScores, onDeleteAll, onManageBoards, onApiSettings, onAuditLog, onBranding }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="admin-panel">
+            <div className="admin-header">
+                <h2>{t('admin.heading', { board: boardName })}</h2>
+                <button type="button" className="btn-secondary" onClick={onBack}>{t('common.backToBoard')}</button>
+            </div>
+            {isReadOnly && <p className="list-note">{t('admin.archivedNote')}</p>}
+
+            <section className="admin-section">
+                <h3>{t('admin.players')}</h3>
+                <div className="admin-actions">
+                    <button type="button" onClick={onGenerate} disabled={isBusy || isReadOnly || !can(PERMISSIONS.ADD_PLAYERS_IN_BULK)}>{t('admin.generate')}</button>
+                    <button type="button" onClick={onImport} disabled={isReadOnly || !can(PERMISSIONS.ADD_PLAYERS_IN_BULK)}>{t('admin.import')}</button>
+                    <button type="button" onClick={onAssignTeams} disabled={playerCount === 0 || isReadOnly || !can(PERMISSIONS.ASSIGN_TEAMS)}>{t('admin.assignTeams')}</button>
+                    <button type="button" className="btn-danger" onClick={onDeletePlayer} disabled={playerCount === 0 || isReadOnly || !can(PERMISSIONS.DELETE_PLAYER)}>{t('admin.deletePlayer')}</button>
+                </div>
+            </section>
+
+            <section className="admin-section">
+                <h3>{t('admin.dangerZone')}</h3>
+                <p className="list-note">{t('admin.undoNote')}</p>
+                <div className="admin-actions">
+                    <button type="button" className="btn-danger" onClick={onResetScores} disabled={playerCount === 0 || isReadOnly || !can(PERMISSIONS.RESET_SCORES)}>{t('admin.resetScores')}</button>
+                    <button type="button" className="btn-danger" onClick={onDeleteAll} disabled={playerCount === 0 || isReadOnly || !can(PERMISSIONS.DELETE_ALL_PLAYERS)}>{t('admin.deleteAll')}</button>
+                </div>
+            </section>
+
+            <section className="admin-section">
+                <h3>{t('admin.setup')}</h3>
+                <div className="admin-actions">
+                    <button type="button" className="btn-secondary" onClick={onManageBoards}>{t('menu.boards')}</button>
+                    <button type="button" className="btn-secondary" onClick={onApiSettings}>{t('menu.apiSettings')}</button>
+                    <button type="button" className="btn-secondary" onClick={onAuditLog} disabled={!can(PERMISSIONS.VIEW_AUDIT_LOG)}>{t('admin.auditLog')}</button>
+                    <button type="button" className="btn-secondary" onClick={onBranding} disabled={!can(PERMISSIONS.BRAND_BOARDS)}>{t('admin.branding')}</button>
+                </div>
+            </section>
+        </div>
+    );
+};
+
+export default AdminPanel;
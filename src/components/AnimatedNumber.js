@@ -0,0 +1,44 @@
+import React, { useState, useEffect, useRef } from 'react';
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion';
+import useI18n from '../hooks/useI18n';
+
+const COUNT_DURATION_MS = 600;
+
+/**
+ * A number that counts up (or down) to its new value instead of jumping, e.g. a points total after a claim.
+ * Shows the value straight away when mounting and when the viewer prefers reduced motion.
+ * Formatted for the viewer's locale, so thousands separators and digits match the rest of the page.
+ * @param {{value: number, decimals?: number}} props - `decimals` for values that are not whole numbers, e.g. averages.
+ */
+const AnimatedNumber = ({ value, decimals = 0 }) => {
+    const prefersReducedMotion = usePrefersReducedMotion();
+    const { formatNumber } = useI18n();
+    const [shown, setShown] = useState(value);
+    const shownRef = useRef(value);
+
+    useEffect(() => {
+        const from = shownRef.current;
+        if (prefersReducedMotion || from === value) {
+            shownRef.current = value;
+            setShown(value);
+            return undefined;
+        }
+        const start = performance.now();
+        let frame;
+        const step = (now) => {
+            const progress = Math.min(1, (now - start) / COUNT_DURATION_MS);
+            // Ease out, so the last few points tick by slowly enough to read
+            const eased = 1 - (1 - progress) ** 3;
+            const precision = 10 ** decimals;
+            shownRef.current = Math.round((from + (value - from) * eased) * precision) / precision;
+            setShown(shownRef.current);
+            if (progress < 1) frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frame);
+    }, [value, decimals, prefersReducedMotion]);
+
+    return <>{formatNumber(prefersReducedMotion ? value : shown, { decimals })}</>;
+};
+
+export default AnimatedNumber;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { API_PROFILES, CUSTOM_PROFILE, endpointFromValue } from '../api/config';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * A modal for switching the backend the app talks to, without rebuilding.
+ * @param {{endpoint: {profile: string, url: string}, onSave: Function, onReset: Function, onClose: Function}} props
+ */
+const ApiSettingsModal = ({ endpoint, onSave, onReset, onClose }) => {
+    const { t } = useI18n();
+    const [profile, setProfile] = useState(endpoint.profile);
+    const [customUrl, setCustomUrl] = useState(endpoint.profile === CUSTOM_PROFILE ? endpoint.url : '');
+    const [formError, setFormError] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const next = endpointFromValue(profile === CUSTOM_PROFILE ? customUrl : profile);
+        if (!next) {
+            setFormError(t('api.invalidUrl'));
+            return;
+        }
+        onSave(next);
+    };
+
+    return (
+        <Dialog title={t('api.title')} onClose={onClose}>
+            <form onSubmit={handleSubmit}>
+                <ul className="profile-list">
+                    {Object.entries(API_PROFILES).map(([name, { url, type }]) => (
+                        <li key={name}>
+                            <label className={url ? '' : 'is-disabled'}>
+                                <input type="radio" name="profile" value={name} checked={profile === name} onChange={() => setProfile(name)} disabled={!url} />
+                                <span>{t(`api.profile.${name}`)}</span>
+                                <small>{type === 'local' ? t('api.description.offline') : url || t('api.notConfigured')}</small>
+                            </label>
+                        </li>
+                    ))}
+                    <li>
+                        <label>
+                            <input type="radio" name="profile" value={CUSTOM_PROFILE} checked={profile === CUSTOM_PROFILE} onChange={() => setProfile(CUSTOM_PROFILE)} />
+                            <span>{t('api.profile.custom')}</span>
+                        </label>
+                        {profile === CUSTOM_PROFILE && (
+                            <div className="form-group">
+                                <input type="text" value={customUrl} onChange={(e) => { setCustomUrl(e.target.value); setFormError(''); }} placeholder="https://example.com/api" autoFocus />
+                            </div>
+                        )}
+                    </li>
+                </ul>
+                {formError && <p className="form-error">{formError}</p>}
+                <div className="modal-actions">
+                    <button type="button" className="btn-secondary" onClick={onReset}>{t('api.useDefault')}</button>
+                    <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+                    <button type="submit">{t('common.save')}</button>
+                </div>
+            </form>
+        </Dialog>
+    );
+};
+
+export default ApiSettingsModal;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AUDIT_ACTIONS, filterAuditEntries, auditLogToCsv, auditLogToJson } from '../utils/auditLog';
+import { ROLES } from '../utils/permissions';
+import { exportFileName, downloadFile } from '../utils/exportRankings';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+// Entries name this many players, then "and N more"
+const MAX_NAMED_PLAYERS = 3;
+
+/**
+ * The audit log of a board: every add, claim, delete, reset and bulk change, newest first.
+ * Can be narrowed to one action or to a name (actor or player), and exported as it is filtered.
+ * @param {{dataSource: object, boardName: string, onClose: Function}} props
+ */
+const AuditLogModal = ({ dataSource, boardName, onClose }) => {
+    const { t, formatDateTime } = useI18n();
+    const [log, setLog] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [action, setAction] = useState('');
+    const [text, setText] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoadError(null);
+        dataSource.getAuditLog()
+            .then(result => { if (!cancelled) setLog(result); })
+            .catch(err => {
+                console.error('Error loading the audit log:', err);
+                if (!cancelled) setLoadError(err.message === 'Network Error' ? t('errors.network') : t('audit.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dataSource, t]);
+
+    const entries = useMemo(
+        () => (log ? filterAuditEntries([...log.entries].reverse(), { action, text }) : []),
+        [log, action, text]
+    );
+
+    // Entries from other clients may carry actions and roles this version does not know; those are shown as they are
+    const describeAction = (value) => (Object.values(AUDIT_ACTIONS).includes(value) ? t(`audit.action.${value}`) : value);
+    const describeActor = (actor) => {
+        if (!actor) return t('audit.anonymous');
+        if (!actor.role) return actor.name;
+        return t('audit.actorWithRole', { name: actor.name, role: Object.values(ROLES).includes(actor.role) ? t(`roles.${actor.role}`) : actor.role });
+    };
+
+    // Details are data (see utils/auditLog.js); text from other clients is shown as it is
+    const describeDetails = (details) => {
+        if (!details || typeof details !== 'object') return details || '';
+        if ('points' in details) return t('audit.details.points', { count: details.points });
+        if ('team' in details) return details.team ? t('audit.details.team', { team: details.team }) : t('audit.details.noTeam');
+        return '';
+    };
+
+    // Whole-board actions name no players, only how many there were
+    const describePlayers = ({ players, playerCount }) => {
+        if (players.length === 0) return t('audit.wholeBoard', { count: playerCount });
+        const names = players.slice(0, MAX_NAMED_PLAYERS).map(p => p.name).join(', ');
+        return players.length > MAX_NAMED_PLAYERS ? t('audit.morePlayers', { names, count: players.length - MAX_NAMED_PLAYERS }) : names;
+    };
+
+    const handleExport = (format) => {
+        if (format === 'csv') {
+            downloadFile(exportFileName(boardName, 'csv', 'audit-log'), auditLogToCsv(entries), 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(exportFileName(boardName, 'json', 'audit-log'), auditLogToJson(entries, { board: boardName }), 'application/json');
+        }
+    };
+
+    return (
+        <Dialog title={t('audit.title', { board: boardName })} className="audit-log-modal" onClose={onClose}>
+
+            {loadError && <div className="error-message">{loadError}</div>}
+            {!log && !loadError && <div className="loading">{t('common.loading')}</div>}
+
+            {log && (
+                <>
+                    <div className="audit-filters">
+                        <select value={action} onChange={(e) => setAction(e.target.value)} aria-label={t('audit.actionLabel')}>
+                            <option value="">{t('audit.allActions')}</option>
+                            {Object.values(AUDIT_ACTIONS).map(value => <option key={value} value={value}>{describeAction(value)}</option>)}
+                        </select>
+                        <input type="search" value={text} onChange={(e) => setText(e.target.value)} placeholder={t('audit.filterPlaceholder')} aria-label={t('audit.filterLabel')} />
+                    </div>
+
+                    {entries.length > 0 ? (
+                        <ul className="audit-list">
+                            {entries.map(entry => (
+                                <li key={entry.id}>
+                                    <span className="audit-time">{formatDateTime(entry.at)}</span>
+                                    <span><strong>{describeActor(entry.actor)}</strong> · {describeAction(entry.action)}{describeDetails(entry.details) && ` (${describeDetails(entry.details)})`}</span>
+                                    {entry.playerCount > 0 && (
+                                        <span className="audit-players">{describePlayers(entry)}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : <p>{log.entries.length > 0 ? t('audit.noMatch') : t('audit.empty')}</p>}
+
+                    <p className="list-note">
+                        {log.source === 'server'
+                            ? t('audit.countServer', { shown: entries.length, count: log.entries.length })
+                            : t('audit.countLocal', { shown: entries.length, count: log.entries.length })}
+                    </p>
+                </>
+            )}
+
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => handleExport('csv')} disabled={entries.length === 0}>{t('common.exportCsv')}</button>
+                <button type="button" className="btn-secondary" onClick={() => handleExport('json')} disabled={entries.length === 0}>{t('common.exportJson')}</button>
+                <button type="button" className="btn-secondary" onClick={onClose}>{t('common.close')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default AuditLogModal;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * A player's picture (`avatarUrl`, when the backend sends one), or their initials on a colour
+ * worked out from the name, so the same player always looks the same.
+ * @param {{name: string, url?: string, size?: 'small' | 'large'}} props
+ */
+const Avatar = ({ name, url, size = 'large' }) => {
+    if (url) return <img className={`avatar is-${size}`} src={url} alt="" />;
+    const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+    const hue = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+    return (
+        <span className={`avatar is-${size}`} style={{ backgroundColor: `hsl(${hue}, 55%, 45%)` }} aria-hidden="true">
+            {initials || '?'}
+        </span>
+    );
+};
+
+export default Avatar;
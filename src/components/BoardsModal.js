@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { DEFAULT_BOARD_ID, isArchived, boardDisplayName } from '../api/boards';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import useDialogs from '../hooks/useDialogs';
+import Trans from './Trans';
+
+/**
+ * A modal for creating boards, switching between them and archiving the active one.
+ * Without `canManage` it only switches boards.
+ * @param {{boards: Array, activeBoard: object, onSwitch: Function, onCreate: Function, onArchive: Function, onClose: Function, canManage: boolean}} props
+ */
+const BoardsModal = ({ boards, activeBoard, onSwitch, onCreate, onArchive, onClose, canManage }) => {
+    const { t, formatDate } = useI18n();
+    const [newBoardName, setNewBoardName] = useState('');
+    const { openDialog } = useDialogs();
+
+    const activeBoards = boards.filter(b => !isArchived(b));
+    const archivedBoards = boards.filter(isArchived);
+    const canArchive = canManage && activeBoard.id !== DEFAULT_BOARD_ID && !isArchived(activeBoard);
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newBoardName.trim()) return;
+        onCreate(newBoardName);
+        setNewBoardName('');
+    };
+
+    const handleArchive = async () => {
+        const confirmed = await openDialog('confirm', {
+            title: t('boards.archiveTitle'),
+            message: <Trans id="boards.archiveQuestion" values={{ name: <strong>{boardDisplayName(activeBoard, t)}</strong> }} />,
+            confirmLabel: t('boards.confirmArchive'),
+            danger: true,
+        });
+        if (confirmed) onArchive();
+    };
+
+    const renderBoard = (board) => (
+        <li key={board.id} className={`board-list-item${board.id === activeBoard.id ? ' is-active' : ''}`}>
+            <span>
+                {boardDisplayName(board, t)}
+                {isArchived(board) && <small>{t('boards.archivedOn', { date: formatDate(board.archivedAt) })}</small>}
+            </span>
+            {board.id === activeBoard.id
+                ? <small>{t('boards.current')}</small>
+                : <button className="btn-secondary" onClick={() => onSwitch(board.id)}>{t('boards.open')}</button>}
+        </li>
+    );
+
+    return (
+        <Dialog title={t('boards.title')} className="boards-modal" onClose={onClose}>
+            <ul className="board-list">{activeBoards.map(renderBoard)}</ul>
+            {archivedBoards.length > 0 && (
+                <>
+                    <h4>{t('boards.archivedSeasons')}</h4>
+                    <ul className="board-list">{archivedBoards.map(renderBoard)}</ul>
+                </>
+            )}
+
+            {canManage && (
+                <form onSubmit={handleCreate}>
+                    <div className="form-group">
+                        <input type="text" value={newBoardName} onChange={(e) => setNewBoardName(e.target.value)} placeholder={t('boards.newPlaceholder')} />
+                        <button type="submit" disabled={!newBoardName.trim()}>{t('boards.create')}</button>
+                    </div>
+                </form>
+            )}
+
+            {canArchive && (
+                <div className="modal-actions">
+                    <button className="btn-danger" onClick={handleArchive}>{t('boards.archive', { name: boardDisplayName(activeBoard, t) })}</button>
+                </div>
+            )}
+
+            <div className="modal-actions">
+                <button className="btn-secondary" onClick={onClose}>{t('common.close')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default BoardsModal;
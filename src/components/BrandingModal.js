@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { DEFAULT_BRAND, MAX_BRAND_TITLE_LENGTH, normalizeBrand } from '../utils/theme';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+// What the color fields start at when a board had no colors of its own
+const STARTING_COLORS = { primary: '#3498db', secondary: '#8e44ad' };
+
+/**
+ * Edits a board's brand theme: accent colors, a logo and a title shown instead of the app's.
+ * Nothing changes until it is saved; the high-contrast theme keeps its own colors either way.
+ * @param {{boardName: string, brand: object, onSave: Function, onClose: Function}} props
+ *   `onSave(brand)` stores the theme for this board.
+ */
+const BrandingModal = ({ boardName, brand, onSave, onClose }) => {
+    const { t } = useI18n();
+    const [useColors, setUseColors] = useState(Boolean(brand.primary));
+    const [primary, setPrimary] = useState(brand.primary || STARTING_COLORS.primary);
+    const [secondary, setSecondary] = useState(brand.secondary || STARTING_COLORS.secondary);
+    const [logoUrl, setLogoUrl] = useState(brand.logoUrl);
+    const [title, setTitle] = useState(brand.title);
+
+    const logoIsInvalid = logoUrl.trim() !== '' && !normalizeBrand({ logoUrl }).logoUrl;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(useColors ? { primary, secondary, logoUrl, title } : { logoUrl, title });
+    };
+
+    return (
+        <Dialog title={t('branding.title')} className="branding-modal" onClose={onClose}>
+            <p className="list-note">{t('branding.intro', { board: boardName })}</p>
+            <form onSubmit={handleSubmit}>
+                <label className="field">
+                    <span>{t('branding.boardTitle')}</span>
+                    <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={MAX_BRAND_TITLE_LENGTH} placeholder={t('app.title')} autoFocus />
+                </label>
+                <label className="field">
+                    <span>{t('branding.logo')}</span>
+                    <input type="text" inputMode="url" value={logoUrl} onChange={(e) => setLogoUrl(e.target.value)} placeholder="https://example.com/logo.png" />
+                </label>
+                {logoIsInvalid && <p className="form-error">{t('branding.logoInvalid')}</p>}
+                <label className="checkbox-field">
+                    <input type="checkbox" checked={useColors} onChange={(e) => setUseColors(e.target.checked)} />
+                    {t('branding.useColors')}
+                </label>
+                <div className="color-fields">
+                    <label className="field">
+                        <span>{t('branding.primary')}</span>
+                        <input type="color" value={primary} onChange={(e) => setPrimary(e.target.value)} disabled={!useColors} />
+                    </label>
+                    <label className="field">
+                        <span>{t('branding.secondary')}</span>
+                        <input type="color" value={secondary} onChange={(e) => setSecondary(e.target.value)} disabled={!useColors} />
+                    </label>
+                    <span className="brand-swatch" style={{ background: `linear-gradient(45deg, ${primary}, ${secondary})`, opacity: useColors ? 1 : 0.3 }} aria-hidden="true" />
+                </div>
+                <p className="list-note">{t('branding.contrastNote')}</p>
+                <div className="modal-actions">
+                    <button type="button" className="btn-secondary" onClick={() => onSave(DEFAULT_BRAND)}>{t('branding.reset')}</button>
+                    <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+                    <button type="submit" disabled={logoIsInvalid}>{t('common.save')}</button>
+                </div>
+            </form>
+        </Dialog>
+    );
+};
+
+export default BrandingModal;
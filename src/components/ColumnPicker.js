@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+import { RANKINGS_COLUMNS } from './rankingsColumns';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * A small dropdown of checkboxes for the optional rankings columns.
+ * @param {{optionalColumns: Array<string>, onToggle: Function}} props - The ids currently shown, and a toggle handler.
+ */
+const ColumnPicker = ({ optionalColumns, onToggle }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="column-picker">
+            <button type="button" className="btn-secondary" aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>{t('columns.picker')}</button>
+            {isOpen && (
+                <div className="column-picker-menu">
+                    {RANKINGS_COLUMNS.filter(c => !c.fixed).map(column => (
+                        <label key={column.id}>
+                            <input type="checkbox" checked={optionalColumns.includes(column.id)} onChange={() => onToggle(column.id)} />
+                            {t(`columns.${column.id}`)}
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ColumnPicker;
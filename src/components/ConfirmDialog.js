@@ -0,0 +1,24 @@
+import React from 'react';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * The built-in "confirm" dialog: a question with Cancel and a confirm button. Closes with true or false.
+ * Cancel has focus first, so a stray Enter never confirms something destructive.
+ * @param {{title: string, message: React.ReactNode, confirmLabel?: string, cancelLabel?: string, danger?: boolean, close: Function}} props
+ *   `danger` styles the confirm button as destructive.
+ */
+const ConfirmDialog = ({ title, message, confirmLabel, cancelLabel, danger = false, close }) => {
+    const { t } = useI18n();
+
+    return (
+        <Dialog role="alertdialog" title={title} description={message} onClose={() => close(false)} closeOnBackdrop={false}>
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => close(false)} autoFocus>{cancelLabel || t('common.cancel')}</button>
+                <button type="button" className={danger ? 'btn-danger' : undefined} onClick={() => close(true)}>{confirmLabel || t('common.ok')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default ConfirmDialog;
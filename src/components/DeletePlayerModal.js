@@ -0,0 +1,44 @@
+import React, { useState, useMemo } from 'react';
+import Dialog from './Dialog';
+import HighlightedText from './HighlightedText';
+import { fuzzyFilter } from '../utils/fuzzy';
+import useI18n from '../hooks/useI18n';
+
+// How many matches the list shows at once; typing narrows it down
+const DELETE_LIST_LIMIT = 100;
+
+/**
+ * Picks a player to delete, with a search box for long boards.
+ * @param {{users: Array, onDelete: Function, onClose: Function}} props - `onDelete(user)` asks for confirmation and deletes.
+ */
+const DeletePlayerModal = ({ users, onDelete, onClose }) => {
+    const { t } = useI18n();
+    const [filter, setFilter] = useState('');
+    const matches = useMemo(() => fuzzyFilter(users, filter, u => u.name), [users, filter]);
+
+    return (
+        <Dialog title={t('deletePlayer.title')} onClose={onClose}>
+            {users.length > 0 ? (
+                <>
+                    <div className="form-group">
+                        <input type="text" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder={t('common.searchPlayers')} aria-label={t('deletePlayer.searchLabel')} autoFocus />
+                    </div>
+                    <ul className="delete-list">
+                        {matches.slice(0, DELETE_LIST_LIMIT).map(({ item: user, indices }) => (
+                            <li key={user._id} className="delete-list-item">
+                                <span><HighlightedText text={user.name} indices={indices} /></span>
+                                <button className="btn-danger" onClick={() => onDelete(user)} aria-label={t('deletePlayer.deleteName', { name: user.name })}>
+                                    <span aria-hidden="true">🗑️</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    {matches.length === 0 && <p>{t('common.noPlayersMatch', { text: filter })}</p>}
+                    {matches.length > DELETE_LIST_LIMIT && <p className="list-note">{t('common.listLimited', { shown: DELETE_LIST_LIMIT, count: matches.length })}</p>}
+                </>
+            ) : <p>{t('deletePlayer.none')}</p>}
+        </Dialog>
+    );
+};
+
+export default DeletePlayerModal;
@@ -0,0 +1,39 @@
+import React, { useId, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+/**
+ * A modal dialog, used by every pop-up in the app. It is labelled by its title, keeps keyboard focus
+ * inside while open, returns it afterwards, and closes on Escape or a click on the backdrop.
+ * Confirmations should use role "alertdialog" and pass their question as `description`.
+ * @param {{title: React.ReactNode, onClose?: Function, role?: string, description?: React.ReactNode,
+ *   className?: string, closeOnBackdrop?: boolean, children?: React.ReactNode}} props
+ *   Without `onClose` the dialog cannot be dismissed, e.g. while an import is running.
+ */
+const Dialog = ({ title, onClose, role = 'dialog', description, className, closeOnBackdrop = true, children }) => {
+    const titleId = useId();
+    const descriptionId = useId();
+    const ref = useRef(null);
+    const handleKeyDown = useFocusTrap(ref, { onEscape: onClose });
+
+    return (
+        <div className="modal-overlay" onClick={closeOnBackdrop ? onClose : undefined}>
+            <div
+                ref={ref}
+                className={className ? `modal-content ${className}` : 'modal-content'}
+                role={role}
+                aria-modal="true"
+                aria-labelledby={titleId}
+                aria-describedby={description ? descriptionId : undefined}
+                tabIndex={-1}
+                onKeyDown={handleKeyDown}
+                onClick={e => e.stopPropagation()}
+            >
+                <h3 id={titleId}>{title}</h3>
+                {description && <p id={descriptionId}>{description}</p>}
+                {children}
+            </div>
+        </div>
+    );
+};
+
+export default Dialog;
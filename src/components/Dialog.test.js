@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Dialog from './Dialog';
+
+// Opens a dialog with two buttons from a button outside it, as the app's pop-ups are opened
+const WithOpener = () => {
+    const [isOpen, setIsOpen] = useState(false);
+    return (
+        <>
+            <button type="button" onClick={() => setIsOpen(true)}>Open</button>
+            {isOpen && (
+                <Dialog title="Settings" onClose={() => setIsOpen(false)}>
+                    <button type="button">First</button>
+                    <button type="button">Last</button>
+                </Dialog>
+            )}
+        </>
+    );
+};
+
+const openDialog = () => {
+    const opener = screen.getByRole('button', { name: 'Open' });
+    opener.focus();
+    fireEvent.click(opener);
+    return opener;
+};
+
+test('takes focus when opened and closes on Escape', () => {
+    render(<WithOpener />);
+    openDialog();
+    const dialog = screen.getByRole('dialog', { name: 'Settings' });
+    expect(dialog).toHaveFocus();
+
+    fireEvent.keyDown(dialog, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('wraps Tab around at both ends', () => {
+    render(<WithOpener />);
+    openDialog();
+    const first = screen.getByRole('button', { name: 'First' });
+    const last = screen.getByRole('button', { name: 'Last' });
+
+    last.focus();
+    fireEvent.keyDown(last, { key: 'Tab' });
+    expect(first).toHaveFocus();
+
+    fireEvent.keyDown(first, { key: 'Tab', shiftKey: true });
+    expect(last).toHaveFocus();
+});
+
+test('gives focus back to the button that opened it', () => {
+    render(<WithOpener />);
+    const opener = openDialog();
+    fireEvent.keyDown(screen.getByRole('button', { name: 'First' }), { key: 'Escape' });
+    expect(opener).toHaveFocus();
+});
@@ -0,0 +1,33 @@
+import React, { useContext } from 'react';
+import { DialogContext } from '../dialogs/DialogProvider';
+import { visibleDialogs, BUILT_IN_DIALOGS } from '../dialogs/dialogStack';
+import ConfirmDialog from './ConfirmDialog';
+import PromptDialog from './PromptDialog';
+
+const BUILT_IN_RENDERERS = {
+    [BUILT_IN_DIALOGS.CONFIRM]: (props, close) => <ConfirmDialog {...props} close={close} />,
+    [BUILT_IN_DIALOGS.PROMPT]: (props, close) => <PromptDialog {...props} close={close} />,
+};
+
+/**
+ * Draws the open dialogs. `dialogs` maps each dialog type to `(props, close) => element`, where `props` are
+ * the ones given to openDialog and `close(result)` answers it. Renderers are read on every render, so they can
+ * use the caller's current state; adding a dialog is one entry here and an openDialog call.
+ * "confirm" and "prompt" are built in.
+ * @param {{dialogs: object}} props
+ */
+const DialogHost = ({ dialogs }) => {
+    const { stack, closeEntry } = useContext(DialogContext);
+    const shown = visibleDialogs(stack);
+
+    return shown.map((entry, index) => {
+        const render = dialogs[entry.type] || BUILT_IN_RENDERERS[entry.type];
+        return (
+            <div key={entry.id} hidden={index !== shown.length - 1}>
+                {render ? render(entry.props, (result) => closeEntry(entry.id, result)) : null}
+            </div>
+        );
+    });
+};
+
+export default DialogHost;
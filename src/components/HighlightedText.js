@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * Renders text with the characters at the given positions wrapped in <mark>.
+ * @param {{text: string, indices?: Array<number>}} props - Positions as returned by utils/fuzzy.js.
+ */
+const HighlightedText = ({ text, indices }) => {
+    if (!indices || indices.length === 0) return text;
+    const marked = new Set(indices);
+    const parts = [];
+    let i = 0;
+    while (i < text.length) {
+        const isMarked = marked.has(i);
+        let end = i;
+        while (end < text.length && marked.has(end) === isMarked) end++;
+        const chunk = text.slice(i, end);
+        parts.push(isMarked ? <mark key={i}>{chunk}</mark> : chunk);
+        i = end;
+    }
+    return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { parseImport, MAX_NAME_LENGTH } from '../utils/importPlayers';
+import { runWithConcurrency } from '../utils/concurrency';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import Trans from './Trans';
+
+// How many players are created at the same time
+const IMPORT_CONCURRENCY = 4;
+
+/**
+ * Bulk-adds players from a CSV or JSON file (or pasted text).
+ * Goes through three steps: enter the data, check the preview, then read the per-row report.
+ * Only rows marked "Ready" are created; invalid and duplicate rows are skipped.
+ * @param {{loadExistingUsers: Function, createUser: Function, onUserCreated: Function, onFinished?: Function, onClose: Function}} props
+ *   `loadExistingUsers` resolves with every player already on the board, not just the loaded pages, so the
+ *   preview can spot duplicates anywhere; `createUser` is the data source method; `onUserCreated` is called with
+ *   each new user as it is created, and `onFinished` once with all of them when the import is over.
+ */
+const ImportPlayersModal = ({ loadExistingUsers, createUser, onUserCreated, onFinished = () => {}, onClose }) => {
+    const { t } = useI18n();
+    const [text, setText] = useState('');
+    const [rows, setRows] = useState(null);
+    const [parseError, setParseError] = useState('');
+    const [isChecking, setIsChecking] = useState(false);
+    const [step, setStep] = useState('input');
+    const [progress, setProgress] = useState(0);
+
+    const readyRows = rows ? rows.filter(r => r.status === 'ready') : [];
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => setText(String(reader.result));
+        reader.readAsText(file);
+    };
+
+    const handlePreview = async () => {
+        setIsChecking(true);
+        let existingUsers;
+        try {
+            existingUsers = await loadExistingUsers();
+        } catch (err) {
+            console.error('Error loading the players on the board:', err);
+            setParseError(err.message === 'Network Error' ? t('errors.network') : t('import.loadFailed'));
+            setIsChecking(false);
+            return;
+        }
+        setIsChecking(false);
+        try {
+            setRows(parseImport(text, existingUsers));
+            setParseError('');
+            setStep('preview');
+        } catch (err) {
+            setParseError(err.problem ? t(`import.problem.${err.problem}`) : t('import.readError', { message: err.message }));
+        }
+    };
+
+    const handleImport = async () => {
+        setStep('importing');
+        setProgress(0);
+        const results = await runWithConcurrency(
+            readyRows,
+            IMPORT_CONCURRENCY,
+            (row) => createUser(row.team ? { name: row.name, points: row.points, team: row.team } : { name: row.name, points: row.points }),
+            (result) => {
+                if (result.status === 'fulfilled') onUserCreated(result.value);
+                setProgress(done => done + 1);
+            }
+        );
+        const outcomeByLine = new Map(readyRows.map((row, i) => [row.line, results[i]]));
+        setRows(prev => prev.map(row => {
+            const outcome = outcomeByLine.get(row.line);
+            if (!outcome) return row;
+            return outcome.status === 'fulfilled'
+                ? { ...row, status: 'created', error: undefined }
+                : { ...row, status: 'failed', error: outcome.reason?.response?.data?.message || outcome.reason?.message || t('import.requestFailed') };
+        }));
+        setStep('done');
+        onFinished(results.filter(r => r.status === 'fulfilled').map(r => r.value));
+    };
+
+    const countBy = (status) => rows.filter(r => r.status === status).length;
+
+    // Problems found while reading are codes; a failed request brings the server's own message
+    const describeProblem = (row) => (row.problem ? t(`import.problem.${row.problem}`, { max: MAX_NAME_LENGTH }) : row.error);
+
+    return (
+        <Dialog title={t('import.title')} className="import-modal" onClose={step === 'importing' ? undefined : onClose}>
+
+            {step === 'input' && (
+                <>
+                    <p className="list-note">
+                        <Trans
+                            id="import.formatHelp"
+                            values={{
+                                name: <code>name</code>,
+                                points: <code>points</code>,
+                                team: <code>team</code>,
+                                example: <code dir="ltr">[{'{'}"name": "Ada", "points": 10, "team": "Red"{'}'}]</code>,
+                            }}
+                        />
+                    </p>
+                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+                    <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder={'name,points,team\nAda Lovelace,10,Red\nAlan Turing'} rows={8} />
+                    {parseError && <p className="form-error">{parseError}</p>}
+                    <div className="modal-actions">
+                        <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+                        <button type="button" onClick={handlePreview} disabled={!text.trim() || isChecking}>{isChecking ? t('import.checking') : t('import.preview')}</button>
+                    </div>
+                </>
+            )}
+
+            {step !== 'input' && (
+                <>
+                    {step === 'preview' && (
+                        <p>{t('import.previewSummary', { ready: readyRows.length, count: rows.length, invalid: countBy('invalid'), duplicate: countBy('duplicate') })}</p>
+                    )}
+                    {step === 'importing' && <p>{t('import.progress', { done: progress, count: readyRows.length })}</p>}
+                    {step === 'done' && (
+                        <p>{t('import.doneSummary', { created: countBy('created'), failed: countBy('failed'), skipped: countBy('invalid') + countBy('duplicate') })}</p>
+                    )}
+                    <div className="import-preview">
+                        <table>
+                            <thead>
+                                <tr><th>{t('import.line')}</th><th>{t('import.name')}</th><th>{t('import.points')}</th><th>{t('import.team')}</th><th>{t('import.status')}</th></tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(row => (
+                                    <tr key={row.line} className={`import-row is-${row.status}`}>
+                                        <td>{row.line}</td>
+                                        <td>{row.name || <em>{t('import.emptyName')}</em>}</td>
+                                        <td>{Number.isNaN(row.points) ? '?' : row.points}</td>
+                                        <td>{row.team || '–'}</td>
+                                        <td title={describeProblem(row)}>{t(`import.status.${row.status}`)}{describeProblem(row) && <small> · {describeProblem(row)}</small>}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="modal-actions">
+                        {step === 'preview' && (
+                            <>
+                                <button type="button" className="btn-secondary" onClick={() => setStep('input')}>{t('common.back')}</button>
+                                <button type="button" onClick={handleImport} disabled={readyRows.length === 0}>{t('import.submit', { count: readyRows.length })}</button>
+                            </>
+                        )}
+                        {step === 'done' && <button type="button" onClick={onClose}>{t('common.done')}</button>}
+                    </div>
+                </>
+            )}
+        </Dialog>
+    );
+};
+
+export default ImportPlayersModal;
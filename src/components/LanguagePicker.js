@@ -0,0 +1,18 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../i18n/translate';
+
+/**
+ * Switches the app's language. Each language is listed in its own script, so it can be found without reading the current one.
+ */
+const LanguagePicker = () => {
+    const { locale, setLocale, t } = useI18n();
+
+    return (
+        <select className="language-picker" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('language.label')}>
+            {LOCALES.map(option => <option key={option.id} value={option.id} lang={option.id}>{option.name}</option>)}
+        </select>
+    );
+};
+
+export default LanguagePicker;
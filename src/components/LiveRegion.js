@@ -0,0 +1,14 @@
+import React from 'react';
+
+/**
+ * Text only screen readers see, read out whenever it changes. Keep it mounted: a region that appears
+ * together with its text is often not read at all.
+ * @param {{message: string, assertive?: boolean}} props - Assertive interrupts whatever is being read; use it for errors only.
+ */
+const LiveRegion = ({ message, assertive = false }) => (
+    <div className="visually-hidden" role={assertive ? 'alert' : 'status'} aria-live={assertive ? 'assertive' : 'polite'} aria-atomic="true">
+        {message}
+    </div>
+);
+
+export default LiveRegion;
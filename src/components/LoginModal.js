@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { AUTH_PROVIDER_KINDS, STUB_SESSION_MINUTES } from '../api/auth';
+import { ROLES } from '../utils/permissions';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * The login form. Against a real backend it asks for a username and password; with the
+ * development stub it asks for a name, a role and how long the session should last.
+ * @param {{providerKind: string, isExpired: boolean, onLogin: Function, onClose: Function}} props
+ *   `onLogin(credentials)` returns a promise that rejects with an axios-shaped error when the login fails.
+ */
+const LoginModal = ({ providerKind, isExpired, onLogin, onClose }) => {
+    const { t } = useI18n();
+    const isStub = providerKind === AUTH_PROVIDER_KINDS.STUB;
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [role, setRole] = useState(ROLES.ADMIN);
+    const [sessionMinutes, setSessionMinutes] = useState(60);
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await onLogin(isStub ? { username, role, sessionMinutes } : { username, password });
+        } catch (err) {
+            if (err.response?.status === 401) setError(t('login.wrongPassword'));
+            else if (err.message === 'Network Error') setError(t('errors.network'));
+            else setError(err.response?.data?.message || t('login.failed'));
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Dialog title={t('login.title')} className="login-modal" onClose={onClose}>
+            {isExpired && <p className="form-error">{t('login.expired')}</p>}
+            {isStub && <p className="list-note">{t('login.devNote')}</p>}
+            <form onSubmit={handleSubmit}>
+                <label className="field">
+                    <span>{isStub ? t('login.name') : t('login.username')}</span>
+                    <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus />
+                </label>
+                {isStub ? (
+                    <>
+                        <label className="field">
+                            <span>{t('login.role')}</span>
+                            <select value={role} onChange={(e) => setRole(e.target.value)}>
+                                {Object.values(ROLES).map(value => <option key={value} value={value}>{t(`roles.${value}`)}</option>)}
+                            </select>
+                        </label>
+                        <label className="field">
+                            <span>{t('login.sessionLength')}</span>
+                            <select value={sessionMinutes} onChange={(e) => setSessionMinutes(Number(e.target.value))}>
+                                {STUB_SESSION_MINUTES.map(minutes => <option key={minutes} value={minutes}>{t('login.minutes', { count: minutes })}</option>)}
+                            </select>
+                        </label>
+                    </>
+                ) : (
+                    <label className="field">
+                        <span>{t('login.password')}</span>
+                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" />
+                    </label>
+                )}
+                {error && <p className="form-error">{error}</p>}
+                <div className="modal-actions">
+                    <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+                    <button type="submit" disabled={isSubmitting || !username.trim() || (!isStub && !password)}>{t('login.title')}</button>
+                </div>
+            </form>
+        </Dialog>
+    );
+};
+
+export default LoginModal;
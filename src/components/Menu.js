@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useId, useRef } from 'react';
+
+const ENABLED_ITEMS = '[role="menuitem"]:not([disabled])';
+
+/**
+ * A button that opens a list of actions, following the WAI-ARIA menu button pattern: the arrow keys,
+ * Home and End move between the actions, Escape closes the menu and returns focus to the button,
+ * and Tab or a click elsewhere closes it.
+ * @param {{label: string, icon: React.ReactNode, items: Array<{id: string, label: string, onSelect: Function,
+ *   disabled?: boolean, className?: string}>, buttonClassName?: string, menuClassName?: string}} props
+ *   `label` names both the button and the menu, since the button only shows `icon`.
+ */
+const Menu = ({ label, icon, items, buttonClassName, menuClassName }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const buttonRef = useRef(null);
+    const menuRef = useRef(null);
+    const menuId = useId();
+
+    const getItems = () => [...menuRef.current.querySelectorAll(ENABLED_ITEMS)];
+
+    // Opening the menu moves focus to its first action
+    useEffect(() => {
+        if (isOpen) menuRef.current.querySelector(ENABLED_ITEMS)?.focus();
+    }, [isOpen]);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handlePointerDown = (event) => {
+            if (!menuRef.current.contains(event.target) && !buttonRef.current.contains(event.target)) setIsOpen(false);
+        };
+        document.addEventListener('pointerdown', handlePointerDown);
+        return () => document.removeEventListener('pointerdown', handlePointerDown);
+    }, [isOpen]);
+
+    const close = () => {
+        setIsOpen(false);
+        buttonRef.current.focus();
+    };
+
+    const handleButtonKeyDown = (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            setIsOpen(true);
+        }
+    };
+
+    const handleMenuKeyDown = (event) => {
+        const menuItems = getItems();
+        const index = menuItems.indexOf(document.activeElement);
+        const moveTo = (next) => {
+            event.preventDefault();
+            menuItems[(next + menuItems.length) % menuItems.length]?.focus();
+        };
+        if (event.key === 'ArrowDown') moveTo(index + 1);
+        else if (event.key === 'ArrowUp') moveTo(index - 1);
+        else if (event.key === 'Home') moveTo(0);
+        else if (event.key === 'End') moveTo(menuItems.length - 1);
+        else if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+        } else if (event.key === 'Tab') setIsOpen(false);
+    };
+
+    return (
+        <>
+            <button
+                ref={buttonRef}
+                type="button"
+                className={buttonClassName}
+                aria-label={label}
+                title={label}
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+                aria-controls={isOpen ? menuId : undefined}
+                onClick={() => setIsOpen(open => !open)}
+                onKeyDown={handleButtonKeyDown}
+            >
+                <span aria-hidden="true">{icon}</span>
+            </button>
+            {isOpen && (
+                <div ref={menuRef} id={menuId} role="menu" aria-label={label} className={menuClassName} onKeyDown={handleMenuKeyDown}>
+                    {items.map(item => (
+                        <button
+                            key={item.id}
+                            type="button"
+                            role="menuitem"
+                            tabIndex={-1}
+                            className={item.className}
+                            disabled={item.disabled}
+                            onClick={() => { close(); item.onSelect(); }}
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default Menu;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Menu from './Menu';
+
+const ITEMS = [
+    { id: 'copy', label: 'Copy link', onSelect: () => {} },
+    { id: 'export', label: 'Export', onSelect: () => {}, disabled: true },
+    { id: 'rename', label: 'Rename', onSelect: () => {} },
+    { id: 'delete', label: 'Delete', onSelect: () => {} },
+];
+
+const openMenu = () => {
+    const button = screen.getByRole('button', { name: 'More actions' });
+    button.focus();
+    fireEvent.keyDown(button, { key: 'ArrowDown' });
+    return button;
+};
+
+const item = (name) => screen.getByRole('menuitem', { name });
+
+test('opens from the keyboard on its first action', () => {
+    render(<Menu label="More actions" icon="⋯" items={ITEMS} />);
+    const button = openMenu();
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+    expect(item('Copy link')).toHaveFocus();
+});
+
+test('moves with the arrow keys, skipping disabled actions and wrapping around', () => {
+    render(<Menu label="More actions" icon="⋯" items={ITEMS} />);
+    openMenu();
+    fireEvent.keyDown(item('Copy link'), { key: 'ArrowDown' });
+    expect(item('Rename')).toHaveFocus();
+    fireEvent.keyDown(item('Rename'), { key: 'ArrowUp' });
+    expect(item('Copy link')).toHaveFocus();
+    fireEvent.keyDown(item('Copy link'), { key: 'ArrowUp' });
+    expect(item('Delete')).toHaveFocus();
+    fireEvent.keyDown(item('Delete'), { key: 'ArrowDown' });
+    expect(item('Copy link')).toHaveFocus();
+});
+
+test('jumps to the ends with Home and End', () => {
+    render(<Menu label="More actions" icon="⋯" items={ITEMS} />);
+    openMenu();
+    fireEvent.keyDown(item('Copy link'), { key: 'End' });
+    expect(item('Delete')).toHaveFocus();
+    fireEvent.keyDown(item('Delete'), { key: 'Home' });
+    expect(item('Copy link')).toHaveFocus();
+});
+
+test('closes on Escape and gives focus back to its button', () => {
+    render(<Menu label="More actions" icon="⋯" items={ITEMS} />);
+    const button = openMenu();
+    fireEvent.keyDown(item('Copy link'), { key: 'Escape' });
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+    expect(button).toHaveAttribute('aria-expanded', 'false');
+    expect(button).toHaveFocus();
+});
@@ -0,0 +1,24 @@
+import React from 'react';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * Stands in for a player's profile while the player from a /players/:id link is looked up, and afterwards
+ * when there is no such player on this board or they could not be loaded.
+ * @param {{status: 'loading' | 'missing' | 'failed', boardName: string, onClose: Function}} props
+ */
+const MissingPlayerProfile = ({ status, boardName, onClose }) => {
+    const { t } = useI18n();
+
+    return (
+        <Dialog title={status === 'loading' ? t('common.loading') : t('profile.notFoundTitle')} className="player-profile" onClose={onClose}>
+            {status === 'missing' && <p>{t('profile.notFound', { board: boardName })}</p>}
+            {status === 'failed' && <div className="error-message">{t('profile.lookupFailed')}</div>}
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={onClose}>{t('common.backToBoard')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default MissingPlayerProfile;
@@ -0,0 +1,47 @@
+import React from 'react';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import { LEVEL_ICONS } from '../utils/notifications';
+
+/**
+ * Everything the toasts have said during this visit, newest first, including the details a toast had no room
+ * for (e.g. why some players of a batch could not be created). Ones not seen here before are marked as new.
+ * @param {{history: Array, onClose: Function}} props
+ */
+const NotificationDrawer = ({ history, onClose }) => {
+    const { t, formatDateTime } = useI18n();
+
+    return (
+        <Dialog title={t('notifications.historyTitle')} onClose={onClose} className="notification-drawer">
+            {history.length === 0 ? (
+                <p className="notification-empty">{t('notifications.empty')}</p>
+            ) : (
+                <ul className="notification-history">
+                    {history.map(notification => (
+                        <li key={notification.id} className={`toast-${notification.level}${notification.isRead ? '' : ' is-unread'}`}>
+                            <span className="toast-icon" aria-hidden="true">{LEVEL_ICONS[notification.level]}</span>
+                            <div>
+                                <p>
+                                    <span className="visually-hidden">{t(`notifications.level.${notification.level}`)}: </span>
+                                    {notification.message}
+                                    {!notification.isRead && <span className="notification-new">{t('notifications.new')}</span>}
+                                </p>
+                                {notification.details.length > 0 && (
+                                    <ul className="notification-details">
+                                        {notification.details.map((detail, index) => <li key={index}>{detail}</li>)}
+                                    </ul>
+                                )}
+                                <time dateTime={new Date(notification.createdAt).toISOString()}>{formatDateTime(notification.createdAt)}</time>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={onClose}>{t('common.close')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default NotificationDrawer;
@@ -0,0 +1,121 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { fuzzyFilter } from '../utils/fuzzy';
+import HighlightedText from './HighlightedText';
+import useI18n from '../hooks/useI18n';
+
+// The list only shows this many matches; typing more narrows it down
+const MAX_OPTIONS = 50;
+
+/**
+ * A typeahead for picking a player, following the WAI-ARIA combobox pattern.
+ * Typing filters with fuzzy matching; ↑/↓ move through the matches, Enter picks one, Escape closes the list.
+ * @param {{id: string, users: Array, selectedUserId: string, onSelect: Function, disabled?: boolean, placeholder?: string}} props
+ */
+const PlayerCombobox = ({ id, users, selectedUserId, onSelect, disabled = false, placeholder }) => {
+    const { t, formatOrdinal } = useI18n();
+    const [query, setQuery] = useState('');
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+
+    const selectedUser = users.find(u => u._id === selectedUserId);
+    const matches = useMemo(
+        () => fuzzyFilter(users, query, u => u.name).slice(0, MAX_OPTIONS),
+        [users, query]
+    );
+    const listId = `${id}-listbox`;
+    const optionId = (index) => `${id}-option-${index}`;
+
+    // Keep the highlighted option in view while moving through the list with the keyboard
+    useEffect(() => {
+        if (!isOpen || !listRef.current) return;
+        const option = listRef.current.children[activeIndex];
+        if (option && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex, isOpen]);
+
+    const open = () => {
+        setIsOpen(true);
+        setActiveIndex(0);
+    };
+
+    const close = () => {
+        setIsOpen(false);
+        setQuery('');
+    };
+
+    const choose = (user) => {
+        onSelect(user._id);
+        close();
+    };
+
+    const handleKeyDown = (e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) open();
+                else setActiveIndex(i => Math.min(i + 1, matches.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActiveIndex(i => Math.max(i - 1, 0));
+                break;
+            case 'Enter':
+                if (isOpen && matches[activeIndex]) {
+                    e.preventDefault();
+                    choose(matches[activeIndex].item);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    close();
+                }
+                break;
+            default:
+                break;
+        }
+    };
+
+    return (
+        <div className="combobox">
+            <input
+                id={id}
+                type="text"
+                role="combobox"
+                aria-expanded={isOpen}
+                aria-controls={listId}
+                aria-autocomplete="list"
+                aria-activedescendant={isOpen && matches[activeIndex] ? optionId(activeIndex) : undefined}
+                value={isOpen ? query : (selectedUser?.name || '')}
+                placeholder={placeholder || t('combobox.placeholder')}
+                disabled={disabled}
+                autoComplete="off"
+                onChange={(e) => { setQuery(e.target.value); setIsOpen(true); setActiveIndex(0); }}
+                onFocus={open}
+                onBlur={close}
+                onKeyDown={handleKeyDown}
+            />
+            {isOpen && (
+                <ul id={listId} role="listbox" className="combobox-list" ref={listRef}>
+                    {matches.length > 0 ? matches.map(({ item: user, indices }, index) => (
+                        <li
+                            key={user._id}
+                            id={optionId(index)}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`combobox-option${index === activeIndex ? ' is-active' : ''}`}
+                            // mousedown rather than click, so the input's blur does not close the list first
+                            onMouseDown={(e) => { e.preventDefault(); choose(user); }}
+                            onMouseEnter={() => setActiveIndex(index)}
+                        >
+                            <span><HighlightedText text={user.name} indices={indices} /></span>
+                            <small>{formatOrdinal(user.rank)}</small>
+                        </li>
+                    )) : <li className="combobox-empty">{t('combobox.noMatch', { text: query })}</li>}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PlayerCombobox;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * Draws a player's rank after each claim as a small line chart. Rank 1 is at the top.
+ * @param {{ranks: Array<number>}} props
+ */
+const RankChart = ({ ranks }) => {
+    const { t, formatList } = useI18n();
+    const width = 300;
+    const height = 80;
+    const worst = Math.max(...ranks, 2);
+    const points = ranks
+        .map((rank, i) => {
+            const x = ranks.length === 1 ? width / 2 : (i / (ranks.length - 1)) * width;
+            const y = ((rank - 1) / (worst - 1)) * (height - 10) + 5;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(' ');
+
+    return (
+        <svg className="rank-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={t('profile.rankChart', { ranks: formatList(ranks.map(String)) })}>
+            <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" />
+        </svg>
+    );
+};
+
+/**
+ * A panel with everything we know about one player: current standing, totals,
+ * rank over time and every claim they made.
+ * @param {{user: object, dataSource: object, onClose: Function}} props
+ */
+const PlayerProfile = ({ user, dataSource, onClose }) => {
+    const { t, formatNumber, formatOrdinal, formatDateTime } = useI18n();
+    const [history, setHistory] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+
+    // Reload whenever the player's points change, so a fresh claim shows up straight away
+    useEffect(() => {
+        let cancelled = false;
+        setLoadError(null);
+        dataSource.getClaimHistory(user._id)
+            .then(result => { if (!cancelled) setHistory(result); })
+            .catch(err => {
+                console.error('Error loading claim history:', err);
+                if (!cancelled) setLoadError(t('profile.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dataSource, user._id, user.points, t]);
+
+    const claims = history?.claims || [];
+    const totalClaimed = claims.reduce((sum, claim) => sum + claim.points, 0);
+    const bestClaim = claims.reduce((best, claim) => Math.max(best, claim.points), 0);
+    const ranks = claims.map(claim => claim.rankAfter).filter(rank => rank != null);
+
+    return (
+        <Dialog title={user.name} className="player-profile" onClose={onClose}>
+            <p className="profile-standing">
+                {/* A player looked up on their own (not on a loaded page) may come without a rank */}
+                {user.rank ? t('profile.standing', { rank: formatOrdinal(user.rank), points: user.points }) : t('common.points', { points: user.points })}
+            </p>
+
+            {loadError && <div className="error-message">{loadError}</div>}
+            {!history && !loadError && <div className="loading">{t('common.loading')}</div>}
+
+            {history && (
+                <>
+                    <dl className="profile-stats">
+                        <div><dt>{t('profile.claims')}</dt><dd>{formatNumber(claims.length)}</dd></div>
+                        <div><dt>{t('profile.pointsClaimed')}</dt><dd>{formatNumber(totalClaimed)}</dd></div>
+                        <div><dt>{t('profile.averageClaim')}</dt><dd>{claims.length ? formatNumber(totalClaimed / claims.length, { decimals: 1 }) : '–'}</dd></div>
+                        <div><dt>{t('profile.bestClaim')}</dt><dd>{bestClaim ? formatNumber(bestClaim) : '–'}</dd></div>
+                    </dl>
+
+                    {ranks.length > 1 && (
+                        <>
+                            <h4>{t('profile.rankOverTime')}</h4>
+                            <RankChart ranks={ranks} />
+                        </>
+                    )}
+
+                    <h4>{t('profile.history')}</h4>
+                    {claims.length > 0 ? (
+                        <ul className="claim-list">
+                            {[...claims].reverse().map((claim, i) => (
+                                <li key={`${claim.claimedAt}-${i}`}>
+                                    <span>{formatDateTime(claim.claimedAt)}</span>
+                                    <strong>+{formatNumber(claim.points)}</strong>
+                                    {claim.rankAfter != null && <span>{formatOrdinal(claim.rankAfter)}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : <p>{t('profile.noClaims')}</p>}
+                    {history.source === 'local' && dataSource.kind === 'remote' && (
+                        <p className="profile-note">{t('profile.localNote')}</p>
+                    )}
+                </>
+            )}
+
+            <div className="modal-actions">
+                <button className="btn-secondary" onClick={onClose}>{t('common.close')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default PlayerProfile;
@@ -0,0 +1,190 @@
+import React, { useRef, useMemo } from 'react';
+import AnimatedNumber from './AnimatedNumber';
+import Avatar from './Avatar';
+import useFlipAnimation from '../hooks/useFlipAnimation';
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion';
+import useI18n from '../hooks/useI18n';
+import Trans from './Trans';
+
+// A shared step lists this many names, then "+N more"
+const MAX_NAMES_PER_STEP = 3;
+
+/**
+ * Groups ranked users into podium steps: everyone with the same rank shares a step.
+ * @param {Array} users - Sorted by rank.
+ * @returns {Array<{key: string, rank: number, points: number, members: Array}>}
+ */
+const groupIntoSteps = (users) => {
+    const steps = [];
+    users.forEach(user => {
+        const last = steps[steps.length - 1];
+        if (last && last.rank === user.rank) last.members.push(user);
+        else steps.push({ rank: user.rank, points: user.points, members: [user] });
+    });
+    return steps.map(step => ({ ...step, key: step.members.map(u => u._id).join('+') }));
+};
+
+/**
+ * The order classic steps stand in: the winner in the middle, then alternating left and right,
+ * e.g. 2nd, 1st, 3rd or 4th, 2nd, 1st, 3rd, 5th.
+ * @param {number} count
+ * @returns {Array<number>} Indexes into the steps, left to right.
+ */
+const centreOutOrder = (count) => {
+    const order = [];
+    for (let i = 0; i < count; i++) {
+        if (i % 2 === 0) order.push(i);
+        else order.unshift(i);
+    }
+    return order;
+};
+
+/**
+ * A component to display the top users in a sports-style podium.
+ * Tied users share a step, so with shared ranks there may be fewer steps than places (e.g. 1, 1, 3).
+ * Teams can stand on it too; anything with `_id`, `name`, `points` and `rank` will do.
+ * @param {{users: Array, places?: number, layout?: 'steps' | 'cards' | 'bars', showAvatars?: boolean, showGap?: boolean,
+ *   gains?: Map<string, number>, onSelectUser?: Function, movement?: {entered: Array<string>, left: Array<string>},
+ *   describeSelect?: Function, decimals?: number}} props
+ *   `users` is the ranked list; those ranked within `places` stand on the podium. `showGap` adds the gap to the
+ *   place above (or the winner's lead), and `gains` the points each user gained recently. `movement` says who
+ *   entered or left the podium (by name). `describeSelect(user)` is the tooltip for clicking a user, and
+ *   `decimals` is passed on to the points.
+ */
+const Podium = ({
+    users,
+    places = 3,
+    layout = 'steps',
+    showAvatars = false,
+    showGap = false,
+    gains,
+    onSelectUser,
+    movement,
+    describeSelect,
+    decimals = 0,
+}) => {
+    const { t, formatNumber, formatOrdinal, formatList } = useI18n();
+    const describeClick = describeSelect || ((user) => t('common.viewProfile', { name: user.name }));
+    // One step more than is shown, so the winner's lead can be worked out even with a single place
+    const allSteps = useMemo(() => groupIntoSteps(users.filter(u => u.rank <= places + 1)), [users, places]);
+    const steps = useMemo(() => allSteps.filter(step => step.rank <= places), [allSteps, places]);
+    const callouts = [
+        movement?.entered.length > 0 && t(places === 1 ? 'podium.enteredFirst' : 'podium.enteredTop', { names: formatList(movement.entered), count: places }),
+        movement?.left.length > 0 && t(places === 1 ? 'podium.leftFirst' : 'podium.leftTop', { names: formatList(movement.left), count: places }),
+    ].filter(Boolean);
+
+    // Steps slide to their new place when the podium reorders
+    const containerRef = useRef(null);
+    const prefersReducedMotion = usePrefersReducedMotion();
+    const stepKeys = useMemo(() => steps.map(step => step.key), [steps]);
+    useFlipAnimation(containerRef, stepKeys, { disabled: prefersReducedMotion });
+
+    if (steps.length === 0) return null;
+
+    const formatPoints = (value) => formatNumber(value, { decimals });
+    const describeGap = (index) => {
+        if (index === 0) {
+            const runnerUp = allSteps[1];
+            return runnerUp ? t('podium.lead', { points: formatPoints(steps[0].points - runnerUp.points) }) : null;
+        }
+        return t('podium.behind', { points: formatPoints(steps[index - 1].points - steps[index].points), rank: formatOrdinal(steps[index - 1].rank) });
+    };
+    const leaderPoints = steps[0].points;
+
+    /**
+     * The rank, name(s), points and extras of one step; the same in every layout.
+     */
+    const renderStepContent = ({ rank, points, members }, index) => {
+        const isShared = members.length > 1;
+        const hiddenCount = members.length - MAX_NAMES_PER_STEP;
+        const gain = !isShared && gains ? gains.get(members[0]._id) : 0;
+        return (
+            <>
+                {showAvatars && !isShared && <Avatar name={members[0].name} url={members[0].avatarUrl} />}
+                <div className="podium-rank">{formatNumber(rank)}{isShared && <small className="podium-tie"> {t('podium.tied')}</small>}</div>
+                {isShared ? (
+                    <ul className="podium-names">
+                        {members.slice(0, MAX_NAMES_PER_STEP).map(user => (
+                            <li
+                                key={user._id}
+                                className={`podium-name${onSelectUser ? ' is-clickable' : ''}`}
+                                onClick={onSelectUser && ((e) => { e.stopPropagation(); onSelectUser(user._id); })}
+                                title={onSelectUser && describeClick(user)}
+                            >
+                                {showAvatars && <Avatar name={user.name} url={user.avatarUrl} size="small" />}
+                                {user.name}
+                            </li>
+                        ))}
+                        {hiddenCount > 0 && <li className="podium-more">{t('podium.more', { count: hiddenCount })}</li>}
+                    </ul>
+                ) : (
+                    <div className="podium-name">{members[0].name}</div>
+                )}
+                <div className="podium-points"><Trans id="common.points" values={{ points: <AnimatedNumber value={points} decimals={decimals} /> }} /></div>
+                {showGap && describeGap(index) && <div className="podium-extra">{describeGap(index)}</div>}
+                {gain > 0 && <div className="podium-extra podium-gain">{t('podium.gainToday', { points: gain })}</div>}
+            </>
+        );
+    };
+
+    /**
+     * The props every step gets: its FLIP key, its classes and, when it holds one user, the click handler.
+     */
+    const stepProps = (step, className) => {
+        const isSingle = step.members.length === 1;
+        const isClickable = Boolean(onSelectUser) && isSingle;
+        const rankClass = step.rank <= 3 ? `rank-${step.rank}` : 'rank-other';
+        return {
+            'data-flip-key': step.key,
+            className: `${className} ${rankClass}${isSingle ? '' : ' is-shared'}${isClickable ? ' is-clickable' : ''}`,
+            onClick: isClickable ? () => onSelectUser(step.members[0]._id) : undefined,
+            title: isClickable ? describeClick(step.members[0]) : undefined,
+        };
+    };
+
+    let podium;
+    if (layout === 'cards') {
+        podium = (
+            <div className="podium-cards" ref={containerRef}>
+                {steps.map((step, index) => <div key={step.key} {...stepProps(step, 'podium-card')}>{renderStepContent(step, index)}</div>)}
+            </div>
+        );
+    } else if (layout === 'bars') {
+        podium = (
+            <div className="podium-bars" ref={containerRef}>
+                {steps.map((step, index) => (
+                    <div key={step.key} {...stepProps(step, 'podium-bar-row')}>
+                        <div className="podium-bar-label">{renderStepContent(step, index)}</div>
+                        <div className="podium-bar-track">
+                            <div className="podium-bar" style={{ width: `${leaderPoints > 0 ? Math.max(2, (step.points / leaderPoints) * 100) : 100}%` }} />
+                        </div>
+                    </div>
+                ))}
+            </div>
+        );
+    } else {
+        // Each step is shorter than the one before; the classic three stand at 100%, 75% and 50%
+        const heightStep = steps.length > 3 ? 70 / (steps.length - 1) : 25;
+        podium = (
+            <div className="podium-container" ref={containerRef}>
+                {centreOutOrder(steps.length).map(index => (
+                    <div key={steps[index].key} {...stepProps(steps[index], 'podium-step')} style={{ height: `${100 - index * heightStep}%` }}>
+                        {renderStepContent(steps[index], index)}
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <>
+            {podium}
+            {/* Kept mounted while tracking movement, so screen readers announce who entered or left */}
+            {movement
+                ? <p className="podium-callout" aria-live="polite">{callouts.join(' · ')}</p>
+                : callouts.length > 0 && <p className="podium-callout">{callouts.join(' · ')}</p>}
+        </>
+    );
+};
+
+export default Podium;
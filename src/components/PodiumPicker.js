@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { PODIUM_PLACES, PODIUM_LAYOUTS } from '../hooks/usePodiumSettings';
+import useI18n from '../hooks/useI18n';
+
+// The optional extras, by their settings field
+const EXTRAS = ['showAvatars', 'showGap', 'showRecentGains'];
+
+/**
+ * A small dropdown for how the podium looks on this board: places, layout and extras.
+ * @param {{settings: object, onChange: Function}} props - Settings from usePodiumSettings; `onChange` receives only what changed.
+ */
+const PodiumPicker = ({ settings, onChange }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="column-picker">
+            <button type="button" className="btn-secondary" aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>{t('podium.picker')}</button>
+            {isOpen && (
+                <div className="column-picker-menu">
+                    <fieldset className="picker-group">
+                        <legend>{t('podium.places')}</legend>
+                        <div className="picker-row">
+                            {PODIUM_PLACES.map(places => (
+                                <label key={places}>
+                                    <input type="radio" name="podium-places" checked={settings.places === places} onChange={() => onChange({ places })} />
+                                    {places === 1 ? t('podium.winner') : t('podium.top', { count: places })}
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+                    <fieldset className="picker-group">
+                        <legend>{t('podium.layout')}</legend>
+                        {PODIUM_LAYOUTS.map(layout => (
+                            <label key={layout}>
+                                <input type="radio" name="podium-layout" checked={settings.layout === layout} onChange={() => onChange({ layout })} />
+                                {t(`podium.layout.${layout}`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                    <fieldset className="picker-group">
+                        <legend>{t('podium.show')}</legend>
+                        {EXTRAS.map(extra => (
+                            <label key={extra}>
+                                <input type="checkbox" checked={settings[extra]} onChange={() => onChange({ [extra]: !settings[extra] })} />
+                                {t(`podium.${extra}`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PodiumPicker;
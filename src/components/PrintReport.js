@@ -0,0 +1,50 @@
+import React from 'react';
+import Podium from './Podium';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * A print-friendly results sheet: board name, date, summary stats, the podium and the full standings.
+ * On screen it covers the app with a toolbar; when printed, only the sheet itself is on paper.
+ * @param {{boardName: string, users: Array, generatedAt: Date, onClose: Function}} props
+ */
+const PrintReport = ({ boardName, users, generatedAt, onClose }) => {
+    const { t, formatNumber, formatDateTime } = useI18n();
+    const totalPoints = users.reduce((sum, user) => sum + user.points, 0);
+    const stats = [
+        [t('report.players'), formatNumber(users.length)],
+        [t('report.totalPoints'), formatNumber(totalPoints)],
+        [t('report.averagePoints'), users.length ? formatNumber(totalPoints / users.length, { decimals: 1 }) : '–'],
+        [t('report.topScore'), users.length ? formatNumber(users[0].points) : '–'],
+    ];
+
+    return (
+        <div className="print-report">
+            <div className="print-toolbar no-print">
+                <button onClick={() => window.print()}>{t('report.print')}</button>
+                <button className="btn-secondary" onClick={onClose}>{t('common.close')}</button>
+            </div>
+            <header>
+                <h1>{boardName}</h1>
+                <p>{t('report.subtitle', { date: formatDateTime(generatedAt) })}</p>
+            </header>
+            <dl className="report-stats">
+                {stats.map(([label, value]) => (
+                    <div key={label}><dt>{label}</dt><dd>{value}</dd></div>
+                ))}
+            </dl>
+            {users.length > 0 && <Podium users={users} />}
+            <table className="report-table">
+                <thead>
+                    <tr><th>{t('columns.rank')}</th><th>{t('columns.name')}</th><th>{t('columns.points')}</th></tr>
+                </thead>
+                <tbody>
+                    {users.map(user => (
+                        <tr key={user._id}><td>{formatNumber(user.rank)}</td><td>{user.name}</td><td>{formatNumber(user.points)}</td></tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default PrintReport;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * The built-in "prompt" dialog: one text field. Closes with the trimmed text.
+ * With `onSubmit` it waits for that promise first and stays open if it rejects, so the text can be fixed;
+ * the caller reports the error.
+ * @param {{title: string, label: string, placeholder?: string, submitLabel?: string, initialValue?: string,
+ *   maxLength?: number, onSubmit?: Function, close: Function}} props
+ */
+const PromptDialog = ({ title, label, placeholder, submitLabel, initialValue = '', maxLength, onSubmit, close }) => {
+    const { t } = useI18n();
+    const [value, setValue] = useState(initialValue);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const text = value.trim();
+        if (!text) return;
+        if (onSubmit) {
+            setIsSubmitting(true);
+            try {
+                await onSubmit(text);
+            } catch (err) {
+                setIsSubmitting(false);
+                return;
+            }
+        }
+        close(text);
+    };
+
+    return (
+        <Dialog title={title} onClose={() => close()}>
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <input type="text" value={value} onChange={(e) => setValue(e.target.value)} placeholder={placeholder} aria-label={label} maxLength={maxLength} autoFocus />
+                </div>
+                <div className="modal-actions">
+                    <button type="button" className="btn-secondary" onClick={() => close()}>{t('common.cancel')}</button>
+                    <button type="submit" disabled={isSubmitting || !value.trim()}>{submitLabel || t('common.ok')}</button>
+                </div>
+            </form>
+        </Dialog>
+    );
+};
+
+export default PromptDialog;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { RANKING_SCHEMES, TIE_BREAKS } from '../utils/ranking';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * A small dropdown for how ranks are numbered when players are tied, and how ties are ordered.
+ * @param {{ranking: {scheme: string, tieBreak: string}, onChange: Function}} props
+ *   `onChange` receives only the field that changed.
+ */
+const RankingPicker = ({ ranking, onChange }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="column-picker">
+            <button type="button" className="btn-secondary" aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>{t('ranking.picker')}</button>
+            {isOpen && (
+                <div className="column-picker-menu">
+                    <fieldset className="picker-group">
+                        <legend>{t('ranking.schemeLegend')}</legend>
+                        {Object.values(RANKING_SCHEMES).map(scheme => (
+                            <label key={scheme}>
+                                <input type="radio" name="ranking-scheme" checked={ranking.scheme === scheme} onChange={() => onChange({ scheme })} />
+                                {t(`ranking.scheme.${scheme}`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                    <fieldset className="picker-group">
+                        <legend>{t('ranking.tieBreakLegend')}</legend>
+                        {Object.values(TIE_BREAKS).map(tieBreak => (
+                            <label key={tieBreak}>
+                                <input type="radio" name="tie-break" checked={ranking.tieBreak === tieBreak} onChange={() => onChange({ tieBreak })} />
+                                {t(`ranking.tieBreak.${tieBreak}`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RankingPicker;
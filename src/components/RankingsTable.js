@@ -0,0 +1,91 @@
+import React, { useState, useRef, useMemo } from 'react';
+import useFlipAnimation from '../hooks/useFlipAnimation';
+import useI18n from '../hooks/useI18n';
+
+// Every row is exactly this tall (see `.rankings-row td` in the stylesheet), which is what makes windowing cheap
+const ROW_HEIGHT = 52;
+// Height of the scrolling area that holds the table
+const VIEWPORT_HEIGHT = 520;
+// Rows rendered above and below the visible ones, so fast scrolling does not show blank space
+const OVERSCAN = 8;
+// Start fetching the next page when this many rows are left below the viewport
+const LOAD_MORE_THRESHOLD = 20;
+
+/**
+ * The "Full Rankings" table. Only the rows in view (plus a small margin) are in the DOM,
+ * so thousands of players scroll smoothly; spacer rows keep the scrollbar honest.
+ * When the data source is paged, the next page is requested as the user nears the bottom.
+ * Rows slide to their new place when the order changes; users marked `isExiting` fade out.
+ * @param {{users: Array, columns: Array, sort: object, onSort: Function, highlights?: Map, emptyMessage?: string,
+ *   onSelectUser: Function, hasMore: boolean, isLoadingMore: boolean, onLoadMore: Function, reduceMotion?: boolean}} props
+ *   `columns` come from rankingsColumns.js and `users` must already be sorted by `sort`.
+ *   `highlights` maps user ids to the name characters to mark, when the table is filtered.
+ */
+const RankingsTable = ({ users, columns, sort, onSort, highlights, emptyMessage, onSelectUser, hasMore, isLoadingMore, onLoadMore, reduceMotion = false }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [scrollTop, setScrollTop] = useState(0);
+    const tableRef = useRef(null);
+    const rowKeys = useMemo(() => users.map(u => u._id), [users]);
+    useFlipAnimation(tableRef, rowKeys, { disabled: reduceMotion });
+
+    const handleScroll = (e) => {
+        const { scrollTop: top, clientHeight, scrollHeight } = e.currentTarget;
+        setScrollTop(top);
+        if (hasMore && !isLoadingMore && top + clientHeight >= scrollHeight - LOAD_MORE_THRESHOLD * ROW_HEIGHT) {
+            onLoadMore();
+        }
+    };
+
+    const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const lastIndex = Math.min(users.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const visibleRows = users.slice(firstIndex, lastIndex);
+
+    return (
+        <div className="table-viewport" style={{ maxHeight: VIEWPORT_HEIGHT }} onScroll={handleScroll}>
+            <table className="rankings-table" ref={tableRef}>
+                <thead>
+                    <tr>
+                        {columns.map(column => {
+                            const isSorted = sort.columnId === column.id;
+                            return (
+                                <th key={column.id} className={`cell-${column.id}`} aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                                    <button type="button" className="th-sort" onClick={() => onSort(column.id)}>
+                                        {t(`columns.${column.id}`)}
+                                        <span className="sort-arrow" aria-hidden="true">{isSorted ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                                    </button>
+                                </th>
+                            );
+                        })}
+                    </tr>
+                </thead>
+                <tbody>
+                    {users.length > 0 ? (
+                        <>
+                            {firstIndex > 0 && <tr className="spacer-row" style={{ height: firstIndex * ROW_HEIGHT }} aria-hidden="true" />}
+                            {visibleRows.map((user) => (
+                                <tr
+                                    key={user._id}
+                                    data-flip-key={user._id}
+                                    className={`rankings-row${user.isExiting ? ' is-exiting' : ' clickable-row'}${user.pendingClaims ? ' is-pending' : ''}`}
+                                    onClick={user.isExiting ? undefined : () => onSelectUser(user._id)}
+                                    title={user.isExiting ? undefined : t('common.viewProfile', { name: user.name })}
+                                >
+                                    {columns.map(column => (
+                                        <td key={column.id} className={`cell-${column.id}`}>{column.render(user, { highlights, i18n })}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                            {lastIndex < users.length && <tr className="spacer-row" style={{ height: (users.length - lastIndex) * ROW_HEIGHT }} aria-hidden="true" />}
+                            {isLoadingMore && <tr><td className="table-message" colSpan={columns.length}>{t('rankings.loadingMore')}</td></tr>}
+                        </>
+                    ) : (
+                        <tr><td className="table-message" colSpan={columns.length}>{emptyMessage || t('rankings.empty')}</td></tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default RankingsTable;
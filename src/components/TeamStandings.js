@@ -0,0 +1,78 @@
+import React from 'react';
+import Podium from './Podium';
+import AnimatedNumber from './AnimatedNumber';
+import { TEAM_AGGREGATES, TOP_N_OPTIONS } from '../utils/teams';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * The team standings (/teams): a podium for the top teams and a table of every team.
+ * Teams are ranked by the chosen aggregate; the table shows all three so they can be compared.
+ * @param {{teams: Array, scoring: {aggregate: string, topN: number}, onChangeScoring: Function,
+ *   onSelectTeam: Function, podiumSettings: object, note?: string}} props
+ *   `teams` come from rankTeams in utils/teams.js. `onSelectTeam(name)` opens that team's players;
+ *   `podiumSettings` (from usePodiumSettings) shape the podium, and `note` explains standings based on
+ *   only part of the players.
+ */
+const TeamStandings = ({ teams, scoring, onChangeScoring, onSelectTeam, podiumSettings, note }) => {
+    const { t, formatNumber } = useI18n();
+    const decimals = scoring.aggregate === TEAM_AGGREGATES.AVERAGE ? 1 : 0;
+
+    return (
+        <>
+            {teams.length > 0 && (
+                <Podium
+                    users={teams}
+                    places={podiumSettings.places}
+                    layout={podiumSettings.layout}
+                    showAvatars={podiumSettings.showAvatars}
+                    showGap={podiumSettings.showGap}
+                    onSelectUser={onSelectTeam}
+                    describeSelect={(team) => t('teams.showPlayers', { name: team.name })}
+                    decimals={decimals}
+                />
+            )}
+            <div className="leaderboard">
+                <h2>{t('teams.title')}</h2>
+                <div className="form-group table-filter">
+                    <select value={scoring.aggregate} onChange={(e) => onChangeScoring({ aggregate: e.target.value })} aria-label={t('teams.rankBy')}>
+                        {Object.values(TEAM_AGGREGATES).map(value => <option key={value} value={value}>{t(`teams.aggregate.${value}`)}</option>)}
+                    </select>
+                    {scoring.aggregate === TEAM_AGGREGATES.TOP_N && (
+                        <select value={scoring.topN} onChange={(e) => onChangeScoring({ topN: Number(e.target.value) })} aria-label={t('teams.playersCounted')}>
+                            {TOP_N_OPTIONS.map(n => <option key={n} value={n}>{t('teams.best', { count: n })}</option>)}
+                        </select>
+                    )}
+                </div>
+                <table className="team-table">
+                    <thead>
+                        <tr>
+                            <th>{t('teams.rank')}</th>
+                            <th>{t('teams.team')}</th>
+                            <th>{t('teams.players')}</th>
+                            <th className={scoring.aggregate === TEAM_AGGREGATES.SUM ? 'is-ranked-by' : undefined}>{t('teams.total')}</th>
+                            <th className={scoring.aggregate === TEAM_AGGREGATES.AVERAGE ? 'is-ranked-by' : undefined}>{t('teams.average')}</th>
+                            <th className={scoring.aggregate === TEAM_AGGREGATES.TOP_N ? 'is-ranked-by' : undefined}>{t('teams.best', { count: scoring.topN })}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {teams.length > 0 ? teams.map(team => (
+                            <tr key={team._id} className="clickable-row" onClick={() => onSelectTeam(team.name)} title={t('teams.showPlayers', { name: team.name })}>
+                                <td>{formatNumber(team.rank)}</td>
+                                <td>{team.name}</td>
+                                <td>{formatNumber(team.memberCount)}</td>
+                                <td><AnimatedNumber value={team.total} /></td>
+                                <td><AnimatedNumber value={team.average} decimals={1} /></td>
+                                <td><AnimatedNumber value={team.topPoints} /></td>
+                            </tr>
+                        )) : (
+                            <tr><td className="table-message" colSpan={6}>{t('teams.empty')}</td></tr>
+                        )}
+                    </tbody>
+                </table>
+                {note && <p className="list-note">{note}</p>}
+            </div>
+        </>
+    );
+};
+
+export default TeamStandings;
@@ -0,0 +1,86 @@
+import React, { useState, useMemo } from 'react';
+import HighlightedText from './HighlightedText';
+import { fuzzyFilter } from '../utils/fuzzy';
+import { listTeamNames, normalizeTeamName, MAX_TEAM_NAME_LENGTH } from '../utils/teams';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+// Longer lists are cut off; typing in the search box narrows them down
+const TEAM_LIST_LIMIT = 100;
+
+/**
+ * One player and their team. The typed name is saved on Enter or when the field loses focus.
+ * @param {{user: object, indices?: Array<number>, onAssign: Function}} props
+ */
+const TeamRow = ({ user, indices, onAssign }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(user.team || '');
+    const [savedTeam, setSavedTeam] = useState(user.team);
+
+    // Follow changes made elsewhere (another tab, or the server) unless they are being edited here
+    if (user.team !== savedTeam) {
+        setSavedTeam(user.team);
+        setDraft(user.team || '');
+    }
+
+    const commit = () => {
+        const team = normalizeTeamName(draft);
+        if (team !== (user.team || null)) onAssign(user, team);
+        setDraft(team || '');
+    };
+
+    return (
+        <li className="team-list-item">
+            <span><HighlightedText text={user.name} indices={indices} /></span>
+            <input
+                type="text"
+                list="team-names"
+                value={draft}
+                maxLength={MAX_TEAM_NAME_LENGTH}
+                placeholder={t('assignTeams.noTeam')}
+                aria-label={t('assignTeams.teamOf', { name: user.name })}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+            />
+        </li>
+    );
+};
+
+/**
+ * Puts players in teams. Typing a new name creates the team; clearing the field takes the player out of theirs.
+ * @param {{users: Array, onAssign: Function, onClose: Function}} props
+ *   `onAssign(user, team)` saves the change; `team` is null for "no team".
+ */
+const TeamsModal = ({ users, onAssign, onClose }) => {
+    const { t, formatList } = useI18n();
+    const [filter, setFilter] = useState('');
+    const teamNames = useMemo(() => listTeamNames(users), [users]);
+    const matches = useMemo(() => fuzzyFilter(users, filter, u => u.name), [users, filter]);
+
+    return (
+        <Dialog title={t('assignTeams.title')} className="teams-modal" onClose={onClose}>
+            <p className="list-note">
+                {teamNames.length > 0 ? t('assignTeams.teams', { names: formatList(teamNames) }) : t('assignTeams.noTeams')} {t('assignTeams.hint')}
+            </p>
+            <div className="form-group">
+                <input type="text" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder={t('common.searchPlayers')} aria-label={t('assignTeams.searchLabel')} autoFocus />
+            </div>
+            <datalist id="team-names">
+                {teamNames.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <ul className="team-list">
+                {matches.slice(0, TEAM_LIST_LIMIT).map(({ item: user, indices }) => (
+                    <TeamRow key={user._id} user={user} indices={indices} onAssign={onAssign} />
+                ))}
+            </ul>
+            {matches.length === 0 && <p>{t('common.noPlayersMatch', { text: filter })}</p>}
+            {matches.length > TEAM_LIST_LIMIT && <p className="list-note">{t('common.listLimited', { shown: TEAM_LIST_LIMIT, count: matches.length })}</p>}
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={onClose}>{t('common.done')}</button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default TeamsModal;
@@ -0,0 +1,19 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { THEME_MODES } from '../utils/theme';
+
+/**
+ * Switches between the light, dark and high-contrast themes, or back to following the system.
+ * @param {{mode: string, onChange: Function}} props - `onChange(mode)` with one of THEME_MODES.
+ */
+const ThemePicker = ({ mode, onChange }) => {
+    const { t } = useI18n();
+
+    return (
+        <select className="theme-picker" value={mode} onChange={(e) => onChange(e.target.value)} aria-label={t('theme.label')}>
+            {Object.values(THEME_MODES).map(value => <option key={value} value={value}>{t(`theme.mode.${value}`)}</option>)}
+        </select>
+    );
+};
+
+export default ThemePicker;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import { visibleToasts, LEVEL_ICONS, NOTIFICATION_LEVELS } from '../utils/notifications';
+
+/**
+ * One toast. It closes itself once its time is up, counting only while it is on screen and the stack is not paused.
+ * Closing it, by time or by hand, calls its `onClose`; using its action does not.
+ * @param {{toast: object, isPaused: boolean, onDismiss: Function, onShowHistory: Function}} props
+ */
+const Toast = ({ toast, isPaused, onDismiss, onShowHistory }) => {
+    const { t } = useI18n();
+    const { duration, onClose } = toast;
+    // Time left, carried over between pauses
+    const remaining = useRef(duration);
+
+    useEffect(() => {
+        if (isPaused) return;
+        const startedAt = Date.now();
+        const timer = setTimeout(() => {
+            onDismiss(toast.id);
+            onClose?.();
+        }, remaining.current);
+        return () => {
+            clearTimeout(timer);
+            remaining.current -= Date.now() - startedAt;
+        };
+    }, [isPaused, toast.id, onClose, onDismiss]);
+
+    const handleClose = () => {
+        onDismiss(toast.id);
+        onClose?.();
+    };
+
+    const handleAction = () => {
+        onDismiss(toast.id);
+        toast.action.onAction();
+    };
+
+    return (
+        <div className={`toast toast-${toast.level}`} role={toast.level === NOTIFICATION_LEVELS.ERROR ? 'alert' : undefined}>
+            <span className="toast-icon" aria-hidden="true">{LEVEL_ICONS[toast.level]}</span>
+            <span className="toast-message">
+                <span className="visually-hidden">{t(`notifications.level.${toast.level}`)}: </span>
+                {toast.message}
+            </span>
+            {toast.details.length > 0 && (
+                <button type="button" className="btn-secondary" onClick={onShowHistory}>{t('notifications.details')}</button>
+            )}
+            {toast.action && <button type="button" onClick={handleAction}>{toast.action.label}</button>}
+            <button type="button" className="toast-close" onClick={handleClose} aria-label={t('notifications.dismiss')}>×</button>
+            <span className="toast-timer" style={{ animationDuration: `${duration}ms` }} />
+        </div>
+    );
+};
+
+/**
+ * The toasts on screen, stacked in a corner; the rest of the queue follows as they close.
+ * Hovering or focusing the stack holds every toast in it, so there is time to read one or reach its button.
+ * The stack stays mounted while empty, so screen readers hear each new toast.
+ * @param {{toasts: Array, onDismiss: Function, onShowHistory: Function}} props
+ */
+const ToastStack = ({ toasts, onDismiss, onShowHistory }) => {
+    const { t } = useI18n();
+    const [isHovered, setIsHovered] = useState(false);
+    const [isFocused, setIsFocused] = useState(false);
+    const isPaused = isHovered || isFocused;
+
+    const handleBlur = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsFocused(false);
+    };
+
+    return (
+        <section
+            className={isPaused ? 'toast-stack is-paused' : 'toast-stack'}
+            aria-label={t('notifications.title')}
+            aria-live="polite"
+            onMouseEnter={() => setIsHovered(true)}
+            onMouseLeave={() => setIsHovered(false)}
+            onFocus={() => setIsFocused(true)}
+            onBlur={handleBlur}
+        >
+            {visibleToasts(toasts).map(toast => (
+                <Toast key={toast.id} toast={toast} isPaused={isPaused} onDismiss={onDismiss} onShowHistory={onShowHistory} />
+            ))}
+        </section>
+    );
+};
+
+export default ToastStack;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import ToastStack from './ToastStack';
+import { addNotification, dismissToast, createNotification, EMPTY_NOTIFICATIONS, NOTIFICATION_LEVELS, MAX_VISIBLE_TOASTS } from '../utils/notifications';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+// Shows the given notifications the way App does, taking them off as they close
+const Stack = ({ notifications }) => {
+    const [state, setState] = useState(EMPTY_NOTIFICATIONS);
+    useEffect(() => {
+        setState(notifications.reduce(addNotification, EMPTY_NOTIFICATIONS));
+    }, [notifications]);
+    return <ToastStack toasts={state.toasts} onDismiss={(id) => setState(prev => dismissToast(prev, id))} onShowHistory={() => {}} />;
+};
+
+const undoToast = (id, onClose) => createNotification({
+    id, level: NOTIFICATION_LEVELS.INFO, message: `Deleting ${id}`, duration: 1000, createdAt: id,
+    action: { label: 'Undo', onAction: () => {} }, onClose,
+});
+
+test('counts the time of a toast only once it is on screen', () => {
+    const onClose = jest.fn();
+    const notifications = Array.from({ length: MAX_VISIBLE_TOASTS + 1 }, (_, id) => undoToast(id, id === MAX_VISIBLE_TOASTS ? onClose : undefined));
+    render(<Stack notifications={notifications} />);
+    expect(screen.queryByText(`Deleting ${MAX_VISIBLE_TOASTS}`)).not.toBeInTheDocument();
+
+    act(() => jest.advanceTimersByTime(1000));
+    expect(screen.getByText(`Deleting ${MAX_VISIBLE_TOASTS}`)).toBeInTheDocument();
+    expect(onClose).not.toHaveBeenCalled();
+
+    act(() => jest.advanceTimersByTime(1000));
+    expect(onClose).toHaveBeenCalledTimes(1);
+});
+
+test('holds the time while the stack is hovered', () => {
+    const onClose = jest.fn();
+    render(<Stack notifications={[undoToast(0, onClose)]} />);
+    fireEvent.mouseEnter(screen.getByRole('region'));
+    act(() => jest.advanceTimersByTime(5000));
+    expect(onClose).not.toHaveBeenCalled();
+
+    fireEvent.mouseLeave(screen.getByRole('region'));
+    act(() => jest.advanceTimersByTime(1000));
+    expect(onClose).toHaveBeenCalledTimes(1);
+});
+
+test('calls onClose when closed by hand, but not when its action is used', () => {
+    const onClose = jest.fn();
+    const { unmount } = render(<Stack notifications={[undoToast(0, onClose)]} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    act(() => jest.advanceTimersByTime(5000));
+    expect(onClose).not.toHaveBeenCalled();
+    unmount();
+
+    render(<Stack notifications={[undoToast(1, onClose)]} />);
+    fireEvent.click(screen.getByRole('button', { name: /dismiss/i }));
+    expect(onClose).toHaveBeenCalledTimes(1);
+});
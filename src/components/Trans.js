@@ -0,0 +1,13 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * A translated message whose placeholders may be elements, e.g. a player's name in <strong>.
+ * @param {{id: string, values?: object}} props - A message key and its placeholder values.
+ */
+const Trans = ({ id, values }) => {
+    const { formatParts } = useI18n();
+    return React.createElement(React.Fragment, null, ...formatParts(id, values));
+};
+
+export default Trans;
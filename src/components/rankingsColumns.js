@@ -0,0 +1,120 @@
+import React from 'react';
+import HighlightedText from './HighlightedText';
+import AnimatedNumber from './AnimatedNumber';
+
+/**
+ * Shows a rank movement as ▲2 / ▼1 / NEW / – .
+ * @param {{change: number | 'new' | null, i18n: object}} props - `i18n` from useI18n.
+ */
+const RankChange = ({ change, i18n }) => {
+    if (change === 'new') return <span className="rank-change is-new">{i18n.t('rankings.new')}</span>;
+    if (change == null || change === 0) return <span className="rank-change">–</span>;
+    return change > 0
+        ? <span className="rank-change is-up">▲{i18n.formatNumber(change)}</span>
+        : <span className="rank-change is-down">▼{i18n.formatNumber(-change)}</span>;
+};
+
+/**
+ * The columns the rankings table can show. Rank, Name and Points are always there; the rest can be toggled.
+ * `getValue` feeds sorting (null sorts last), `render(user, { highlights, i18n })` draws the cell in the viewer's locale.
+ * Header labels are in the message catalogs, under `columns.<id>`.
+ * Rows are users (with their `team`, if any) enriched by App with `claimCount`, `lastClaimAt`, `pointsToday` and `rankChange`.
+ */
+export const RANKINGS_COLUMNS = [
+    {
+        id: 'rank',
+        fixed: true,
+        getValue: user => user.rank,
+        render: (user, { i18n }) => i18n.formatNumber(user.rank),
+    },
+    {
+        id: 'name',
+        fixed: true,
+        getValue: user => user.name.toLowerCase(),
+        render: (user, { highlights }) => <HighlightedText text={user.name} indices={highlights?.get(user._id)} />,
+    },
+    {
+        id: 'points',
+        fixed: true,
+        getValue: user => user.points,
+        render: (user, { i18n }) => (
+            <>
+                <AnimatedNumber value={user.points} />
+                {user.pendingClaims > 0 && <span className="pending-badge" title={i18n.t('rankings.pending')}>…</span>}
+            </>
+        ),
+    },
+    {
+        id: 'team',
+        getValue: user => (user.team ? user.team.toLowerCase() : null),
+        render: user => user.team || '–',
+    },
+    {
+        id: 'lastClaim',
+        getValue: user => (user.lastClaimAt ? Date.parse(user.lastClaimAt) : null),
+        render: (user, { i18n }) => (user.lastClaimAt ? i18n.formatDateTime(user.lastClaimAt) : '–'),
+    },
+    {
+        id: 'pointsToday',
+        getValue: user => user.pointsToday,
+        render: (user, { i18n }) => (user.pointsToday ? `+${i18n.formatNumber(user.pointsToday)}` : '–'),
+    },
+    {
+        id: 'rankChange',
+        // Newcomers sort above the biggest climbers
+        getValue: user => (user.rankChange === 'new' ? Infinity : user.rankChange),
+        render: (user, { i18n }) => <RankChange change={user.rankChange} i18n={i18n} />,
+    },
+    {
+        id: 'claimCount',
+        getValue: user => user.claimCount,
+        render: (user, { i18n }) => i18n.formatNumber(user.claimCount),
+    },
+];
+
+// Optional columns shown until the viewer picks their own
+export const DEFAULT_OPTIONAL_COLUMNS = ['rankChange'];
+
+export const DEFAULT_SORT = { columnId: 'rank', direction: 'asc' };
+
+/**
+ * The sort after clicking a column header: the same column again flips the direction,
+ * a new one starts A→Z for text, highest first for numbers, and rank 1 first.
+ * @param {{columnId: string, direction: 'asc' | 'desc'}} sort - The current sort.
+ * @param {string} columnId
+ */
+export const nextSort = (sort, columnId) => {
+    if (sort.columnId === columnId) {
+        return { columnId, direction: sort.direction === 'asc' ? 'desc' : 'asc' };
+    }
+    const ascendingFirst = columnId === 'rank' || columnId === 'name';
+    return { columnId, direction: ascendingFirst ? 'asc' : 'desc' };
+};
+
+/**
+ * Whether a sort refers to a column the table has.
+ * @param {{columnId: string} | null} sort
+ */
+export const isKnownSort = (sort) => Boolean(sort && RANKINGS_COLUMNS.some(c => c.id === sort.columnId));
+
+/**
+ * Sorts rows by a column. Rows with no value go last whatever the direction,
+ * and ties fall back to rank (then name) so the order never jumps around between renders.
+ * @param {Array} rows
+ * @param {{columnId: string, direction: 'asc' | 'desc'}} sort
+ */
+export const sortRows = (rows, { columnId, direction }) => {
+    const column = RANKINGS_COLUMNS.find(c => c.id === columnId);
+    if (!column || (columnId === DEFAULT_SORT.columnId && direction === DEFAULT_SORT.direction)) return rows;
+    const factor = direction === 'desc' ? -1 : 1;
+    const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    return [...rows].sort((a, b) => {
+        const valueA = column.getValue(a);
+        const valueB = column.getValue(b);
+        if (valueA == null || valueB == null) {
+            if (valueA == null && valueB == null) return a.rank - b.rank;
+            return valueA == null ? 1 : -1;
+        }
+        return factor * compareValues(valueA, valueB) || (a.rank - b.rank) || compareValues(a.name, b.name);
+    });
+};
@@ -0,0 +1,28 @@
+import { sortRows, nextSort, DEFAULT_SORT } from './rankingsColumns';
+
+const rows = [
+    { _id: 'a', rank: 1, name: 'Ada', points: 30, claimCount: 2, lastClaimAt: null },
+    { _id: 'l', rank: 2, name: 'linus', points: 20, claimCount: 5, lastClaimAt: '2025-05-10T10:00:00.000Z' },
+    { _id: 'g', rank: 3, name: 'Grace', points: 10, claimCount: 2, lastClaimAt: '2025-05-10T12:00:00.000Z' },
+];
+
+test('keeps the server order for the default sort', () => {
+    expect(sortRows(rows, DEFAULT_SORT)).toBe(rows);
+});
+
+test('sorts by name ignoring case, in both directions', () => {
+    expect(sortRows(rows, { columnId: 'name', direction: 'asc' }).map(r => r._id)).toEqual(['a', 'g', 'l']);
+    expect(sortRows(rows, { columnId: 'name', direction: 'desc' }).map(r => r._id)).toEqual(['l', 'g', 'a']);
+});
+
+test('breaks ties by rank and puts missing values last', () => {
+    expect(sortRows(rows, { columnId: 'claimCount', direction: 'asc' }).map(r => r._id)).toEqual(['a', 'g', 'l']);
+    expect(sortRows(rows, { columnId: 'lastClaim', direction: 'desc' }).map(r => r._id)).toEqual(['g', 'l', 'a']);
+    expect(sortRows(rows, { columnId: 'lastClaim', direction: 'asc' }).map(r => r._id)).toEqual(['l', 'g', 'a']);
+});
+
+test('flips the direction on a second click and picks a natural first direction', () => {
+    expect(nextSort(DEFAULT_SORT, 'rank')).toEqual({ columnId: 'rank', direction: 'desc' });
+    expect(nextSort(DEFAULT_SORT, 'name')).toEqual({ columnId: 'name', direction: 'asc' });
+    expect(nextSort(DEFAULT_SORT, 'points')).toEqual({ columnId: 'points', direction: 'desc' });
+});
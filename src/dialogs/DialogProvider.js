@@ -0,0 +1,56 @@
+import React, { createContext, useState, useMemo, useCallback, useRef } from 'react';
+import { pushDialog, removeDialog, layerFor, DIALOG_LAYERS } from './dialogStack';
+
+// Outside a provider (e.g. in tests) nothing opens, and every dialog counts as dismissed
+export const DialogContext = createContext({
+    stack: [],
+    openDialog: () => Promise.resolve(undefined),
+    closeDialog: () => {},
+    closeEntry: () => {},
+});
+
+/**
+ * Keeps the stack of open dialogs (see dialogStack.js) for everything below it. Components open dialogs
+ * with useDialogs; DialogHost draws them.
+ * @param {{children: React.ReactNode}} props
+ */
+const DialogProvider = ({ children }) => {
+    const [stack, setStack] = useState([]);
+    // The latest stack, so dialogs opened or closed in the same event see each other
+    const stackRef = useRef(stack);
+    const nextId = useRef(0);
+
+    const update = (nextStack) => {
+        stackRef.current = nextStack;
+        setStack(nextStack);
+    };
+
+    const openDialog = useCallback((type, props = {}, { key } = {}) => {
+        const id = nextId.current++;
+        const layer = layerFor(type);
+        const entry = { id, type, layer, props, key: key ?? (layer === DIALOG_LAYERS.PANEL ? type : id) };
+        entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+
+        const { stack: nextStack, dismissed, existing } = pushDialog(stackRef.current, entry);
+        if (existing) return existing.promise;
+        update(nextStack);
+        dismissed.forEach(closed => closed.resolve(undefined));
+        return entry.promise;
+    }, []);
+
+    const closeEntry = useCallback((id, result) => {
+        const entry = stackRef.current.find(open => open.id === id);
+        if (!entry) return;
+        update(removeDialog(stackRef.current, id));
+        entry.resolve(result);
+    }, []);
+
+    const closeDialog = useCallback((type, result) => {
+        stackRef.current.filter(entry => entry.type === type).forEach(entry => closeEntry(entry.id, result));
+    }, [closeEntry]);
+
+    const value = useMemo(() => ({ stack, openDialog, closeDialog, closeEntry }), [stack, openDialog, closeDialog, closeEntry]);
+    return <DialogContext.Provider value={value}>{children}</DialogContext.Provider>;
+};
+
+export default DialogProvider;
@@ -0,0 +1,57 @@
+// --- DIALOG STACK ---
+// The dialogs open at any moment, bottom first, and the rules for adding to them. A panel is a form or list
+// (Boards & Seasons, Delete a Player, ...); a confirmation asks about one action and closes with the answer.
+//
+// - Only one panel is open at a time: opening another dismisses it, with anything that was asked on top of it.
+// - A confirmation opens on top of the panel. A second one waits until the first is answered, so two
+//   questions are never on screen together.
+// - Asking for a dialog that is already open or waiting (same type and key) reuses it instead of adding another.
+
+export const DIALOG_LAYERS = {
+    PANEL: 'panel',
+    CONFIRM: 'confirm',
+};
+
+// Dialogs every app gets; see DialogHost
+export const BUILT_IN_DIALOGS = {
+    CONFIRM: 'confirm',
+    PROMPT: 'prompt',
+};
+
+/**
+ * Which layer a dialog type opens in: confirmations in their own, everything else as a panel.
+ * @param {string} type
+ */
+export const layerFor = (type) => (type === BUILT_IN_DIALOGS.CONFIRM ? DIALOG_LAYERS.CONFIRM : DIALOG_LAYERS.PANEL);
+
+/**
+ * Adds a dialog under the rules above.
+ * @param {Array<object>} stack - Entries `{id, type, key, layer}`, bottom first.
+ * @param {object} entry - The dialog to open.
+ * @returns {{stack: Array<object>, dismissed: Array<object>, existing?: object}} The new stack, the entries it
+ *   closed without an answer, and the entry reused instead of opening `entry`, if any.
+ */
+export const pushDialog = (stack, entry) => {
+    const existing = stack.find(open => open.type === entry.type && open.key === entry.key);
+    if (existing) return { stack, dismissed: [], existing };
+    if (entry.layer === DIALOG_LAYERS.PANEL) return { stack: [entry], dismissed: stack };
+    return { stack: [...stack, entry], dismissed: [] };
+};
+
+/**
+ * The stack without one entry.
+ * @param {Array<object>} stack
+ * @param {number} id
+ */
+export const removeDialog = (stack, id) => stack.filter(entry => entry.id !== id);
+
+/**
+ * The entries on screen, bottom first: the panel and the first waiting confirmation. Only the last one is
+ * interactive; the ones below it stay mounted, so they keep what was typed, but hidden.
+ * @param {Array<object>} stack
+ */
+export const visibleDialogs = (stack) => {
+    const panels = stack.filter(entry => entry.layer === DIALOG_LAYERS.PANEL);
+    const confirmation = stack.find(entry => entry.layer === DIALOG_LAYERS.CONFIRM);
+    return confirmation ? [...panels, confirmation] : panels;
+};
@@ -0,0 +1,32 @@
+import { pushDialog, removeDialog, visibleDialogs, layerFor, DIALOG_LAYERS } from './dialogStack';
+
+const entry = (id, type, key = type) => ({ id, type, key, layer: layerFor(type) });
+
+test('keeps one panel open at a time', () => {
+    const boards = entry(1, 'boards');
+    const { stack, dismissed } = pushDialog([boards], entry(2, 'login'));
+    expect(stack.map(e => e.id)).toEqual([2]);
+    expect(dismissed).toEqual([boards]);
+});
+
+test('puts confirmations on top of the panel and shows one at a time', () => {
+    let stack = [entry(1, 'deletePlayer')];
+    stack = pushDialog(stack, entry(2, 'confirm', 2)).stack;
+    stack = pushDialog(stack, entry(3, 'confirm', 3)).stack;
+    expect(layerFor('confirm')).toBe(DIALOG_LAYERS.CONFIRM);
+    expect(visibleDialogs(stack).map(e => e.id)).toEqual([1, 2]);
+    expect(visibleDialogs(removeDialog(stack, 2)).map(e => e.id)).toEqual([1, 3]);
+});
+
+test('reuses a dialog that is already open', () => {
+    const boards = entry(1, 'boards');
+    const result = pushDialog([boards], entry(2, 'boards'));
+    expect(result.existing).toBe(boards);
+    expect(result.stack).toEqual([boards]);
+    expect(result.dismissed).toEqual([]);
+});
+
+test('a new panel also dismisses the questions asked on top of the old one', () => {
+    const stack = [entry(1, 'deletePlayer'), entry(2, 'confirm', 2)];
+    expect(pushDialog(stack, entry(3, 'boards')).dismissed.map(e => e.id)).toEqual([1, 2]);
+});
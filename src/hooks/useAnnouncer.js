@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// How long the live region stays empty before the next announcement goes in
+const ANNOUNCE_DELAY_MS = 100;
+
+/**
+ * Text for a screen-reader live region (see LiveRegion), for news that is not otherwise shown as a message.
+ * @returns {{announcement: string, announce: Function}} `announce(text)` has it read out, even when it repeats the last one.
+ */
+const useAnnouncer = () => {
+    const [announcement, setAnnouncement] = useState('');
+    const timer = useRef(null);
+
+    const announce = useCallback((text) => {
+        clearTimeout(timer.current);
+        // Emptying the region first makes screen readers read the same text again
+        setAnnouncement('');
+        timer.current = setTimeout(() => setAnnouncement(text), ANNOUNCE_DELAY_MS);
+    }, []);
+
+    useEffect(() => () => clearTimeout(timer.current), []);
+
+    return { announcement, announce };
+};
+
+export default useAnnouncer;
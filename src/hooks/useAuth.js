@@ -0,0 +1,85 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { createAuthProvider } from '../api/auth';
+import { loadSession, saveSession } from '../api/session';
+import { roleCan } from '../utils/permissions';
+
+// setTimeout cannot wait longer than this (about 24 days); longer sessions end when the server says so
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const stateFor = (endpointUrl) => ({ endpointUrl, session: loadSession(endpointUrl), isExpired: false });
+
+/**
+ * The signed-in user for an endpoint, and what their role allows.
+ * The session is remembered per endpoint. It ends at its expiry time, or as soon as the API answers
+ * 401 (`handleUnauthorized`), after which `isExpired` stays true until the next login or logout.
+ * @param {{profile: string, url: string}} endpoint
+ * `token` is there for effects that must start over when the session changes, such as the live stream,
+ * whose URL carries it; requests read it through `getToken`.
+ * @returns {{user: {name: string, role: string} | null, role: string, can: Function, isExpired: boolean,
+ *   providerKind: string, token: string | null, login: Function, logout: Function, getToken: Function,
+ *   handleUnauthorized: Function}}
+ */
+const useAuth = (endpoint) => {
+    const provider = useMemo(() => createAuthProvider(endpoint), [endpoint]);
+    const [state, setState] = useState(() => stateFor(endpoint.url));
+
+    let current = state;
+    if (state.endpointUrl !== endpoint.url) {
+        current = stateFor(endpoint.url);
+        setState(current);
+    }
+    const { session } = current;
+
+    // Lets data sources read the latest token without being re-created on every login
+    const tokenRef = useRef(null);
+    tokenRef.current = session?.token || null;
+    const getToken = useCallback(() => tokenRef.current, []);
+
+    const handleUnauthorized = useCallback(() => {
+        setState(prev => (prev.session ? { ...prev, session: null, isExpired: true } : prev));
+    }, []);
+
+    useEffect(() => {
+        saveSession(state.endpointUrl, state.session);
+    }, [state]);
+
+    useEffect(() => {
+        if (!session?.expiresAt) return undefined;
+        const remaining = Date.parse(session.expiresAt) - Date.now();
+        if (remaining > MAX_TIMER_MS) return undefined;
+        const timer = setTimeout(handleUnauthorized, Math.max(remaining, 0));
+        return () => clearTimeout(timer);
+    }, [session, handleUnauthorized]);
+
+    /**
+     * Signs in with the current provider. Rejects with an axios-shaped error on failure.
+     * @param {object} credentials - `{ username, password }`, or `{ username, role, sessionMinutes }` for the stub.
+     */
+    const login = useCallback(async (credentials) => {
+        const nextSession = await provider.login(credentials);
+        setState(prev => ({ ...prev, session: nextSession, isExpired: false }));
+        return nextSession;
+    }, [provider]);
+
+    const logout = useCallback(() => {
+        setState(prev => ({ ...prev, session: null, isExpired: false }));
+    }, []);
+
+    const role = session?.user.role || provider.anonymousRole;
+    const can = useCallback((permission) => roleCan(role, permission), [role]);
+
+    return {
+        user: session?.user || null,
+        role,
+        can,
+        isExpired: current.isExpired,
+        providerKind: provider.kind,
+        token: tokenRef.current,
+        login,
+        logout,
+        getToken,
+        handleUnauthorized,
+    };
+};
+
+export default useAuth;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadBoards, saveBoards, createBoard, archiveBoard, boardFromId, isValidBoardId, DEFAULT_BOARD_ID } from '../api/boards';
+
+/**
+ * Tracks the boards known for an endpoint and which one is active, persisting both.
+ * Switching endpoints swaps in that endpoint's boards.
+ * @param {string} endpointUrl
+ * @param {string} [requestedBoardId] - A board asked for by the URL. It becomes the active board. One this
+ *   browser does not know yet is only visited: it joins the saved list once `rememberBoard` confirms it loaded.
+ */
+const useBoards = (endpointUrl, requestedBoardId) => {
+    const [state, setState] = useState(() => ({ endpointUrl, ...loadBoards(endpointUrl), visitingBoard: null }));
+
+    let current = state;
+    if (state.endpointUrl !== endpointUrl) {
+        current = { endpointUrl, ...loadBoards(endpointUrl), visitingBoard: null };
+    }
+    if (requestedBoardId && requestedBoardId !== current.activeBoardId && isValidBoardId(requestedBoardId)) {
+        const isKnown = current.boards.some(b => b.id === requestedBoardId);
+        current = {
+            ...current,
+            visitingBoard: isKnown ? null : boardFromId(requestedBoardId),
+            activeBoardId: requestedBoardId,
+        };
+    }
+    if (current !== state) setState(current);
+
+    useEffect(() => {
+        // A board that is only being visited is not saved, not even as the active one
+        const isKnown = state.boards.some(b => b.id === state.activeBoardId);
+        saveBoards(state.endpointUrl, { boards: state.boards, activeBoardId: isKnown ? state.activeBoardId : DEFAULT_BOARD_ID });
+    }, [state]);
+
+    const switchBoard = useCallback((boardId) => {
+        setState(prev => ({ ...prev, activeBoardId: boardId, visitingBoard: prev.visitingBoard?.id === boardId ? prev.visitingBoard : null }));
+    }, []);
+
+    /**
+     * Adds the board being visited (from a link) to the saved list, once its players have loaded.
+     * @param {string} boardId
+     */
+    const rememberBoard = useCallback((boardId) => {
+        setState(prev => (prev.visitingBoard?.id === boardId
+            ? { ...prev, boards: [...prev.boards, prev.visitingBoard], visitingBoard: null }
+            : prev));
+    }, []);
+
+    /**
+     * Creates a board and makes it the active one.
+     * @param {string} name
+     */
+    const addBoard = useCallback((name) => {
+        const board = createBoard(name);
+        setState(prev => ({ ...prev, boards: [...prev.boards, board], activeBoardId: board.id, visitingBoard: null }));
+        return board;
+    }, []);
+
+    /**
+     * Freezes the active board with the given standings. It stays selected, with changes turned off in this browser.
+     * @param {Array} finalStandings
+     */
+    const archiveActiveBoard = useCallback((finalStandings) => {
+        setState(prev => {
+            const boards = prev.visitingBoard ? [...prev.boards, prev.visitingBoard] : prev.boards;
+            return {
+                ...prev,
+                boards: boards.map(b => (b.id === prev.activeBoardId ? archiveBoard(b, finalStandings) : b)),
+                visitingBoard: null,
+            };
+        });
+    }, []);
+
+    const boards = current.visitingBoard ? [...current.boards, current.visitingBoard] : current.boards;
+    const activeBoard = boards.find(b => b.id === current.activeBoardId) || boards[0];
+
+    return { boards, activeBoard, switchBoard, addBoard, archiveActiveBoard, rememberBoard };
+};
+
+export default useBoards;
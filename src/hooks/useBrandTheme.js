@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { normalizeBrand } from '../utils/theme';
+
+const loadBrand = (storageKey) => {
+    try {
+        return normalizeBrand(JSON.parse(window.localStorage.getItem(storageKey)));
+    } catch (err) {
+        return normalizeBrand();
+    }
+};
+
+/**
+ * One board's brand theme: its accent colors, logo and title (see utils/theme.js).
+ * Every board keeps its own, e.g. a sponsor's colors for a cup and the club's for the league.
+ * It lives in localStorage, not on the server, so it only applies in the browser where it was saved.
+ * @param {string} storageKey - Where the theme is kept, one key per board.
+ * @returns {{brand: object, setBrand: Function}} `setBrand(brand)` replaces the whole theme.
+ */
+const useBrandTheme = (storageKey) => {
+    const [state, setState] = useState(() => ({ storageKey, brand: loadBrand(storageKey) }));
+
+    // Switching boards swaps in that board's theme
+    let current = state;
+    if (state.storageKey !== storageKey) {
+        current = { storageKey, brand: loadBrand(storageKey) };
+        setState(current);
+    }
+
+    useEffect(() => {
+        window.localStorage.setItem(state.storageKey, JSON.stringify(state.brand));
+    }, [state]);
+
+    const setBrand = useCallback((brand) => {
+        setState(prev => ({ ...prev, brand: normalizeBrand(brand) }));
+    }, []);
+
+    return { brand: current.brand, setBrand };
+};
+
+export default useBrandTheme;
@@ -0,0 +1,38 @@
+import { useState, useEffect, useMemo } from 'react';
+import { summarizeClaims } from '../utils/claimStats';
+
+// How long until the next local midnight, when "today" starts over
+const msUntilTomorrow = (from) => {
+    const date = new Date(from);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() - date.getTime();
+};
+
+/**
+ * Claim counts and times per player, and their points today, from the history the data source keeps
+ * (see utils/claimStats.js). Besides every change to `users` (each claim changes a total), it is worked out
+ * again at midnight and whenever another tab writes to localStorage, where the history may be kept.
+ * @param {object} dataSource
+ * @param {Array} users
+ * @returns {Map<string, {claims: number, lastClaimAt: string | null, pointsToday: number}>}
+ */
+const useClaimSummaries = (dataSource, users) => {
+    const [checkedAt, setCheckedAt] = useState(Date.now);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setCheckedAt(Date.now()), msUntilTomorrow(checkedAt) + 1000);
+        return () => clearTimeout(timer);
+    }, [checkedAt]);
+
+    useEffect(() => {
+        const handleStorage = () => setCheckedAt(Date.now());
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    return useMemo(
+        () => (users.length > 0 ? summarizeClaims(dataSource.listClaimHistory(), new Date(checkedAt)) : new Map()),
+        [dataSource, users, checkedAt]
+    );
+};
+
+export default useClaimSummaries;
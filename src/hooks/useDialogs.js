@@ -0,0 +1,17 @@
+import { useContext } from 'react';
+import { DialogContext } from '../dialogs/DialogProvider';
+
+/**
+ * Opens and closes dialogs from anywhere below DialogProvider.
+ * `openDialog(type, props, {key})` returns a promise of the dialog's answer: true or false for a confirmation,
+ * the text for a prompt, whatever a custom dialog closes with, and undefined when it is dismissed.
+ * `closeDialog(type, result)` closes every open dialog of a type, e.g. a panel once its action is done.
+ * See dialogs/dialogStack.js for which dialogs may be open together.
+ * @returns {{openDialog: Function, closeDialog: Function}}
+ */
+const useDialogs = () => {
+    const { openDialog, closeDialog } = useContext(DialogContext);
+    return { openDialog, closeDialog };
+};
+
+export default useDialogs;
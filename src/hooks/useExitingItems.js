@@ -0,0 +1,51 @@
+import { useState, useEffect, useMemo } from 'react';
+
+/**
+ * Keeps items that just left a list around for a moment, so they can play an exit animation.
+ * Removed items are put back at their old position with `isExiting: true` for `duration` ms.
+ * @param {Array} items - The current items, each with an `_id`.
+ * @param {{duration: number, disabled?: boolean, resetKey?: *}} options
+ *   A change of `resetKey` (e.g. switching boards) replaces the list without any exits.
+ * @returns {Array} `items` with the exiting ones merged in.
+ */
+const useExitingItems = (items, { duration, disabled = false, resetKey }) => {
+    const [previous, setPrevious] = useState({ items, resetKey });
+    const [exiting, setExiting] = useState([]);
+
+    // Spot the removed items in the render that drops them, so they never disappear for a frame before exiting
+    if (previous.items !== items) {
+        if (!disabled && previous.resetKey === resetKey) {
+            const currentIds = new Set(items.map(item => item._id));
+            const removedAt = Date.now();
+            const removed = previous.items
+                .map((item, index) => ({ item, index, removedAt }))
+                .filter(({ item }) => !currentIds.has(item._id));
+            if (removed.length > 0) {
+                const removedIds = new Set(removed.map(entry => entry.item._id));
+                setExiting(list => [...list.filter(entry => !removedIds.has(entry.item._id)), ...removed]);
+            }
+        } else if (exiting.length > 0) {
+            setExiting([]);
+        }
+        setPrevious({ items, resetKey });
+    }
+
+    useEffect(() => {
+        if (exiting.length === 0) return undefined;
+        const timer = setTimeout(() => setExiting(list => list.filter(entry => Date.now() - entry.removedAt < duration)), duration);
+        return () => clearTimeout(timer);
+    }, [exiting, duration]);
+
+    return useMemo(() => {
+        if (exiting.length === 0 || disabled) return items;
+        const currentIds = new Set(items.map(item => item._id));
+        const merged = [...items];
+        exiting
+            .filter(entry => !currentIds.has(entry.item._id))
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ item, index }) => merged.splice(Math.min(index, merged.length), 0, { ...item, isExiting: true }));
+        return merged;
+    }, [items, exiting, disabled]);
+};
+
+export default useExitingItems;
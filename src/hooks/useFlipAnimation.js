@@ -0,0 +1,56 @@
+import { useRef, useLayoutEffect } from 'react';
+
+// Long enough to follow a row across the table, short enough not to hold up the next claim
+export const MOVE_DURATION_MS = 450;
+const EASING = 'cubic-bezier(0.2, 0, 0, 1)';
+
+/**
+ * Animates children of `containerRef` marked with `data-flip-key` from their old position to
+ * their new one after each render (the FLIP technique: First, Last, Invert, Play), and fades in
+ * children whose key was not in the previous `keys`.
+ * Positions are layout offsets, so scrolling a windowed list does not count as moving, and keys
+ * rather than mounted nodes decide what is new, so rows scrolled into view do not fade in.
+ * @param {{current: HTMLElement | null}} containerRef
+ * @param {Array<string>} keys - The keys of every item in the list, rendered or not. Keep the array
+ *   stable (e.g. memoized) while the list does not change.
+ * @param {{disabled?: boolean}} [options] - Pass `disabled` for reduced motion.
+ */
+const useFlipAnimation = (containerRef, keys, { disabled = false } = {}) => {
+    const positions = useRef(new Map());
+    const previousKeys = useRef({ list: null, set: null });
+
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const knownKeys = previousKeys.current.set;
+        const nextPositions = new Map();
+
+        container.querySelectorAll('[data-flip-key]').forEach(node => {
+            const key = node.dataset.flipKey;
+            const position = { left: node.offsetLeft, top: node.offsetTop };
+            nextPositions.set(key, position);
+            if (disabled || typeof node.animate !== 'function') return;
+
+            const previous = positions.current.get(key);
+            if (previous && (previous.left !== position.left || previous.top !== position.top)) {
+                const dx = previous.left - position.left;
+                const dy = previous.top - position.top;
+                node.animate(
+                    [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+                    { duration: MOVE_DURATION_MS, easing: EASING }
+                );
+            } else if (!previous && knownKeys && knownKeys.size > 0 && !knownKeys.has(key)) {
+                node.animate(
+                    [{ opacity: 0, transform: 'scale(0.96)' }, { opacity: 1, transform: 'none' }],
+                    { duration: MOVE_DURATION_MS, easing: EASING }
+                );
+            }
+        });
+
+        positions.current = nextPositions;
+        // Only rebuilt when the list itself changed, not on every scroll
+        if (previousKeys.current.list !== keys) previousKeys.current = { list: keys, set: new Set(keys) };
+    });
+};
+
+export default useFlipAnimation;
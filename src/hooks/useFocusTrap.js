@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * The elements inside a container that Tab can reach, in order.
+ * @param {HTMLElement} container
+ */
+export const getFocusableElements = (container) => [...container.querySelectorAll(FOCUSABLE)];
+
+/**
+ * Keeps keyboard focus inside a container while it is mounted, as a modal dialog needs.
+ * Focus moves into the container when it opens (unless a field in it has autoFocus) and goes back to
+ * whatever had it before once it closes, so keyboard users continue where they were.
+ * @param {{current: HTMLElement}} ref - The container; it should have tabIndex -1 so it can take focus itself.
+ * @param {{onEscape?: Function}} options - Called when Escape is pressed inside.
+ * @returns {Function} The container's keydown handler.
+ */
+const useFocusTrap = (ref, { onEscape }) => {
+    // Read while rendering, before an autoFocus field inside takes focus
+    const [opener] = useState(() => document.activeElement);
+
+    useEffect(() => {
+        if (!ref.current.contains(document.activeElement)) ref.current.focus();
+        return () => {
+            if (opener?.isConnected) opener.focus();
+        };
+    }, [ref, opener]);
+
+    return (event) => {
+        if (event.key === 'Escape' && onEscape) {
+            // A dialog opened from another one closes on its own
+            event.stopPropagation();
+            onEscape();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const focusable = getFocusableElements(ref.current);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    };
+};
+
+export default useFocusTrap;
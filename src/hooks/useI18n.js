@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { I18nContext } from '../i18n/I18nProvider';
+
+/**
+ * The current language: `t(key, values)` for messages, formatters for numbers, ordinals, dates and lists,
+ * the text direction and `setLocale(id)`. See i18n/translate.js.
+ */
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
@@ -0,0 +1,42 @@
+import { useState, useCallback, useRef } from 'react';
+import {
+    addNotification, dismissToast, dismissActionToasts, markAllRead, countUnread, createNotification, EMPTY_NOTIFICATIONS,
+} from '../utils/notifications';
+
+/**
+ * The toasts waiting or on screen and the history of everything shown this visit (see utils/notifications.js).
+ * `notify(level, message, {action, details, duration, onClose})` shows a toast and returns its id; `action` is
+ * `{label, onAction}` for a button such as Retry or Undo, which closes the toast when pressed.
+ * @returns {{toasts: Array, history: Array, unreadCount: number, notify: Function, dismiss: Function,
+ *   dismissActionToasts: Function, markHistoryRead: Function}}
+ */
+const useNotifications = () => {
+    const [state, setState] = useState(EMPTY_NOTIFICATIONS);
+    const nextId = useRef(0);
+
+    const notify = useCallback((level, message, { action, details, duration, onClose } = {}) => {
+        const notification = createNotification({
+            id: nextId.current++, level, message, action, details, duration, onClose, createdAt: Date.now(),
+        });
+        setState(prev => addNotification(prev, notification));
+        return notification.id;
+    }, []);
+
+    const dismiss = useCallback((id) => setState(prev => dismissToast(prev, id)), []);
+
+    const dismissActions = useCallback(() => setState(dismissActionToasts), []);
+
+    const markHistoryRead = useCallback(() => setState(markAllRead), []);
+
+    return {
+        toasts: state.toasts,
+        history: state.history,
+        unreadCount: countUnread(state.history),
+        notify,
+        dismiss,
+        dismissActionToasts: dismissActions,
+        markHistoryRead,
+    };
+};
+
+export default useNotifications;
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+
+export const PODIUM_PLACES = [1, 3, 5, 10];
+
+// Classic steps, cards, or a bar race sized against the leader
+export const PODIUM_LAYOUTS = ['steps', 'cards', 'bars'];
+
+export const DEFAULT_PODIUM_SETTINGS = {
+    places: 3,
+    layout: 'steps',
+    showAvatars: false,
+    showGap: false,
+    showRecentGains: false,
+};
+
+const loadPodiumSettings = (storageKey) => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(storageKey)) || {};
+        return {
+            places: PODIUM_PLACES.includes(saved.places) ? saved.places : DEFAULT_PODIUM_SETTINGS.places,
+            layout: PODIUM_LAYOUTS.includes(saved.layout) ? saved.layout : DEFAULT_PODIUM_SETTINGS.layout,
+            showAvatars: Boolean(saved.showAvatars),
+            showGap: Boolean(saved.showGap),
+            showRecentGains: Boolean(saved.showRecentGains),
+        };
+    } catch (err) {
+        return DEFAULT_PODIUM_SETTINGS;
+    }
+};
+
+/**
+ * How the podium looks on one board: how many places, which layout and what extras it shows.
+ * Every board remembers its own settings, e.g. a top 10 bar race for a league and classic steps for a cup.
+ * @param {string} storageKey - Where the settings are kept, one key per board.
+ * @returns {{settings: object, updateSettings: Function}} `updateSettings(changes)` changes only the given fields.
+ */
+const usePodiumSettings = (storageKey) => {
+    const [state, setState] = useState(() => ({ storageKey, settings: loadPodiumSettings(storageKey) }));
+
+    // Switching boards swaps in that board's settings
+    let current = state;
+    if (state.storageKey !== storageKey) {
+        current = { storageKey, settings: loadPodiumSettings(storageKey) };
+        setState(current);
+    }
+
+    useEffect(() => {
+        window.localStorage.setItem(state.storageKey, JSON.stringify(state.settings));
+    }, [state]);
+
+    const updateSettings = useCallback((changes) => {
+        setState(prev => ({ ...prev, settings: { ...prev.settings, ...changes } }));
+    }, []);
+
+    return { settings: current.settings, updateSettings };
+};
+
+export default usePodiumSettings;
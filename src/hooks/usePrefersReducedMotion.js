@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const matches = () => Boolean(window.matchMedia?.(QUERY).matches);
+
+/**
+ * Whether the viewer asked their system for less motion. Follows changes to the setting live.
+ * @returns {boolean}
+ */
+const usePrefersReducedMotion = () => {
+    const [prefersReducedMotion, setPrefersReducedMotion] = useState(matches);
+
+    useEffect(() => {
+        const mediaQuery = window.matchMedia?.(QUERY);
+        if (!mediaQuery) return undefined;
+        const handleChange = () => setPrefersReducedMotion(mediaQuery.matches);
+        mediaQuery.addEventListener('change', handleChange);
+        return () => mediaQuery.removeEventListener('change', handleChange);
+    }, []);
+
+    return prefersReducedMotion;
+};
+
+export default usePrefersReducedMotion;
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { takeRankSnapshot, hasRankingMoved } from '../utils/rankMovement';
+
+// What rank movement is measured against; see useRankBaseline below
+export const RANK_BASELINES = ['previous', 'day'];
+
+/**
+ * The viewer's calendar day, e.g. "2024-05-31".
+ */
+const dayKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const loadDailySnapshot = (storageKey) => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(storageKey));
+        if (!saved?.day) return null;
+        return {
+            day: saved.day,
+            snapshot: { ranks: new Map(saved.ranks), names: new Map(saved.names), isComplete: saved.isComplete },
+        };
+    } catch (err) {
+        return null;
+    }
+};
+
+const saveDailySnapshot = (storageKey, { day, snapshot }) => {
+    window.localStorage.setItem(storageKey, JSON.stringify({
+        day,
+        ranks: [...snapshot.ranks],
+        names: [...snapshot.names],
+        isComplete: snapshot.isComplete,
+    }));
+};
+
+/**
+ * The standings that rank movement (▲2 / ▼1 / NEW) is measured against.
+ * - 'previous': the standings before the last time anyone changed places.
+ * - 'day': the first standings this browser saw today, kept in localStorage per board.
+ * Both are tracked all the time, so switching baselines never starts from scratch.
+ * @param {Array} users - The ranked users; a new array means a new snapshot.
+ * @param {{mode: string, storageKey: string, isComplete: boolean, resetKey: *}} options
+ *   `isComplete` is false while only the first pages of the list are loaded; a change of `resetKey`
+ *   (e.g. switching boards) forgets the previous standings.
+ * @returns {object | null} A snapshot from utils/rankMovement.js, or null before there is anything to compare with.
+ */
+const useRankBaseline = (users, { mode, storageKey, isComplete, resetKey }) => {
+    const [history, setHistory] = useState({ resetKey, users: null, current: null, previous: null });
+    const [daily, setDaily] = useState(() => ({ storageKey, ...loadDailySnapshot(storageKey) }));
+
+    // A new users array is a new snapshot: update the history in this render, so the table never shows stale movement
+    let current = history;
+    if (current.resetKey !== resetKey) {
+        // The list on screen still belongs to the old board until the new one is fetched
+        current = { resetKey, users, current: null, previous: null };
+    }
+    if (current.users !== users && users.length > 0) {
+        const snapshot = takeRankSnapshot(users, isComplete);
+        const moved = current.current && hasRankingMoved(current.current, users);
+        current = { ...current, users, current: snapshot, previous: moved ? current.current : current.previous };
+    }
+    if (current !== history) setHistory(current);
+
+    let today = daily;
+    if (today.storageKey !== storageKey) {
+        today = { storageKey, ...loadDailySnapshot(storageKey) };
+    }
+    const todayKey = dayKey(new Date());
+    if (today.day !== todayKey && current.current) {
+        today = { storageKey, day: todayKey, snapshot: current.current };
+    }
+    if (today !== daily) setDaily(today);
+
+    useEffect(() => {
+        if (daily.day) saveDailySnapshot(daily.storageKey, daily);
+    }, [daily]);
+
+    return mode === 'day' ? today.snapshot || null : current.previous;
+};
+
+export default useRankBaseline;
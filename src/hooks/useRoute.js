@@ -0,0 +1,41 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { parseRoute, buildRouteUrl } from '../utils/routes';
+
+// Where the app is served from, so routes still work when it is hosted under a sub-path
+const BASE_PATH = new URL(process.env.PUBLIC_URL || '/', window.location.href).pathname.replace(/\/$/, '');
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+/**
+ * The current route, kept in sync with the address bar (including the back and forward buttons).
+ * @returns {{route: {page: string, playerId: string | null, query: Object<string, string>}, navigate: Function}}
+ *   `navigate(to, { replace })` takes the same `to` as `buildRouteUrl` in utils/routes.js. Use `replace` for
+ *   changes that should not get their own history entry, like typing in a search box.
+ */
+const useRoute = () => {
+    const [location, setLocation] = useState(readLocation);
+
+    const syncLocation = useCallback(() => {
+        const next = readLocation();
+        setLocation(prev => (prev.pathname === next.pathname && prev.search === next.search ? prev : next));
+    }, []);
+
+    useEffect(() => {
+        window.addEventListener('popstate', syncLocation);
+        return () => window.removeEventListener('popstate', syncLocation);
+    }, [syncLocation]);
+
+    const navigate = useCallback((to, { replace = false } = {}) => {
+        const url = buildRouteUrl(window.location, to, BASE_PATH);
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        }
+        syncLocation();
+    }, [syncLocation]);
+
+    const route = useMemo(() => parseRoute(location, BASE_PATH), [location]);
+
+    return { route, navigate };
+};
+
+export default useRoute;
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { RANKINGS_COLUMNS, DEFAULT_SORT, DEFAULT_OPTIONAL_COLUMNS, isKnownSort } from '../components/rankingsColumns';
+import { RANK_BASELINES } from './useRankBaseline';
+import { TEAM_AGGREGATES, TOP_N_OPTIONS, DEFAULT_TOP_N } from '../utils/teams';
+import { RANKING_SCHEMES, TIE_BREAKS, DEFAULT_RANKING } from '../utils/ranking';
+
+const SETTINGS_KEY = 'leaderboard.tableSettings';
+
+const DEFAULT_TEAM_SCORING = { aggregate: TEAM_AGGREGATES.SUM, topN: DEFAULT_TOP_N };
+
+const loadRanking = (saved) => ({
+    scheme: Object.values(RANKING_SCHEMES).includes(saved?.scheme) ? saved.scheme : DEFAULT_RANKING.scheme,
+    tieBreak: Object.values(TIE_BREAKS).includes(saved?.tieBreak) ? saved.tieBreak : DEFAULT_RANKING.tieBreak,
+});
+
+const loadTeamScoring = (saved) => ({
+    aggregate: Object.values(TEAM_AGGREGATES).includes(saved?.aggregate) ? saved.aggregate : DEFAULT_TEAM_SCORING.aggregate,
+    topN: TOP_N_OPTIONS.includes(saved?.topN) ? saved.topN : DEFAULT_TEAM_SCORING.topN,
+});
+
+const loadSettings = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+        const knownIds = RANKINGS_COLUMNS.map(c => c.id);
+        return {
+            optionalColumns: (saved?.optionalColumns || DEFAULT_OPTIONAL_COLUMNS).filter(id => knownIds.includes(id)),
+            sort: isKnownSort(saved?.sort) ? saved.sort : DEFAULT_SORT,
+            rankBaseline: RANK_BASELINES.includes(saved?.rankBaseline) ? saved.rankBaseline : RANK_BASELINES[0],
+            ranking: loadRanking(saved?.ranking),
+            teamScoring: loadTeamScoring(saved?.teamScoring),
+        };
+    } catch (err) {
+        return {
+            optionalColumns: DEFAULT_OPTIONAL_COLUMNS,
+            sort: DEFAULT_SORT,
+            rankBaseline: RANK_BASELINES[0],
+            ranking: DEFAULT_RANKING,
+            teamScoring: DEFAULT_TEAM_SCORING,
+        };
+    }
+};
+
+/**
+ * The rankings table's column choices, sort order and rank movement baseline, how ranks are numbered,
+ * and how team standings are scored, remembered between sessions.
+ * @returns {{columns: Array, optionalColumns: Array<string>, toggleColumn: Function, sort: object, setSort: Function,
+ *   rankBaseline: string, setRankBaseline: Function, ranking: {scheme: string, tieBreak: string}, setRanking: Function,
+ *   teamScoring: {aggregate: string, topN: number}, setTeamScoring: Function}}
+ */
+const useTableSettings = () => {
+    const [settings, setSettings] = useState(loadSettings);
+
+    useEffect(() => {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }, [settings]);
+
+    /**
+     * Shows or hides an optional column.
+     * @param {string} columnId
+     */
+    const toggleColumn = (columnId) => {
+        setSettings(prev => ({
+            ...prev,
+            optionalColumns: prev.optionalColumns.includes(columnId)
+                ? prev.optionalColumns.filter(id => id !== columnId)
+                : [...prev.optionalColumns, columnId],
+            // Sorting by a column that is being hidden would be confusing
+            sort: prev.sort.columnId === columnId ? DEFAULT_SORT : prev.sort,
+        }));
+    };
+
+    /**
+     * Remembers the sort order (see `nextSort` in rankingsColumns.js for what a header click does).
+     * @param {{columnId: string, direction: 'asc' | 'desc'}} sort
+     */
+    const setSort = (sort) => {
+        setSettings(prev => ({ ...prev, sort }));
+    };
+
+    /**
+     * Picks what rank movement is measured against (see RANK_BASELINES).
+     * @param {string} baselineId
+     */
+    const setRankBaseline = (baselineId) => {
+        setSettings(prev => ({ ...prev, rankBaseline: baselineId }));
+    };
+
+    /**
+     * Changes how ranks are numbered and ties broken (see RANKING_SCHEMES and TIE_BREAKS); only the given fields change.
+     * @param {{scheme?: string, tieBreak?: string}} changes
+     */
+    const setRanking = (changes) => {
+        setSettings(prev => ({ ...prev, ranking: { ...prev.ranking, ...changes } }));
+    };
+
+    /**
+     * Changes how teams are scored (see TEAM_AGGREGATES); only the given fields change.
+     * @param {{aggregate?: string, topN?: number}} changes
+     */
+    const setTeamScoring = (changes) => {
+        setSettings(prev => ({ ...prev, teamScoring: { ...prev.teamScoring, ...changes } }));
+    };
+
+    const columns = RANKINGS_COLUMNS.filter(c => c.fixed || settings.optionalColumns.includes(c.id));
+
+    return {
+        columns,
+        optionalColumns: settings.optionalColumns,
+        toggleColumn,
+        sort: settings.sort,
+        setSort,
+        rankBaseline: settings.rankBaseline,
+        setRankBaseline,
+        ranking: settings.ranking,
+        setRanking,
+        teamScoring: settings.teamScoring,
+        setTeamScoring,
+    };
+};
+
+export default useTableSettings;
@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import { THEME_MODES, resolveThemeMode } from '../utils/theme';
+
+// localStorage key for the theme picked in the header
+const STORAGE_KEY = 'leaderboard.theme';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const matches = (query) => Boolean(window.matchMedia?.(query).matches);
+
+const readSystem = () => ({ prefersDark: matches(DARK_QUERY), prefersMoreContrast: matches(CONTRAST_QUERY) });
+
+const loadMode = () => {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        return Object.values(THEME_MODES).includes(saved) ? saved : THEME_MODES.SYSTEM;
+    } catch (err) {
+        return THEME_MODES.SYSTEM;
+    }
+};
+
+/**
+ * The theme this viewer picked (system, light, dark or high contrast) and the preset it comes to.
+ * In system mode it follows changes to the system's light/dark and contrast settings live.
+ * @returns {{mode: string, preset: string, setMode: Function}}
+ */
+const useThemeMode = () => {
+    const [mode, setModeState] = useState(loadMode);
+    const [system, setSystem] = useState(readSystem);
+
+    useEffect(() => {
+        const mediaQueries = [DARK_QUERY, CONTRAST_QUERY].map(query => window.matchMedia?.(query)).filter(Boolean);
+        const handleChange = () => setSystem(readSystem());
+        mediaQueries.forEach(mediaQuery => mediaQuery.addEventListener('change', handleChange));
+        return () => mediaQueries.forEach(mediaQuery => mediaQuery.removeEventListener('change', handleChange));
+    }, []);
+
+    const setMode = useCallback((nextMode) => {
+        window.localStorage.setItem(STORAGE_KEY, nextMode);
+        setModeState(nextMode);
+    }, []);
+
+    return { mode, preset: resolveThemeMode(mode, system), setMode };
+};
+
+export default useThemeMode;
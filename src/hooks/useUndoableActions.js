@@ -0,0 +1,88 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// How long a destructive action can still be undone before it is sent to the server
+export const UNDO_WINDOW_MS = 8000;
+
+/**
+ * Delays destructive actions so they can be taken back.
+ * A scheduled action is only sent (via its `commit` function) when the caller calls `commitAction`, once the
+ * undo window has passed, or straight away when the page is closed. The window is the caller's to time: the
+ * app ends it when the toast offering Undo has been on screen for UNDO_WINDOW_MS. Until then the caller is
+ * expected to hide the action's effect, e.g. by layering `action.event` over the confirmed data.
+ * Requests still running as the page unloads are usually cancelled, so then an action's `commitOnUnload` is
+ * used instead: it must send at once (e.g. a keepalive fetch) and return whether it did; if not, `commit` is.
+ * @returns {{pendingActions: Array, scheduleAction: Function, commitAction: Function, undoAction: Function}}
+ */
+const useUndoableActions = () => {
+    const [pendingActions, setPendingActions] = useState([]);
+    // id -> action, so unload handlers see the latest actions without re-rendering
+    const scheduled = useRef(new Map());
+    const nextId = useRef(0);
+
+    /**
+     * Sends an action that is still waiting. Does nothing once it has been sent or undone.
+     * @param {number} id
+     */
+    const commitAction = useCallback(async (id) => {
+        const action = scheduled.current.get(id);
+        if (!action) return;
+        scheduled.current.delete(id);
+        try {
+            const result = await action.commit();
+            action.onCommitted?.(result);
+        } catch (err) {
+            action.onFailed?.(err);
+        } finally {
+            setPendingActions(prev => prev.filter(a => a.id !== id));
+        }
+    }, []);
+
+    /**
+     * Queues a destructive action.
+     * @param {{label: string, event?: object, commit: Function, commitOnUnload?: Function, onCommitted?: Function,
+     *   onFailed?: Function}} action
+     *   `label` says what is about to happen; `commit` performs the real request and returns a promise.
+     *   Any other fields (e.g. which board the action belongs to) are kept on the pending action.
+     * @returns {number} The id to pass to commitAction or undoAction.
+     */
+    const scheduleAction = useCallback((action) => {
+        const id = nextId.current++;
+        const pending = { ...action, id };
+        scheduled.current.set(id, pending);
+        setPendingActions(prev => [...prev, pending]);
+        return id;
+    }, []);
+
+    /**
+     * Cancels an action that has not been sent yet. Nothing reaches the server.
+     * @param {number} id
+     */
+    const undoAction = useCallback((id) => {
+        if (!scheduled.current.delete(id)) return;
+        setPendingActions(prev => prev.filter(a => a.id !== id));
+    }, []);
+
+    // Whatever is still waiting when the page goes away was meant to happen, so send it now.
+    // What went out through commitOnUnload is taken as done, as its answer would come too late to read.
+    useEffect(() => {
+        const pending = scheduled.current;
+        const flush = () => [...pending].forEach(([id, action]) => {
+            if (!action.commitOnUnload?.()) {
+                commitAction(id);
+                return;
+            }
+            pending.delete(id);
+            setPendingActions(prev => prev.filter(a => a.id !== id));
+            action.onCommitted?.();
+        });
+        window.addEventListener('pagehide', flush);
+        return () => {
+            window.removeEventListener('pagehide', flush);
+            flush();
+        };
+    }, [commitAction]);
+
+    return { pendingActions, scheduleAction, commitAction, undoAction };
+};
+
+export default useUndoableActions;
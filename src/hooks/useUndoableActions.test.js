@@ -0,0 +1,46 @@
+import { renderHook, act } from '@testing-library/react';
+import useUndoableActions from './useUndoableActions';
+
+const action = (fields) => ({ label: 'Deleting', commit: jest.fn(() => Promise.resolve()), onCommitted: jest.fn(), ...fields });
+
+test('sends nothing until the action is committed, and nothing at all once undone', async () => {
+    const { result } = renderHook(() => useUndoableActions());
+    const kept = action();
+    const undone = action();
+    let keptId;
+    act(() => {
+        keptId = result.current.scheduleAction(kept);
+        result.current.undoAction(result.current.scheduleAction(undone));
+    });
+    expect(result.current.pendingActions).toHaveLength(1);
+    expect(kept.commit).not.toHaveBeenCalled();
+
+    await act(() => result.current.commitAction(keptId));
+    expect(kept.commit).toHaveBeenCalledTimes(1);
+    expect(kept.onCommitted).toHaveBeenCalledTimes(1);
+    expect(undone.commit).not.toHaveBeenCalled();
+    expect(result.current.pendingActions).toEqual([]);
+});
+
+test('sends what is still waiting through commitOnUnload when the page goes away', async () => {
+    const { result } = renderHook(() => useUndoableActions());
+    const beacon = action({ commitOnUnload: jest.fn(() => true) });
+    const fallback = action({ commitOnUnload: jest.fn(() => false) });
+    const plain = action();
+    act(() => {
+        [beacon, fallback, plain].forEach(result.current.scheduleAction);
+    });
+
+    await act(async () => { window.dispatchEvent(new Event('pagehide')); });
+    expect(beacon.commitOnUnload).toHaveBeenCalledTimes(1);
+    expect(beacon.commit).not.toHaveBeenCalled();
+    expect(beacon.onCommitted).toHaveBeenCalledTimes(1);
+    expect(fallback.commit).toHaveBeenCalledTimes(1);
+    expect(plain.commit).toHaveBeenCalledTimes(1);
+    expect(result.current.pendingActions).toEqual([]);
+
+    // Nothing is sent twice
+    await act(async () => { window.dispatchEvent(new Event('pagehide')); });
+    expect(beacon.commitOnUnload).toHaveBeenCalledTimes(1);
+    expect(plain.commit).toHaveBeenCalledTimes(1);
+});
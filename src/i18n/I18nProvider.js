@@ -0,0 +1,46 @@
+import React, { createContext, useState, useMemo, useEffect, useCallback } from 'react';
+import { createTranslator, matchLocale, findLocale, DEFAULT_LOCALE } from './translate';
+
+// localStorage key for the language picked in the header
+const STORAGE_KEY = 'leaderboard.locale';
+
+// Outside a provider (e.g. in tests) everything is in the default locale
+export const I18nContext = createContext({ ...createTranslator(DEFAULT_LOCALE), setLocale: () => {} });
+
+/**
+ * The language picked earlier, or else the first one the browser prefers that we have.
+ */
+const loadLocale = () => {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        if (saved) return findLocale(saved).id;
+    } catch (err) {
+        // Fall through to the browser's languages
+    }
+    return matchLocale(navigator.languages || [navigator.language]);
+};
+
+/**
+ * Provides the translator (see translate.js) and `setLocale` to everything below it; read it with useI18n.
+ * Also sets `lang` and `dir` on the page, so right-to-left languages lay out from the right.
+ * @param {{children: React.ReactNode}} props
+ */
+const I18nProvider = ({ children }) => {
+    const [locale, setLocaleState] = useState(loadLocale);
+    const translator = useMemo(() => createTranslator(locale), [locale]);
+
+    useEffect(() => {
+        document.documentElement.lang = translator.locale;
+        document.documentElement.dir = translator.dir;
+    }, [translator]);
+
+    const setLocale = useCallback((nextLocale) => {
+        window.localStorage.setItem(STORAGE_KEY, nextLocale);
+        setLocaleState(nextLocale);
+    }, []);
+
+    const value = useMemo(() => ({ ...translator, setLocale }), [translator, setLocale]);
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
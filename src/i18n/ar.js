@@ -0,0 +1,415 @@
+// --- ARABIC MESSAGES ---
+// Written right to left; see en.js for the format. Missing keys fall back to English.
+
+const ar = {
+    // Shared
+    'common.ok': 'حسنًا',
+    'common.cancel': 'إلغاء',
+    'common.close': 'إغلاق',
+    'common.done': 'تم',
+    'common.save': 'حفظ',
+    'common.back': 'رجوع',
+    'common.loading': 'جارٍ التحميل...',
+    'common.exportCsv': 'تصدير CSV',
+    'common.exportJson': 'تصدير JSON',
+    'common.points': '{points} نقطة',
+    'common.searchPlayers': 'ابحث عن لاعب…',
+    'common.noPlayersMatch': 'لا يوجد لاعبون يطابقون "{text}".',
+    'common.listLimited': 'يُعرض {shown} من {count} لاعب. اكتب لتضييق القائمة.',
+    'common.backToBoard': '→ العودة إلى اللوحة',
+    'common.viewProfile': 'عرض ملف {name}',
+    'format.ordinal': { other: 'المركز {n}' },
+    'language.label': 'اللغة',
+    'theme.label': 'المظهر',
+    'theme.mode.system': 'مظهر النظام',
+    'theme.mode.light': 'فاتح',
+    'theme.mode.dark': 'داكن',
+    'theme.mode.contrast': 'تباين عالٍ',
+
+    // Errors
+    'errors.network': 'خطأ في الشبكة: تحقق من الاتصال بالخادم.',
+    'errors.cannotConnect': 'خطأ في الشبكة: تعذّر الاتصال بالخادم على {url}. تأكد من أن الخادم يعمل، أو اختر عنوانًا آخر (أو وضع عدم الاتصال) من ⚙️ ← إعدادات API.',
+    'errors.generic': 'حدث خطأ: {message}',
+    'errors.withReason': 'خطأ: {message}',
+    'errors.loadMore': 'تعذّر تحميل مزيد من اللاعبين. مرّر للأسفل للمحاولة مجددًا.',
+    'errors.generate': 'حدث خطأ أثناء إنشاء اللاعبين.',
+    'errors.addUser': 'تعذّرت إضافة اللاعب.',
+    'errors.claim': 'تعذّرت المطالبة بالنقاط لـ {name}.',
+    'errors.claimRolledBack': '{reason} تم التراجع عن المطالبة.',
+    'errors.assignTeam': 'تعذّر تغيير فريق {name}.',
+    'errors.clearScores': 'تعذّر تصفير النقاط.',
+    'errors.deleteAll': 'تعذّر حذف جميع اللاعبين.',
+    'errors.deleteUser': 'تعذّر حذف اللاعب "{name}".',
+    'errors.export': 'تعذّر تصدير الترتيب.',
+    'errors.report': 'تعذّر إعداد التقرير.',
+    'errors.archive': 'تعذّر تحميل الترتيب النهائي للوحة "{name}"، لذا لم تتم أرشفتها.',
+
+    // Notifications
+    'messages.generated': {
+        one: 'تم إنشاء لاعب عشوائي جديد!',
+        two: 'تم إنشاء لاعبَين عشوائيَّين جديدَين!',
+        few: 'تم إنشاء {count} لاعبين عشوائيين جدد!',
+        other: 'تم إنشاء {count} لاعبًا عشوائيًا جديدًا!',
+    },
+    'messages.generatedPartly': 'تم إنشاء {count} من {total} لاعبين عشوائيين. اطّلع على التفاصيل لمعرفة ما تعذّر إنشاؤه.',
+    'messages.generateFailed': 'تعذّر إنشاء لاعبين جدد. ربما كانوا موجودين مسبقًا.',
+    'messages.userAdded': 'تمت إضافة اللاعب "{name}" بنجاح!',
+    'messages.selectUser': 'يرجى اختيار لاعب أولًا.',
+    'messages.claimed': {
+        zero: '🎉 لم تحصل على أي نقطة لـ {name}.',
+        one: '🎉 حصلت على نقطة واحدة لـ {name}!',
+        two: '🎉 حصلت على نقطتين لـ {name}!',
+        few: '🎉 حصلت على {count} نقاط لـ {name}!',
+        other: '🎉 حصلت على {count} نقطة لـ {name}!',
+    },
+    'messages.teamJoined': '{name} الآن في فريق "{team}".',
+    'messages.teamLeft': '{name} لم يعد في أي فريق.',
+    'messages.scoresReset': 'تم تصفير جميع النقاط.',
+    'messages.usersDeleted': 'تم حذف جميع اللاعبين.',
+    'messages.userDeleted': 'تم حذف اللاعب "{name}".',
+    'messages.endpointChanged': 'يتم الآن استخدام واجهة {label}.',
+    'messages.endpointReset': 'يتم الآن استخدام الواجهة الافتراضية.',
+    'messages.exported': {
+        one: 'تم تصدير لاعب واحد بصيغة {format}.',
+        two: 'تم تصدير لاعبَين بصيغة {format}.',
+        few: 'تم تصدير {count} لاعبين بصيغة {format}.',
+        other: 'تم تصدير {count} لاعبًا بصيغة {format}.',
+    },
+    'messages.boardCreated': 'تم إنشاء اللوحة "{name}".',
+    'messages.boardArchived': 'تمت أرشفة "{name}" في هذا المتصفح، الذي يحتفظ بترتيبها النهائي ولن يغيّرها بعد الآن.',
+    'messages.loggedIn': 'تم تسجيل الدخول باسم {name} ({role}).',
+    'messages.loggedOut': 'تم تسجيل الخروج.',
+    'messages.brandingSaved': 'تم حفظ هوية {board}.',
+    'messages.sessionExpired': 'انتهت صلاحية جلستك. سجّل الدخول مجددًا لإجراء تغييرات.',
+
+    // Header
+    'app.title': 'تحدي لوحة المتصدرين',
+    'header.board': 'اللوحة',
+    'header.archivedBoard': '{name} (مؤرشفة)',
+    'header.manage': 'إدارة',
+    'header.endpointSource': 'مصدر العنوان: {source}',
+    'header.endpoint': 'الواجهة: {label} · {location}',
+    'header.storedInBrowser': 'محفوظة في هذا المتصفح',
+    'header.change': 'تغيير',
+    'liveStatus.connecting': 'جارٍ الاتصال…',
+    'liveStatus.live': 'مباشر',
+    'liveStatus.reconnecting': 'جارٍ إعادة الاتصال…',
+    'liveStatus.polling': 'تحديث دوري',
+    'liveStatus.archived': 'مؤرشفة',
+    'auth.signedInAs': 'مسجّل الدخول باسم {name} · {role}',
+    'auth.sessionExpired': 'انتهت الجلسة',
+    'auth.guest': 'تتصفح كزائر',
+    'auth.logIn': 'تسجيل الدخول',
+    'auth.logOut': 'تسجيل الخروج',
+    'roles.viewer': 'مشاهد',
+    'roles.scorekeeper': 'مسجّل النقاط',
+    'roles.admin': 'مسؤول',
+
+    // Board page
+    'claim.placeholder': '-- ابحث عن لاعب للمطالبة بالنقاط --',
+    'claim.submit': 'المطالبة بالنقاط',
+    'announce.rankUp': 'تقدّم {name} إلى {rank}.',
+    'announce.rankDown': 'تراجع {name} إلى {rank}.',
+    'fab.addPlayer': 'إضافة لاعب',
+    'board.archivedBanner': '📦 تمت أرشفة هذا الموسم في هذا المتصفح بتاريخ {date}. هذا ترتيبه النهائي كما حُفظ هنا.',
+    'tabs.label': 'الترتيب',
+    'tabs.players': 'اللاعبون',
+    'tabs.teams': 'الفرق',
+    'rankings.title': 'الترتيب الكامل',
+    'rankings.loadedCount': ' · يُعرض {loaded} من {total}',
+    'rankings.filterPlaceholder': 'تصفية اللاعبين…',
+    'rankings.filterLabel': 'تصفية الترتيب',
+    'rankings.teamFilterLabel': 'عرض فريق واحد',
+    'rankings.allTeams': 'جميع الفرق',
+    'rankings.baselineLabel': 'عرض تغيّر المراكز',
+    'rankings.noMatchInTeam': 'لا يوجد لاعبون يطابقون "{text}" في {team}.',
+    'rankings.empty': 'لا يوجد لاعبون. جرّب حذف جميع اللاعبين وإعادة تشغيل الخادم.',
+    'rankings.loadingMore': 'جارٍ تحميل مزيد من اللاعبين...',
+    'rankings.pending': 'بانتظار الخادم',
+    'rankings.new': 'جديد',
+    'rankBaseline.previous': 'منذ آخر تغيير',
+    'rankBaseline.day': 'منذ بداية اليوم',
+    'columns.picker': 'الأعمدة ▾',
+    'columns.rank': 'المركز',
+    'columns.name': 'الاسم',
+    'columns.points': 'النقاط',
+    'columns.team': 'الفريق',
+    'columns.lastClaim': 'آخر مطالبة',
+    'columns.pointsToday': 'اليوم',
+    'columns.rankChange': 'التغيّر',
+    'columns.claimCount': 'المطالبات',
+    'ranking.picker': 'التعادل ▾',
+    'ranking.schemeLegend': 'يحصل المتعادلون على',
+    'ranking.scheme.standard': 'مراكز مشتركة (1، 2، 2، 4)',
+    'ranking.scheme.dense': 'مراكز مشتركة بلا فجوات (1، 2، 2، 3)',
+    'ranking.scheme.ordinal': 'بلا مراكز مشتركة (1، 2، 3، 4)',
+    'ranking.tieBreakLegend': 'يُدرج أولًا',
+    'ranking.tieBreak.reachedFirst': 'من بلغ النتيجة أولًا',
+    'ranking.tieBreak.joinedFirst': 'من انضم أولًا',
+    'ranking.tieBreak.name': 'الاسم (أ←ي)',
+
+    // Podium
+    'podium.picker': 'منصة التتويج ▾',
+    'podium.places': 'المراكز',
+    'podium.winner': 'الفائز',
+    'podium.top': 'أفضل {count}',
+    'podium.layout': 'الشكل',
+    'podium.layout.steps': 'درجات كلاسيكية',
+    'podium.layout.cards': 'بطاقات',
+    'podium.layout.bars': 'سباق الأشرطة',
+    'podium.show': 'إظهار',
+    'podium.showAvatars': 'الصور الرمزية',
+    'podium.showGap': 'الفارق عن المركز التالي',
+    'podium.showRecentGains': 'مكاسب اليوم',
+    'podium.tied': 'تعادل',
+    'podium.more': '+{count} آخرين',
+    'podium.lead': 'متقدم بـ {points}',
+    'podium.behind': 'بفارق {points} عن {rank}',
+    'podium.gainToday': '+{points} اليوم',
+    'podium.enteredFirst': '🎉 دخل {names} المركز الأول',
+    'podium.enteredTop': '🎉 دخل {names} قائمة أفضل {count}',
+    'podium.leftFirst': 'خرج {names} من المركز الأول',
+    'podium.leftTop': 'خرج {names} من قائمة أفضل {count}',
+
+    // Teams
+    'teams.title': 'ترتيب الفرق',
+    'teams.rankBy': 'ترتيب الفرق حسب',
+    'teams.aggregate.sum': 'مجموع النقاط',
+    'teams.aggregate.average': 'المعدل لكل لاعب',
+    'teams.aggregate.topN': 'أفضل اللاعبين فقط',
+    'teams.playersCounted': 'عدد اللاعبين المحتسبين لكل فريق',
+    'teams.best': 'أفضل {count}',
+    'teams.rank': 'المركز',
+    'teams.team': 'الفريق',
+    'teams.players': 'اللاعبون',
+    'teams.total': 'المجموع',
+    'teams.average': 'المعدل',
+    'teams.empty': 'لا توجد فرق بعد. يمكن للمسؤول توزيع اللاعبين على الفرق من منطقة الإدارة.',
+    'teams.showPlayers': 'عرض لاعبي {name}',
+    'teams.partialNote': 'بناءً على {loaded} من أصل {total} لاعب تم تحميلهم حتى الآن.',
+    'assignTeams.title': 'توزيع الفرق',
+    'assignTeams.teams': 'الفرق: {names}.',
+    'assignTeams.noTeams': 'لا توجد فرق بعد.',
+    'assignTeams.hint': 'اكتب اسمًا جديدًا لبدء فريق.',
+    'assignTeams.searchLabel': 'البحث عن لاعبين',
+    'assignTeams.noTeam': 'بلا فريق',
+    'assignTeams.teamOf': 'فريق {name}',
+
+    // Player dialogs
+    'addPlayer.title': 'إضافة لاعب جديد',
+    'addPlayer.placeholder': 'أدخل اسم اللاعب الجديد',
+    'addPlayer.nameLabel': 'اسم اللاعب الجديد',
+    'addPlayer.submit': 'إضافة لاعب',
+    'deletePlayer.title': 'حذف لاعب',
+    'deletePlayer.searchLabel': 'ابحث عن لاعب لحذفه',
+    'deletePlayer.none': 'لا يوجد لاعبون لحذفهم.',
+    'deletePlayer.deleteName': 'حذف {name}',
+    'resetScores.title': 'تصفير جميع النقاط',
+    'resetScores.body': 'سيؤدي هذا إلى تصفير جميع النقاط. ستتمكن من التراجع خلال ثوانٍ قليلة.',
+    'resetScores.confirm': 'تأكيد التصفير',
+    'deleteAll.title': 'حذف جميع اللاعبين',
+    'deleteAll.body': 'سيؤدي هذا إلى حذف جميع اللاعبين ونقاطهم. ستتمكن من التراجع خلال ثوانٍ قليلة. هل أنت متأكد؟',
+    'deleteAll.confirm': 'تأكيد حذف الجميع',
+    'confirmDelete.title': 'تأكيد الحذف',
+    'confirmDelete.body': 'هل أنت متأكد من حذف {name}؟ ستتمكن من التراجع خلال ثوانٍ قليلة.',
+    'confirmDelete.confirm': 'حذف',
+    'undo.scoresReset': 'جارٍ تصفير جميع النقاط…',
+    'undo.usersDeleted': 'جارٍ حذف جميع اللاعبين…',
+    'undo.userDeleted': 'جارٍ حذف "{name}"…',
+    'undo.undo': 'تراجع',
+
+    // Notification center
+    'notifications.title': 'الإشعارات',
+    'notifications.historyTitle': 'سجل الإشعارات',
+    'notifications.open': {
+        one: 'الإشعارات، إشعار جديد واحد',
+        two: 'الإشعارات، إشعاران جديدان',
+        few: 'الإشعارات، {count} إشعارات جديدة',
+        other: 'الإشعارات، {count} إشعارًا جديدًا',
+    },
+    'notifications.empty': 'لا شيء بعد. تُحفظ هنا الرسائل التي ظهرت خلال هذه الزيارة.',
+    'notifications.new': 'جديد',
+    'notifications.details': 'التفاصيل',
+    'notifications.dismiss': 'إغلاق الإشعار',
+    'notifications.retry': 'إعادة المحاولة',
+    'notifications.failedFor': '{name}: {reason}',
+    'notifications.level.success': 'نجاح',
+    'notifications.level.info': 'معلومة',
+    'notifications.level.warning': 'تحذير',
+    'notifications.level.error': 'خطأ',
+
+    // Profile
+    'profile.standing': '{rank} · {points} نقطة',
+    'profile.loadFailed': 'تعذّر تحميل سجل المطالبات.',
+    'profile.notFoundTitle': 'اللاعب غير موجود',
+    'profile.notFound': 'لا يوجد لاعب بهذا الرابط في {board}. ربما حُذف، أو أن الرابط للوحة أخرى.',
+    'profile.lookupFailed': 'تعذّر تحميل هذا اللاعب.',
+    'profile.claims': 'المطالبات',
+    'profile.pointsClaimed': 'النقاط المكتسبة',
+    'profile.averageClaim': 'متوسط المطالبة',
+    'profile.bestClaim': 'أفضل مطالبة',
+    'profile.rankOverTime': 'المركز عبر الوقت',
+    'profile.rankChart': 'المركز بعد كل مطالبة: {ranks}',
+    'profile.history': 'سجل المطالبات',
+    'profile.noClaims': 'لم تُسجّل أي مطالبات بعد.',
+    'profile.localNote': 'لا يحتفظ الخادم بسجل المطالبات، لذا تشمل هذه القائمة فقط المطالبات التي شاهدها هذا المتصفح.',
+    'combobox.placeholder': 'ابحث عن لاعب…',
+    'combobox.noMatch': 'لا يوجد لاعبون يطابقون "{text}"',
+
+    // Menu and admin area
+    'menu.label': 'الإجراءات',
+    'menu.backToBoard': 'العودة إلى اللوحة',
+    'menu.admin': 'منطقة الإدارة',
+    'menu.boards': 'اللوحات والمواسم',
+    'menu.printReport': 'طباعة التقرير',
+    'menu.apiSettings': 'إعدادات API',
+    'admin.title': 'الإدارة',
+    'admin.heading': 'الإدارة · {board}',
+    'admin.roleCannot': '{name}، دورك ({role}) لا يسمح باستخدام منطقة الإدارة.',
+    'admin.logInAsAdmin': 'سجّل الدخول كمسؤول لاستخدام منطقة الإدارة.',
+    'admin.logInAsSomeoneElse': 'تسجيل الدخول بحساب آخر',
+    'admin.archivedNote': 'هذه اللوحة مؤرشفة في هذا المتصفح، لذا أُوقف تغيير اللاعبين والنقاط هنا.',
+    'admin.players': 'اللاعبون',
+    'admin.generate': 'إنشاء 10 لاعبين',
+    'admin.import': 'استيراد لاعبين',
+    'admin.assignTeams': 'توزيع الفرق',
+    'admin.deletePlayer': 'حذف لاعب',
+    'admin.dangerZone': 'منطقة الخطر',
+    'admin.undoNote': 'يمكن التراجع عن كليهما خلال ثوانٍ قليلة بعد التنفيذ.',
+    'admin.resetScores': 'تصفير جميع النقاط',
+    'admin.deleteAll': 'حذف جميع اللاعبين',
+    'admin.setup': 'الإعداد',
+    'admin.auditLog': 'سجل التدقيق',
+    'admin.branding': 'هوية اللوحة',
+    'branding.title': 'هوية اللوحة',
+    'branding.intro': 'ألوان وشعار وعنوان للوحة {board}. تُحفظ في هذا المتصفح فقط، فتبقى الأجهزة والمشاهدون الآخرون على المظهر المعتاد.',
+    'branding.boardTitle': 'العنوان',
+    'branding.logo': 'عنوان الشعار',
+    'branding.logoInvalid': 'يجب أن يبدأ عنوان الشعار بـ http:// أو https://.',
+    'branding.useColors': 'استخدام ألوان الهوية للأزرار',
+    'branding.primary': 'اللون الرئيسي',
+    'branding.secondary': 'اللون الثاني',
+    'branding.contrastNote': 'يحتفظ مظهر التباين العالي بألوانه دائمًا.',
+    'branding.reset': 'إعادة الضبط',
+
+    // Boards
+    'boards.title': 'اللوحات والمواسم',
+    'boards.defaultName': 'لوحة الصدارة الرئيسية',
+    'boards.archivedOn': ' · أُرشفت في {date}',
+    'boards.current': 'الحالية',
+    'boards.open': 'فتح',
+    'boards.archivedSeasons': 'المواسم المؤرشفة',
+    'boards.newPlaceholder': 'اسم لوحة أو موسم جديد',
+    'boards.create': 'إنشاء',
+    'boards.archiveTitle': 'أرشفة هذا الموسم؟',
+    'boards.archiveQuestion': 'أرشفة {name}؟ سيحتفظ هذا المتصفح بترتيبها النهائي ويتوقف عن تغييرها. لا يتأثر الخادم ولا المتصفحات الأخرى.',
+    'boards.confirmArchive': 'تأكيد الأرشفة',
+    'boards.archive': 'أرشفة "{name}"',
+
+    // API settings
+    'api.title': 'إعدادات API',
+    'api.profile.local': 'محلي',
+    'api.profile.staging': 'تجريبي',
+    'api.profile.production': 'الإنتاج',
+    'api.profile.offline': 'دون اتصال',
+    'api.profile.custom': 'مخصص',
+    'api.description.offline': 'محفوظ في هذا المتصفح، لا حاجة إلى خادم',
+    'api.notConfigured': 'غير مُعدّ في هذا الإصدار',
+    'api.invalidUrl': 'يرجى إدخال عنوان كامل يبدأ بـ http:// أو https://',
+    'api.useDefault': 'استخدام الافتراضي',
+
+    // Login
+    'login.title': 'تسجيل الدخول',
+    'login.expired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مجددًا.',
+    'login.devNote': 'دخول التطوير: لا حاجة إلى كلمة مرور، اختر أي اسم ودور.',
+    'login.name': 'الاسم',
+    'login.username': 'اسم المستخدم',
+    'login.password': 'كلمة المرور',
+    'login.role': 'الدور',
+    'login.sessionLength': 'مدة الجلسة',
+    'login.minutes': '{count} دقيقة',
+    'login.wrongPassword': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+    'login.failed': 'تعذّر تسجيل الدخول.',
+
+    // Audit log
+    'audit.title': 'سجل التدقيق · {board}',
+    'audit.loadFailed': 'تعذّر تحميل سجل التدقيق.',
+    'audit.actionLabel': 'الإجراء',
+    'audit.allActions': 'جميع الإجراءات',
+    'audit.action.add': 'إضافة لاعب',
+    'audit.action.claim': 'مطالبة بالنقاط',
+    'audit.action.delete': 'حذف لاعب',
+    'audit.action.deleteAll': 'حذف جميع اللاعبين',
+    'audit.action.reset': 'تصفير جميع النقاط',
+    'audit.action.generate': 'إنشاء لاعبين',
+    'audit.action.import': 'استيراد لاعبين',
+    'audit.action.team': 'تغيير الفريق',
+    'audit.filterPlaceholder': 'تصفية حسب المنفّذ أو اللاعب...',
+    'audit.filterLabel': 'تصفية حسب الاسم',
+    'audit.anonymous': 'مجهول',
+    'audit.actorWithRole': '{name} ({role})',
+    'audit.morePlayers': '{names} و{count} آخرون',
+    'audit.details.points': {
+        one: '+نقطة واحدة',
+        two: '+نقطتان',
+        few: '+{count} نقاط',
+        other: '+{count} نقطة',
+    },
+    'audit.details.team': 'الفريق: {team}',
+    'audit.details.noTeam': 'بلا فريق',
+    'audit.wholeBoard': {
+        one: 'اللاعب الوحيد في اللوحة',
+        two: 'لاعبا اللوحة كلاهما',
+        few: 'جميع لاعبي اللوحة ({count} لاعبين)',
+        other: 'جميع لاعبي اللوحة ({count} لاعبًا)',
+    },
+    'audit.noMatch': 'لا توجد سجلات تطابق عوامل التصفية.',
+    'audit.empty': 'لم يُسجّل أي شيء بعد.',
+    'audit.countServer': 'يُعرض {shown} من {count} سجل يحتفظ بها الخادم.',
+    'audit.countLocal': 'يُعرض {shown} من {count} سجل. تُسجّل فقط التغييرات التي تمت في هذا المتصفح.',
+
+    // Import
+    'import.title': 'استيراد لاعبين',
+    'import.formatHelp': 'ملف CSV يحتوي على عمود {name} وعمودَي {points} و{team} اختياريًا، أو JSON مثل {example}.',
+    'import.readError': 'تعذّرت قراءة البيانات: {message}',
+    'import.requestFailed': 'فشل الطلب.',
+    'import.checking': 'جارٍ فحص اللوحة…',
+    'import.loadFailed': 'تعذّر تحميل اللاعبين الموجودين في اللوحة، لذا لا يمكن التحقق من التكرار.',
+    'import.problem.nameMissing': 'الاسم مفقود.',
+    'import.problem.nameTooLong': 'الاسم أطول من {max} حرفًا.',
+    'import.problem.badPoints': 'يجب أن تكون النقاط عددًا صحيحًا يساوي 0 أو أكثر.',
+    'import.problem.onBoard': 'موجود في هذه اللوحة مسبقًا.',
+    'import.problem.earlierInFile': 'ورد في سطر سابق من الملف.',
+    'import.problem.notAList': 'تعذّرت قراءة البيانات: المتوقَّع قائمة لاعبين، أو كائن فيه قائمة "players".',
+    'import.preview': 'معاينة',
+    'import.previewSummary': 'سيتم استيراد {ready} من {count} صف. {invalid} غير صالح، {duplicate} مكرر.',
+    'import.progress': 'جارٍ إنشاء اللاعبين… {done} / {count}',
+    'import.doneSummary': 'تم إنشاء {created}، فشل {failed}، تم تخطي {skipped}.',
+    'import.line': 'السطر',
+    'import.name': 'الاسم',
+    'import.points': 'النقاط',
+    'import.team': 'الفريق',
+    'import.status': 'الحالة',
+    'import.emptyName': '(فارغ)',
+    'import.status.ready': 'جاهز',
+    'import.status.invalid': 'غير صالح',
+    'import.status.duplicate': 'مكرر',
+    'import.status.created': 'تم الإنشاء',
+    'import.status.failed': 'فشل',
+    'import.submit': {
+        one: 'استيراد لاعب واحد',
+        two: 'استيراد لاعبَين',
+        few: 'استيراد {count} لاعبين',
+        other: 'استيراد {count} لاعبًا',
+    },
+
+    // Print report
+    'report.print': 'طباعة',
+    'report.subtitle': 'النتائج النهائية · {date}',
+    'report.players': 'اللاعبون',
+    'report.totalPoints': 'مجموع النقاط',
+    'report.averagePoints': 'متوسط النقاط',
+    'report.topScore': 'أعلى نتيجة',
+};
+
+export default ar;
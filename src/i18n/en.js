@@ -0,0 +1,381 @@
+// --- ENGLISH MESSAGES ---
+// The reference catalog: every key the app uses is here, and other locales fall back to it.
+// `{name}` is replaced by the value of that name; numbers are formatted for the locale.
+// A message given as an object is picked by plural category, using the `count` value.
+
+const en = {
+    // Shared
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.done': 'Done',
+    'common.save': 'Save',
+    'common.ok': 'OK',
+    'common.back': 'Back',
+    'common.loading': 'Loading...',
+    'common.exportCsv': 'Export CSV',
+    'common.exportJson': 'Export JSON',
+    'common.points': '{points} pts',
+    'common.searchPlayers': 'Search players…',
+    'common.noPlayersMatch': 'No players match "{text}".',
+    'common.listLimited': 'Showing {shown} of {count} players. Type to narrow the list.',
+    'common.backToBoard': '← Back to the board',
+    'common.viewProfile': "View {name}'s profile",
+    'format.ordinal': { one: '{n}st', two: '{n}nd', few: '{n}rd', other: '{n}th' },
+    'language.label': 'Language',
+    'theme.label': 'Theme',
+    'theme.mode.system': 'System theme',
+    'theme.mode.light': 'Light',
+    'theme.mode.dark': 'Dark',
+    'theme.mode.contrast': 'High contrast',
+
+    // Errors
+    'errors.network': 'Network Error: Check server connection.',
+    'errors.cannotConnect': 'Network Error: Cannot connect to the server at {url}. Please make sure the backend is running, or pick another endpoint (or Offline mode) under ⚙️ → API Settings.',
+    'errors.generic': 'An error occurred: {message}',
+    'errors.withReason': 'Error: {message}',
+    'errors.loadMore': 'Could not load more players. Scroll down to try again.',
+    'errors.generate': 'An error occurred while generating users.',
+    'errors.addUser': 'Failed to add user.',
+    'errors.claim': 'Failed to claim points for {name}.',
+    'errors.claimRolledBack': '{reason} The claim was rolled back.',
+    'errors.assignTeam': 'Failed to change the team of {name}.',
+    'errors.clearScores': 'Failed to clear scores.',
+    'errors.deleteAll': 'Failed to delete all users.',
+    'errors.deleteUser': 'Failed to delete user "{name}".',
+    'errors.export': 'Failed to export the rankings.',
+    'errors.report': 'Failed to prepare the report.',
+    'errors.archive': 'Could not load the final standings of "{name}", so it was not archived.',
+
+    // Notifications
+    'messages.generated': { one: 'Generated {count} new random player!', other: 'Generated {count} new random players!' },
+    'messages.generatedPartly': 'Generated {count} of {total} random players. See Details for the ones that failed.',
+    'messages.generateFailed': 'Failed to generate new users. They might already exist.',
+    'messages.userAdded': 'User "{name}" added successfully!',
+    'messages.selectUser': 'Please select a user first.',
+    'messages.claimed': { one: '🎉 You claimed {count} point for {name}!', other: '🎉 You claimed {count} points for {name}!' },
+    'messages.teamJoined': '{name} is now in team "{team}".',
+    'messages.teamLeft': '{name} is no longer in a team.',
+    'messages.scoresReset': 'All scores have been reset.',
+    'messages.usersDeleted': 'All users have been deleted.',
+    'messages.userDeleted': 'User "{name}" was deleted.',
+    'messages.endpointChanged': 'Now using the {label} API.',
+    'messages.endpointReset': 'Now using the default API.',
+    'messages.exported': { one: 'Exported {count} player as {format}.', other: 'Exported {count} players as {format}.' },
+    'messages.boardCreated': 'Board "{name}" created.',
+    'messages.boardArchived': '"{name}" has been archived in this browser, which keeps its final standings and no longer changes it.',
+    'messages.loggedIn': 'Logged in as {name} ({role}).',
+    'messages.loggedOut': 'Logged out.',
+    'messages.brandingSaved': 'Branding saved for {board}.',
+    'messages.sessionExpired': 'Your session has expired. Log in again to make changes.',
+
+    // Header
+    'app.title': 'Leaderboard Challenge',
+    'header.board': 'Board',
+    'header.archivedBoard': '{name} (archived)',
+    'header.manage': 'Manage',
+    'header.endpointSource': 'Endpoint source: {source}',
+    'header.endpoint': 'API: {label} · {location}',
+    'header.storedInBrowser': 'stored in this browser',
+    'header.change': 'Change',
+    'liveStatus.connecting': 'Connecting…',
+    'liveStatus.live': 'Live',
+    'liveStatus.reconnecting': 'Reconnecting…',
+    'liveStatus.polling': 'Polling',
+    'liveStatus.archived': 'Archived',
+    'auth.signedInAs': 'Signed in as {name} · {role}',
+    'auth.sessionExpired': 'Session expired',
+    'auth.guest': 'Viewing as a guest',
+    'auth.logIn': 'Log In',
+    'auth.logOut': 'Log Out',
+    'roles.viewer': 'Viewer',
+    'roles.scorekeeper': 'Scorekeeper',
+    'roles.admin': 'Admin',
+
+    // Board page
+    'claim.placeholder': '-- Search for a User to Claim Points --',
+    'claim.submit': 'Claim Points',
+    'announce.rankUp': '{name} moved up to {rank} place.',
+    'announce.rankDown': '{name} dropped to {rank} place.',
+    'fab.addPlayer': 'Add a player',
+    'board.archivedBanner': '📦 This season was archived in this browser on {date}. These are its final standings as saved here.',
+    'tabs.label': 'Standings',
+    'tabs.players': 'Players',
+    'tabs.teams': 'Teams',
+    'rankings.title': 'Full Rankings',
+    'rankings.loadedCount': ' · showing {loaded} of {total}',
+    'rankings.filterPlaceholder': 'Filter players…',
+    'rankings.filterLabel': 'Filter the rankings',
+    'rankings.teamFilterLabel': 'Show one team',
+    'rankings.allTeams': 'All teams',
+    'rankings.baselineLabel': 'Show rank changes',
+    'rankings.noMatchInTeam': 'No players match "{text}" in {team}.',
+    'rankings.empty': 'No users found. Try deleting all users and restarting the server.',
+    'rankings.loadingMore': 'Loading more players...',
+    'rankings.pending': 'Waiting for the server',
+    'rankings.new': 'NEW',
+    'rankBaseline.previous': 'Since last change',
+    'rankBaseline.day': 'Since start of day',
+    'columns.picker': 'Columns ▾',
+    'columns.rank': 'Rank',
+    'columns.name': 'Name',
+    'columns.points': 'Points',
+    'columns.team': 'Team',
+    'columns.lastClaim': 'Last Claim',
+    'columns.pointsToday': 'Today',
+    'columns.rankChange': 'Change',
+    'columns.claimCount': 'Claims',
+    'ranking.picker': 'Ties ▾',
+    'ranking.schemeLegend': 'Tied players get',
+    'ranking.scheme.standard': 'Shared ranks (1, 2, 2, 4)',
+    'ranking.scheme.dense': 'Shared ranks, no gaps (1, 2, 2, 3)',
+    'ranking.scheme.ordinal': 'No shared ranks (1, 2, 3, 4)',
+    'ranking.tieBreakLegend': 'Listed first',
+    'ranking.tieBreak.reachedFirst': 'Reached the score first',
+    'ranking.tieBreak.joinedFirst': 'Joined first',
+    'ranking.tieBreak.name': 'Name (A→Z)',
+
+    // Podium
+    'podium.picker': 'Podium ▾',
+    'podium.places': 'Places',
+    'podium.winner': 'Winner',
+    'podium.top': 'Top {count}',
+    'podium.layout': 'Layout',
+    'podium.layout.steps': 'Classic steps',
+    'podium.layout.cards': 'Cards',
+    'podium.layout.bars': 'Bar race',
+    'podium.show': 'Show',
+    'podium.showAvatars': 'Avatars',
+    'podium.showGap': 'Gap to the next place',
+    'podium.showRecentGains': "Today's gains",
+    'podium.tied': 'tied',
+    'podium.more': '+{count} more',
+    'podium.lead': '+{points} ahead',
+    'podium.behind': '{points} behind {rank}',
+    'podium.gainToday': '+{points} today',
+    'podium.enteredFirst': '🎉 {names} moved into first place',
+    'podium.enteredTop': '🎉 {names} moved into the top {count}',
+    'podium.leftFirst': '{names} dropped out of first place',
+    'podium.leftTop': '{names} dropped out of the top {count}',
+
+    // Teams
+    'teams.title': 'Team Standings',
+    'teams.rankBy': 'Rank teams by',
+    'teams.aggregate.sum': 'Total points',
+    'teams.aggregate.average': 'Average per player',
+    'teams.aggregate.topN': 'Best players only',
+    'teams.playersCounted': 'Players counted per team',
+    'teams.best': 'Best {count}',
+    'teams.rank': 'Rank',
+    'teams.team': 'Team',
+    'teams.players': 'Players',
+    'teams.total': 'Total',
+    'teams.average': 'Average',
+    'teams.empty': 'No teams yet. An admin can put players in teams from the admin area.',
+    'teams.showPlayers': 'Show the players of {name}',
+    'teams.partialNote': 'Based on the {loaded} of {total} players loaded so far.',
+    'assignTeams.title': 'Assign Teams',
+    'assignTeams.teams': 'Teams: {names}.',
+    'assignTeams.noTeams': 'No teams yet.',
+    'assignTeams.hint': 'Type a new name to start a team.',
+    'assignTeams.searchLabel': 'Search players',
+    'assignTeams.noTeam': 'No team',
+    'assignTeams.teamOf': 'Team of {name}',
+
+    // Player dialogs
+    'addPlayer.title': 'Add a New Player',
+    'addPlayer.placeholder': 'Enter new user name',
+    'addPlayer.nameLabel': 'New player name',
+    'addPlayer.submit': 'Add User',
+    'deletePlayer.title': 'Delete a Player',
+    'deletePlayer.searchLabel': 'Search players to delete',
+    'deletePlayer.none': 'No users to delete.',
+    'deletePlayer.deleteName': 'Delete {name}',
+    'resetScores.title': 'Reset All Scores',
+    'resetScores.body': 'This will reset all scores to 0. You will have a few seconds to undo it.',
+    'resetScores.confirm': 'Confirm Reset',
+    'deleteAll.title': 'Delete All Users',
+    'deleteAll.body': 'This will delete all users and scores. You will have a few seconds to undo it. Are you sure?',
+    'deleteAll.confirm': 'Confirm Delete All',
+    'confirmDelete.title': 'Confirm Deletion',
+    'confirmDelete.body': 'Are you sure you want to delete {name}? You will have a few seconds to undo it.',
+    'confirmDelete.confirm': 'Delete',
+    'undo.scoresReset': 'Resetting all scores…',
+    'undo.usersDeleted': 'Deleting all players…',
+    'undo.userDeleted': 'Deleting "{name}"…',
+    'undo.undo': 'Undo',
+
+    // Notification center
+    'notifications.title': 'Notifications',
+    'notifications.historyTitle': 'Notification History',
+    'notifications.open': { one: 'Notifications, {count} new', other: 'Notifications, {count} new' },
+    'notifications.empty': 'Nothing yet. Messages shown this visit are kept here.',
+    'notifications.new': 'New',
+    'notifications.details': 'Details',
+    'notifications.dismiss': 'Dismiss',
+    'notifications.retry': 'Retry',
+    'notifications.failedFor': '{name}: {reason}',
+    'notifications.level.success': 'Success',
+    'notifications.level.info': 'Info',
+    'notifications.level.warning': 'Warning',
+    'notifications.level.error': 'Error',
+
+    // Profile
+    'profile.standing': '{rank} place · {points} pts',
+    'profile.loadFailed': 'Could not load the claim history.',
+    'profile.notFoundTitle': 'Player not found',
+    'profile.notFound': 'There is no player with this link on {board}. They may have been deleted, or the link is for another board.',
+    'profile.lookupFailed': 'Could not load this player.',
+    'profile.claims': 'Claims',
+    'profile.pointsClaimed': 'Points claimed',
+    'profile.averageClaim': 'Average claim',
+    'profile.bestClaim': 'Best claim',
+    'profile.rankOverTime': 'Rank over time',
+    'profile.rankChart': 'Rank after each claim: {ranks}',
+    'profile.history': 'Claim history',
+    'profile.noClaims': 'No claims recorded yet.',
+    'profile.localNote': 'The server keeps no claim history, so this list only covers claims seen by this browser.',
+    'combobox.placeholder': 'Search for a player…',
+    'combobox.noMatch': 'No players match "{text}"',
+
+    // Menu and admin area
+    'menu.label': 'Actions',
+    'menu.backToBoard': 'Back to the Board',
+    'menu.admin': 'Admin Area',
+    'menu.boards': 'Boards & Seasons',
+    'menu.printReport': 'Print Report',
+    'menu.apiSettings': 'API Settings',
+    'admin.title': 'Admin',
+    'admin.heading': 'Admin · {board}',
+    'admin.roleCannot': '{name}, your role ({role}) cannot use the admin area.',
+    'admin.logInAsAdmin': 'Log in as an admin to use the admin area.',
+    'admin.logInAsSomeoneElse': 'Log In as Someone Else',
+    'admin.archivedNote': 'This board is archived in this browser, so changes to players and scores are turned off here.',
+    'admin.players': 'Players',
+    'admin.generate': 'Generate 10 Users',
+    'admin.import': 'Import Players',
+    'admin.assignTeams': 'Assign Teams',
+    'admin.deletePlayer': 'Delete a Player',
+    'admin.dangerZone': 'Danger zone',
+    'admin.undoNote': 'Both can be undone for a few seconds afterwards.',
+    'admin.resetScores': 'Reset All Scores',
+    'admin.deleteAll': 'Delete All Users',
+    'admin.setup': 'Setup',
+    'admin.auditLog': 'Audit Log',
+    'admin.branding': 'Board Branding',
+    'branding.title': 'Board Branding',
+    'branding.intro': 'Colors, a logo and a title for {board}. They are saved in this browser only: other devices and viewers keep the usual look.',
+    'branding.boardTitle': 'Title',
+    'branding.logo': 'Logo address',
+    'branding.logoInvalid': 'The logo address must start with http:// or https://.',
+    'branding.useColors': 'Use brand colors for buttons',
+    'branding.primary': 'Main color',
+    'branding.secondary': 'Second color',
+    'branding.contrastNote': 'The high-contrast theme always keeps its own colors.',
+    'branding.reset': 'Reset',
+
+    // Boards
+    'boards.title': 'Leaderboards & Seasons',
+    'boards.defaultName': 'Main Leaderboard',
+    'boards.archivedOn': ' · archived {date}',
+    'boards.current': 'Current',
+    'boards.open': 'Open',
+    'boards.archivedSeasons': 'Archived seasons',
+    'boards.newPlaceholder': 'New board or season name',
+    'boards.create': 'Create',
+    'boards.archiveTitle': 'Archive this season?',
+    'boards.archiveQuestion': 'Archive {name}? This browser keeps its final standings and stops changing it. The server and other browsers are not affected.',
+    'boards.confirmArchive': 'Confirm Archive',
+    'boards.archive': 'Archive "{name}"',
+
+    // API settings
+    'api.title': 'API Settings',
+    'api.profile.local': 'Local',
+    'api.profile.staging': 'Staging',
+    'api.profile.production': 'Production',
+    'api.profile.offline': 'Offline',
+    'api.profile.custom': 'Custom',
+    'api.description.offline': 'Stored in this browser, no server needed',
+    'api.notConfigured': 'Not configured for this build',
+    'api.invalidUrl': 'Please enter a full URL starting with http:// or https://',
+    'api.useDefault': 'Use Default',
+
+    // Login
+    'login.title': 'Log In',
+    'login.expired': 'Your session has expired. Please log in again.',
+    'login.devNote': 'Development login: no password needed, pick any name and role.',
+    'login.name': 'Name',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.role': 'Role',
+    'login.sessionLength': 'Session length',
+    'login.minutes': '{count} min',
+    'login.wrongPassword': 'Wrong username or password.',
+    'login.failed': 'Could not log in.',
+
+    // Audit log
+    'audit.title': 'Audit Log · {board}',
+    'audit.loadFailed': 'Could not load the audit log.',
+    'audit.actionLabel': 'Action',
+    'audit.allActions': 'All actions',
+    'audit.action.add': 'Added player',
+    'audit.action.claim': 'Claimed points',
+    'audit.action.delete': 'Deleted player',
+    'audit.action.deleteAll': 'Deleted all players',
+    'audit.action.reset': 'Reset all scores',
+    'audit.action.generate': 'Generated players',
+    'audit.action.import': 'Imported players',
+    'audit.action.team': 'Changed team',
+    'audit.filterPlaceholder': 'Filter by who or which player...',
+    'audit.filterLabel': 'Filter by name',
+    'audit.anonymous': 'Anonymous',
+    'audit.actorWithRole': '{name} ({role})',
+    'audit.morePlayers': '{names} and {count} more',
+    'audit.details.points': { one: '+{count} point', other: '+{count} points' },
+    'audit.details.team': 'Team: {team}',
+    'audit.details.noTeam': 'No team',
+    'audit.wholeBoard': { one: 'The only player on the board', other: 'All {count} players on the board' },
+    'audit.noMatch': 'No entries match the filters.',
+    'audit.empty': 'Nothing has been recorded yet.',
+    'audit.countServer': 'Showing {shown} of {count} entries kept by the server.',
+    'audit.countLocal': 'Showing {shown} of {count} entries. Only changes made in this browser are recorded.',
+
+    // Import
+    'import.title': 'Import Players',
+    'import.formatHelp': 'CSV with a {name} column and optional {points} and {team} columns, or JSON like {example}.',
+    'import.readError': 'Could not read the data: {message}',
+    'import.requestFailed': 'Request failed.',
+    'import.checking': 'Checking the board…',
+    'import.loadFailed': 'Could not load the players already on the board, so duplicates cannot be checked.',
+    'import.problem.nameMissing': 'Name is missing.',
+    'import.problem.nameTooLong': 'Name is longer than {max} characters.',
+    'import.problem.badPoints': 'Points must be a whole number of 0 or more.',
+    'import.problem.onBoard': 'Already on this board.',
+    'import.problem.earlierInFile': 'Appears earlier in the file.',
+    'import.problem.notAList': 'Could not read the data: expected a list of players, or an object with a "players" list.',
+    'import.preview': 'Preview',
+    'import.previewSummary': '{ready} of {count} rows will be imported. {invalid} invalid, {duplicate} duplicate.',
+    'import.progress': 'Creating players… {done} / {count}',
+    'import.doneSummary': '{created} created, {failed} failed, {skipped} skipped.',
+    'import.line': 'Line',
+    'import.name': 'Name',
+    'import.points': 'Points',
+    'import.team': 'Team',
+    'import.status': 'Status',
+    'import.emptyName': '(empty)',
+    'import.status.ready': 'Ready',
+    'import.status.invalid': 'Invalid',
+    'import.status.duplicate': 'Duplicate',
+    'import.status.created': 'Created',
+    'import.status.failed': 'Failed',
+    'import.submit': { one: 'Import {count} Player', other: 'Import {count} Players' },
+
+    // Print report
+    'report.print': 'Print',
+    'report.subtitle': 'Final results · {date}',
+    'report.players': 'Players',
+    'report.totalPoints': 'Total points',
+    'report.averagePoints': 'Average points',
+    'report.topScore': 'Top score',
+};
+
+export default en;
@@ -0,0 +1,103 @@
+import en from './en';
+import ar from './ar';
+
+// --- TRANSLATION & LOCALE FORMATTING ---
+// Messages come from the catalogs in this folder; numbers, ordinals, dates and lists are formatted
+// with the browser's Intl APIs, so they follow the locale's digits, separators and grammar.
+
+export const LOCALES = [
+    { id: 'en', name: 'English', dir: 'ltr', messages: en },
+    { id: 'ar', name: 'العربية', dir: 'rtl', messages: ar },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Looks up a supported locale by id, falling back to the default one.
+ * @param {string} id
+ */
+export const findLocale = (id) => LOCALES.find(l => l.id === id) || LOCALES.find(l => l.id === DEFAULT_LOCALE);
+
+/**
+ * Picks the first supported locale from a list of language tags, e.g. the browser's `navigator.languages`.
+ * Only the language counts, so "ar-EG" picks Arabic.
+ * @param {Array<string>} tags
+ * @returns {string} A locale id.
+ */
+export const matchLocale = (tags = []) => {
+    const match = tags
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(language => LOCALES.some(l => l.id === language));
+    return match || DEFAULT_LOCALE;
+};
+
+/**
+ * Splits a message into literal text and the values of its `{name}` placeholders.
+ * Unknown placeholders are kept as they are.
+ */
+const interpolate = (template, values) =>
+    template.split(/(\{\w+\})/).filter(part => part !== '').map(part => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        return name && name in values ? values[name] : part;
+    });
+
+/**
+ * Everything needed to show text in one locale.
+ * @param {string} localeId - A locale id from LOCALES; unknown ids get the default locale.
+ * @returns {{locale: string, dir: 'ltr' | 'rtl', t: Function, formatParts: Function, formatNumber: Function,
+ *   formatOrdinal: Function, formatDate: Function, formatDateTime: Function, formatList: Function}}
+ *   `t(key, values)` returns the message as a string. `formatParts(key, values)` returns it as an array, so
+ *   values can be React elements (e.g. a name in <strong>). Keys missing from the locale come from English,
+ *   and unknown keys are returned as they are.
+ */
+export const createTranslator = (localeId) => {
+    const locale = findLocale(localeId);
+    const fallback = findLocale(DEFAULT_LOCALE);
+    const pluralRules = new Intl.PluralRules(locale.id);
+    const ordinalRules = new Intl.PluralRules(locale.id, { type: 'ordinal' });
+    const dateFormat = new Intl.DateTimeFormat(locale.id, { dateStyle: 'medium' });
+    const dateTimeFormat = new Intl.DateTimeFormat(locale.id, { dateStyle: 'medium', timeStyle: 'short' });
+    const listFormat = new Intl.ListFormat(locale.id, { type: 'conjunction' });
+    const numberFormats = new Map();
+
+    /**
+     * Formats a number with the locale's digits and separators. With `decimals`, always shows that many.
+     */
+    const formatNumber = (value, { decimals } = {}) => {
+        const key = decimals ?? 'auto';
+        if (!numberFormats.has(key)) {
+            numberFormats.set(key, new Intl.NumberFormat(locale.id, decimals == null
+                ? { maximumFractionDigits: 2 }
+                : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+        }
+        return numberFormats.get(key).format(value);
+    };
+
+    const lookup = (key, rules, count) => {
+        const message = locale.messages[key] ?? fallback.messages[key];
+        if (message == null || typeof message === 'string') return message;
+        return message[rules.select(count)] ?? message.other;
+    };
+
+    const formatParts = (key, values = {}) => {
+        const template = lookup(key, pluralRules, values.count);
+        if (template == null) return [key];
+        const formatted = {};
+        Object.entries(values).forEach(([name, value]) => {
+            formatted[name] = typeof value === 'number' ? formatNumber(value) : value;
+        });
+        return interpolate(template, formatted);
+    };
+
+    return {
+        locale: locale.id,
+        dir: locale.dir,
+        t: (key, values) => formatParts(key, values).join(''),
+        formatParts,
+        formatNumber,
+        formatOrdinal: (n) => interpolate(lookup('format.ordinal', ordinalRules, n), { n: formatNumber(n) }).join(''),
+        formatDate: (value) => dateFormat.format(new Date(value)),
+        formatDateTime: (value) => dateTimeFormat.format(new Date(value)),
+        formatList: (items) => listFormat.format(items),
+    };
+};
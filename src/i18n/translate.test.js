@@ -0,0 +1,44 @@
+import { createTranslator, matchLocale, findLocale, LOCALES } from './translate';
+import en from './en';
+
+test('fills in placeholders and formats numbers for the locale', () => {
+    const { t } = createTranslator('en');
+    expect(t('messages.userAdded', { name: 'Ada' })).toBe('User "Ada" added successfully!');
+    expect(t('common.points', { points: 12345 })).toBe('12,345 pts');
+    expect(t('messages.claimed', { count: 1, name: 'Ada' })).toBe('🎉 You claimed 1 point for Ada!');
+    expect(t('messages.claimed', { count: 7, name: 'Ada' })).toBe('🎉 You claimed 7 points for Ada!');
+});
+
+test('picks Arabic plural forms and falls back to English for missing keys', () => {
+    const { t, dir } = createTranslator('ar');
+    expect(dir).toBe('rtl');
+    expect(t('messages.claimed', { count: 2, name: 'Ada' })).toBe('🎉 حصلت على نقطتين لـ Ada!');
+    expect(t('messages.claimed', { count: 1, name: 'Ada' })).not.toBe(t('messages.claimed', { count: 5, name: 'Ada' }));
+    expect(t('no.such.key')).toBe('no.such.key');
+});
+
+test('formats ordinals, lists and fixed decimals', () => {
+    const { formatOrdinal, formatList, formatNumber } = createTranslator('en');
+    expect([1, 2, 3, 4, 11, 22].map(formatOrdinal)).toEqual(['1st', '2nd', '3rd', '4th', '11th', '22nd']);
+    expect(formatList(['Ada', 'Alan', 'Grace'])).toBe('Ada, Alan, and Grace');
+    expect(formatNumber(7.5, { decimals: 1 })).toBe('7.5');
+    expect(formatNumber(7, { decimals: 1 })).toBe('7.0');
+});
+
+test('keeps rich values as separate parts', () => {
+    const name = { type: 'strong' };
+    expect(createTranslator('en').formatParts('confirmDelete.body', { name })[1]).toBe(name);
+});
+
+test('matches browser languages by their base language', () => {
+    expect(matchLocale(['ar-EG', 'en-US'])).toBe('ar');
+    expect(matchLocale(['fr-FR', 'en-GB'])).toBe('en');
+    expect(matchLocale(['de'])).toBe('en');
+    expect(findLocale('xx').id).toBe('en');
+});
+
+test('every locale only uses keys the English catalog has', () => {
+    LOCALES.forEach(locale => {
+        expect(Object.keys(locale.messages).filter(key => !(key in en))).toEqual([]);
+    });
+});
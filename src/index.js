@@ -2,12 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import I18nProvider from './i18n/I18nProvider';
+import DialogProvider from './dialogs/DialogProvider';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <DialogProvider>
+        <App />
+      </DialogProvider>
+    </I18nProvider>
   </React.StrictMode>
 );
 
@@ -0,0 +1,95 @@
+import { toCsv } from './exportRankings';
+
+// --- AUDIT LOG ---
+// Who changed what, and when. An entry looks like
+// `{ id, at, actor: { name, role } | null, action, players: [{ id, name }], playerCount, details }`.
+// `details` is data rather than text, so the log can be read in any language: `{ points }` for a claim,
+// `{ team }` for a team change (null for none), and null when there is nothing to add. Entries written by
+// other clients may carry plain text instead.
+// Actions on the whole board (reset, delete everyone) name no players, only how many the board had:
+// with paging, the players loaded in the browser are not all of them.
+
+export const AUDIT_ACTIONS = {
+    ADD: 'add',
+    CLAIM: 'claim',
+    DELETE: 'delete',
+    DELETE_ALL: 'deleteAll',
+    RESET: 'reset',
+    GENERATE: 'generate',
+    IMPORT: 'import',
+    TEAM: 'team',
+};
+
+/**
+ * Builds a new audit entry for something this browser just did.
+ * @param {{action: string, actor: {name: string, role: string} | null, players?: Array, playerCount?: number,
+ *   details?: object | null}} fields
+ *   `players` can be users (`_id`, `name`) or `{ id, name }` pairs; `actor` is null for anonymous visitors.
+ *   `playerCount` defaults to the number of `players`.
+ */
+export const createAuditEntry = ({ action, actor, players = [], playerCount = players.length, details = null }) => ({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    at: new Date().toISOString(),
+    actor: actor ? { name: actor.name, role: actor.role } : null,
+    action,
+    players: players.map(p => ({ id: p._id ?? p.id, name: p.name })),
+    playerCount,
+    details,
+});
+
+/**
+ * Normalizes whatever an audit endpoint returns into the entry shape above. Accepts a bare array or
+ * `{ entries: [...] }`, with `at`, `timestamp` or `createdAt`, an actor given as a name or an object,
+ * and affected players as `players` or `users`.
+ * @param {Array | {entries: Array}} body
+ */
+export const normalizeAuditLog = (body) =>
+    (Array.isArray(body) ? body : body?.entries || []).map((entry, i) => {
+        const actor = typeof entry.actor === 'string' ? { name: entry.actor, role: null } : entry.actor || null;
+        const players = (entry.players || entry.users || []).map(p => ({ id: p.id ?? p._id, name: p.name }));
+        return {
+            id: entry.id ?? entry._id ?? String(i),
+            at: entry.at || entry.timestamp || entry.createdAt,
+            actor,
+            action: entry.action,
+            players,
+            playerCount: entry.playerCount ?? players.length,
+            details: entry.details || null,
+        };
+    });
+
+/**
+ * Narrows the log down to one action and/or entries whose actor or players match some text.
+ * @param {Array} entries
+ * @param {{action?: string, text?: string}} filters - An empty action means every action.
+ */
+export const filterAuditEntries = (entries, { action = '', text = '' }) => {
+    const needle = text.trim().toLowerCase();
+    return entries.filter(entry => {
+        if (action && entry.action !== action) return false;
+        if (!needle) return true;
+        const haystack = [entry.actor?.name, ...entry.players.map(p => p.name)].filter(Boolean).join('\n').toLowerCase();
+        return haystack.includes(needle);
+    });
+};
+
+/**
+ * Turns audit entries into CSV: time, actor, role, action, players, player count, details (as JSON when they are data).
+ * @param {Array} entries
+ */
+export const auditLogToCsv = (entries) =>
+    toCsv(
+        ['time', 'actor', 'role', 'action', 'players', 'playerCount', 'details'],
+        entries.map(e => [
+            e.at, e.actor?.name || '', e.actor?.role || '', e.action, e.players.map(p => p.name).join('; '), e.playerCount,
+            typeof e.details === 'object' && e.details ? JSON.stringify(e.details) : e.details || '',
+        ])
+    );
+
+/**
+ * Turns audit entries into a JSON document that also records the board and export time.
+ * @param {Array} entries
+ * @param {{board: string, exportedAt?: string}} meta
+ */
+export const auditLogToJson = (entries, { board, exportedAt = new Date().toISOString() }) =>
+    JSON.stringify({ board, exportedAt, entries }, null, 2);
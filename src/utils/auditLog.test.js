@@ -0,0 +1,36 @@
+import { createAuditEntry, normalizeAuditLog, filterAuditEntries, auditLogToCsv } from './auditLog';
+
+const entries = [
+    { id: '1', at: '2025-05-10T10:00:00.000Z', actor: { name: 'Ada', role: 'admin' }, action: 'add', players: [{ id: 'g1', name: 'Grace' }], playerCount: 1, details: null },
+    { id: '2', at: '2025-05-10T10:05:00.000Z', actor: { name: 'Linus', role: 'scorekeeper' }, action: 'claim', players: [{ id: 'g1', name: 'Grace' }], playerCount: 1, details: { points: 7 } },
+    { id: '3', at: '2025-05-10T10:10:00.000Z', actor: null, action: 'reset', players: [], playerCount: 240, details: null },
+];
+
+test('builds an entry from users and the signed-in actor', () => {
+    const entry = createAuditEntry({ action: 'delete', actor: { name: 'Ada', role: 'admin', extra: true }, players: [{ _id: 'g1', name: 'Grace', points: 3 }] });
+    expect(entry).toMatchObject({ action: 'delete', actor: { name: 'Ada', role: 'admin' }, players: [{ id: 'g1', name: 'Grace' }], playerCount: 1, details: null });
+    expect(Number.isNaN(Date.parse(entry.at))).toBe(false);
+    expect(createAuditEntry({ action: 'reset', actor: null, playerCount: 240 })).toMatchObject({ actor: null, players: [], playerCount: 240 });
+});
+
+test('normalizes what a backend returns', () => {
+    expect(normalizeAuditLog({ entries: [{ _id: 'x', timestamp: 't', actor: 'Ada', action: 'add', users: [{ _id: 'g1', name: 'Grace' }] }] })).toEqual([
+        { id: 'x', at: 't', actor: { name: 'Ada', role: null }, action: 'add', players: [{ id: 'g1', name: 'Grace' }], playerCount: 1, details: null },
+    ]);
+    expect(normalizeAuditLog([{ id: 'y', at: 't', actor: null, action: 'reset', playerCount: 240 }])[0]).toMatchObject({ players: [], playerCount: 240 });
+    expect(normalizeAuditLog(null)).toEqual([]);
+});
+
+test('filters by action and by actor or player name', () => {
+    expect(filterAuditEntries(entries, { action: 'claim' }).map(e => e.id)).toEqual(['2']);
+    expect(filterAuditEntries(entries, { text: 'grace' }).map(e => e.id)).toEqual(['1', '2']);
+    expect(filterAuditEntries(entries, { action: 'add', text: 'linus' })).toEqual([]);
+});
+
+test('writes the log as CSV', () => {
+    expect(auditLogToCsv(entries.slice(1, 2)).split('\r\n')).toEqual([
+        'time,actor,role,action,players,playerCount,details',
+        '2025-05-10T10:05:00.000Z,Linus,scorekeeper,claim,Grace,1,"{""points"":7}"',
+    ]);
+    expect(auditLogToCsv([{ ...entries[0], details: 'Team: Red' }]).split('\r\n')[1]).toMatch(/,Team: Red$/);
+});
@@ -0,0 +1,28 @@
+// --- CLAIM STATISTICS ---
+
+/**
+ * Whether two dates fall on the same calendar day in the viewer's time zone.
+ */
+const isSameDay = (a, b) =>
+    a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+/**
+ * Boils each player's claim history down to the numbers shown in the rankings table.
+ * @param {Object<string, Array>} historyByUser - Claim entries keyed by user id, as kept by api/claimHistoryStore.js.
+ * @param {Date} [now] - The moment "today" is measured against.
+ * @returns {Map<string, {claims: number, lastClaimAt: string | null, pointsToday: number}>}
+ */
+export const summarizeClaims = (historyByUser, now = new Date()) => {
+    const summaries = new Map();
+    Object.entries(historyByUser).forEach(([userId, claims]) => {
+        const pointsToday = claims
+            .filter(claim => isSameDay(new Date(claim.claimedAt), now))
+            .reduce((sum, claim) => sum + claim.points, 0);
+        summaries.set(userId, {
+            claims: claims.length,
+            lastClaimAt: claims.length ? claims[claims.length - 1].claimedAt : null,
+            pointsToday,
+        });
+    });
+    return summaries;
+};
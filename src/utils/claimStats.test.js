@@ -0,0 +1,16 @@
+import { summarizeClaims } from './claimStats';
+
+test('counts claims, the last claim time and the points gained today', () => {
+    const now = new Date(2025, 4, 10, 15, 0);
+    const summaries = summarizeClaims({
+        a: [
+            { points: 4, claimedAt: new Date(2025, 4, 9, 23, 0).toISOString() },
+            { points: 6, claimedAt: new Date(2025, 4, 10, 9, 0).toISOString() },
+            { points: 2, claimedAt: new Date(2025, 4, 10, 14, 0).toISOString() },
+        ],
+        b: [],
+    }, now);
+
+    expect(summaries.get('a')).toEqual({ claims: 3, lastClaimAt: new Date(2025, 4, 10, 14, 0).toISOString(), pointsToday: 8 });
+    expect(summaries.get('b')).toEqual({ claims: 0, lastClaimAt: null, pointsToday: 0 });
+});
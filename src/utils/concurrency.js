@@ -0,0 +1,28 @@
+/**
+ * Runs an async worker over every item with at most `limit` calls in flight at once.
+ * Like Promise.allSettled, it never rejects: each result is `{ status: 'fulfilled', value }` or
+ * `{ status: 'rejected', reason }`, in the same order as the items.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} worker - Called as worker(item, index) and returns a promise.
+ * @param {Function} [onSettled] - Called as onSettled(result, index) as each item finishes, e.g. for progress.
+ */
+export const runWithConcurrency = async (items, limit, worker, onSettled = () => {}) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+            onSettled(results[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+};
@@ -0,0 +1,20 @@
+import { runWithConcurrency } from './concurrency';
+
+test('never runs more than the limit at once and keeps results in order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const worker = async (n) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        if (n === 3) throw new Error('boom');
+        return n * 10;
+    };
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+    expect(maxRunning).toBe(2);
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    expect(results[4].value).toBe(50);
+    expect(results[2].reason.message).toBe('boom');
+});
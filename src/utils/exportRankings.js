@@ -0,0 +1,88 @@
+// --- EXPORTING RANKINGS ---
+
+const CSV_COLUMNS = ['rank', 'name', 'points', 'id'];
+
+/**
+ * Quotes a CSV cell when needed. Cells that a spreadsheet would run as a formula
+ * (starting with =, +, - or @) get a leading apostrophe so they stay plain text.
+ * @param {string | number} value
+ */
+const toCsvCell = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from a header and rows of cells, with Windows line endings for spreadsheet apps.
+ * @param {Array<string>} header
+ * @param {Array<Array<string | number>>} rows
+ */
+export const toCsv = (header, rows) =>
+    [header.join(','), ...rows.map(cells => cells.map(toCsvCell).join(','))].join('\r\n');
+
+/**
+ * Turns ranked users into CSV with a header row: rank, name, points, id.
+ * @param {Array} users
+ */
+export const rankingsToCsv = (users) => toCsv(CSV_COLUMNS, users.map(u => [u.rank, u.name, u.points, u._id]));
+
+/**
+ * Turns ranked users into a JSON document that also records which board it came from and when.
+ * @param {Array} users
+ * @param {{board: string, exportedAt?: string}} meta
+ */
+export const rankingsToJson = (users, { board, exportedAt = new Date().toISOString() }) =>
+    JSON.stringify({
+        board,
+        exportedAt,
+        rankings: users.map(u => ({ rank: u.rank, name: u.name, points: u.points, id: u._id })),
+    }, null, 2);
+
+/**
+ * Builds a file name like "spring-cup-rankings-2025-05-10.csv".
+ * @param {string} boardName
+ * @param {string} extension
+ * @param {string} [kind] - What the file holds, e.g. "audit-log".
+ */
+export const exportFileName = (boardName, extension, kind = 'rankings') => {
+    const slug = boardName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'leaderboard';
+    return `${slug}-${kind}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+// How long a download's object URL is kept before it is released
+const REVOKE_DELAY_MS = 10000;
+
+/**
+ * Makes the browser download a text file.
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers (Safari, Firefox) only start reading the file after click() returns; revoking it right away cancels the download
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+/**
+ * Loads every user from a data source, following pages until there are none left.
+ * @param {object} dataSource
+ * @param {number} [pageSize]
+ */
+export const fetchAllUsers = async (dataSource, pageSize = 1000) => {
+    const users = [];
+    let cursor = null;
+    do {
+        const page = await dataSource.listUsersPage({ cursor, limit: pageSize });
+        users.push(...page.users);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return users;
+};
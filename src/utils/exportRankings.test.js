@@ -0,0 +1,24 @@
+import { rankingsToCsv, rankingsToJson } from './exportRankings';
+
+const users = [
+    { _id: 'a1', rank: 1, name: 'Ada', points: 30 },
+    { _id: 'b2', rank: 2, name: 'Smith, "Jo"', points: 20 },
+    { _id: 'c3', rank: 3, name: '=SUM(A1)', points: 10 },
+];
+
+test('writes a CSV with a header and escaped cells', () => {
+    expect(rankingsToCsv(users).split('\r\n')).toEqual([
+        'rank,name,points,id',
+        '1,Ada,30,a1',
+        '2,"Smith, ""Jo""",20,b2',
+        "3,'=SUM(A1),10,c3",
+    ]);
+});
+
+test('writes JSON with the board and export time', () => {
+    expect(JSON.parse(rankingsToJson(users.slice(0, 1), { board: 'Main', exportedAt: '2025-05-10T00:00:00.000Z' }))).toEqual({
+        board: 'Main',
+        exportedAt: '2025-05-10T00:00:00.000Z',
+        rankings: [{ rank: 1, name: 'Ada', points: 30, id: 'a1' }],
+    });
+});
@@ -0,0 +1,62 @@
+// --- FUZZY MATCHING ---
+
+/**
+ * Matches a query against a text as a case-insensitive subsequence ("sdr" matches "Shadow Dragon").
+ * Consecutive characters and characters at the start of a word score higher, so better matches sort first.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: Array<number>} | null} The positions of the matched characters, or null.
+ */
+export const fuzzyMatch = (query, text) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return { score: 0, indices: [] };
+    const haystack = text.toLowerCase();
+
+    // A plain substring is the best kind of match
+    const substringAt = haystack.indexOf(needle);
+    if (substringAt !== -1) {
+        const indices = Array.from({ length: needle.length }, (_, i) => substringAt + i);
+        const atWordStart = substringAt === 0 || /\s/.test(haystack[substringAt - 1]);
+        return { score: 100 + needle.length * 10 - substringAt + (atWordStart ? 20 : 0), indices };
+    }
+
+    const isWordStart = (i) => i === 0 || /\s/.test(haystack[i - 1]);
+    // Prefers continuing the current run, then the start of a later word, then any occurrence
+    const findNext = (char, from) => {
+        if (haystack[from] === char) return from;
+        for (let i = from; i < haystack.length; i++) {
+            if (haystack[i] === char && isWordStart(i)) return i;
+        }
+        return haystack.indexOf(char, from);
+    };
+
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    for (const char of needle) {
+        if (char === ' ') continue;
+        const found = findNext(char, position);
+        if (found === -1) return null;
+        const previous = indices[indices.length - 1];
+        if (previous !== undefined && found === previous + 1) score += 5;
+        if (isWordStart(found)) score += 3;
+        score += 1;
+        indices.push(found);
+        position = found + 1;
+    }
+    return { score, indices };
+};
+
+/**
+ * Keeps the items whose text matches the query, best matches first.
+ * @param {Array} items
+ * @param {string} query
+ * @param {Function} getText - Returns the text to match for an item.
+ * @returns {Array<{item: any, indices: Array<number>}>}
+ */
+export const fuzzyFilter = (items, query, getText) =>
+    items
+        .map(item => ({ item, match: fuzzyMatch(query, getText(item)) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(({ item, match }) => ({ item, indices: match.indices }));
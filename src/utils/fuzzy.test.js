@@ -0,0 +1,17 @@
+import { fuzzyMatch, fuzzyFilter } from './fuzzy';
+
+test('matches substrings and subsequences, ignoring case', () => {
+    expect(fuzzyMatch('dra', 'Shadow Dragon').indices).toEqual([7, 8, 9]);
+    expect(fuzzyMatch('sdr', 'Shadow Dragon').indices).toEqual([0, 7, 8]);
+    expect(fuzzyMatch('xyz', 'Shadow Dragon')).toBeNull();
+});
+
+test('an empty query matches everything', () => {
+    expect(fuzzyMatch('  ', 'Ada')).toEqual({ score: 0, indices: [] });
+});
+
+test('sorts the best matches first', () => {
+    const names = ['Solar Knight', 'Silent Ninja', 'Iron Golem'];
+    expect(fuzzyFilter(names, 'sn', name => name).map(r => r.item)).toEqual(['Silent Ninja', 'Solar Knight']);
+    expect(fuzzyFilter(names, 'ninja', name => name).map(r => r.item)).toEqual(['Silent Ninja']);
+});
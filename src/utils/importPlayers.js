@@ -0,0 +1,144 @@
+import { normalizeTeamName } from './teams';
+
+// --- IMPORTING PLAYERS ---
+
+export const MAX_NAME_LENGTH = 50;
+
+// What can be wrong with a row, or with the whole file. These are codes, not text: the import dialog words
+// them in the viewer's language (`import.problem.<code>`).
+export const IMPORT_PROBLEMS = {
+    NAME_MISSING: 'nameMissing',
+    NAME_TOO_LONG: 'nameTooLong',
+    BAD_POINTS: 'badPoints',
+    ON_BOARD: 'onBoard',
+    EARLIER_IN_FILE: 'earlierInFile',
+    NOT_A_LIST: 'notAList',
+};
+
+/**
+ * Splits CSV text into rows of cells, each with the line of the file it starts on. Handles quoted cells with
+ * commas, quotes ("") and line breaks. Blank rows are left out, but still count towards the line numbers.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: Array<string>}>}
+ */
+export const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                // A line break inside a quoted cell is part of the cell, but still a line of the file
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push({ line: rowLine, cells: [...row, cell] });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) rows.push({ line: rowLine, cells: [...row, cell] });
+    return rows.filter(r => r.cells.some(c => c.trim()));
+};
+
+/**
+ * Splits CSV text into rows of cells; see parseCsvRows.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => parseCsvRows(text).map(r => r.cells);
+
+/**
+ * Reads CSV rows into `{ line, name, points, team }` records. A first row naming a "name" column is
+ * treated as a header ("points" and "team" columns are then optional); otherwise the columns are
+ * the name, then optionally the starting points and the team.
+ */
+const recordsFromCsv = (text) => {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return [];
+    const header = rows[0].cells.map(c => c.trim().toLowerCase());
+    const hasHeader = header.includes('name');
+    const nameIndex = hasHeader ? header.indexOf('name') : 0;
+    const pointsIndex = hasHeader ? header.indexOf('points') : 1;
+    const teamIndex = hasHeader ? header.indexOf('team') : 2;
+    return rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => ({
+        line,
+        name: cells[nameIndex] ?? '',
+        points: pointsIndex >= 0 ? cells[pointsIndex] : undefined,
+        team: teamIndex >= 0 ? cells[teamIndex] : undefined,
+    }));
+};
+
+/**
+ * Reads JSON into `{ line, name, points, team }` records. Accepts an array (or `{ players: [...] }`)
+ * of names or of `{ name, points, team }` objects. `line` is the position in the array, starting at 1.
+ */
+const recordsFromJson = (text) => {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.players || data?.users;
+    if (!Array.isArray(list)) {
+        const error = new Error('Expected a list of players, or an object with a "players" list.');
+        error.problem = IMPORT_PROBLEMS.NOT_A_LIST;
+        throw error;
+    }
+    return list.map((entry, i) => (
+        typeof entry === 'string'
+            ? { line: i + 1, name: entry, points: undefined }
+            : { line: i + 1, name: entry?.name ?? '', points: entry?.points, team: entry?.team }
+    ));
+};
+
+/**
+ * Parses pasted or uploaded player data and checks every row before anything is created.
+ * Each row gets a `status`: 'ready', 'invalid' or 'duplicate' (already on the board, or earlier in the file),
+ * with the reason for the last two as `problem`, one of IMPORT_PROBLEMS.
+ * @param {string} text - CSV or JSON; JSON is detected by a leading [ or {.
+ * @param {Array} existingUsers - Players already on the board.
+ * @returns {Array<{line: number, name: string, points: number, team: string | null, status: string, problem?: string}>}
+ * @throws {Error} When JSON input cannot be parsed, or holds no list (then with `problem` NOT_A_LIST).
+ */
+export const parseImport = (text, existingUsers = []) => {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+    // CSV keeps its leading blank lines, so the line numbers match the file
+    const records = /^[[{]/.test(trimmed) ? recordsFromJson(trimmed) : recordsFromCsv(text);
+    const takenNames = new Set(existingUsers.map(u => u.name.trim().toLowerCase()));
+    const namesInFile = new Set();
+
+    return records.map(({ line, name: rawName, points: rawPoints, team: rawTeam }) => {
+        const name = String(rawName).trim();
+        const hasPoints = rawPoints !== undefined && rawPoints !== null && String(rawPoints).trim() !== '';
+        const points = hasPoints ? Number(String(rawPoints).trim()) : 0;
+        const row = { line, name, points, team: normalizeTeamName(rawTeam) };
+
+        if (!name) return { ...row, status: 'invalid', problem: IMPORT_PROBLEMS.NAME_MISSING };
+        if (name.length > MAX_NAME_LENGTH) return { ...row, status: 'invalid', problem: IMPORT_PROBLEMS.NAME_TOO_LONG };
+        if (!Number.isInteger(points) || points < 0) return { ...row, status: 'invalid', problem: IMPORT_PROBLEMS.BAD_POINTS };
+
+        const key = name.toLowerCase();
+        if (takenNames.has(key)) return { ...row, status: 'duplicate', problem: IMPORT_PROBLEMS.ON_BOARD };
+        if (namesInFile.has(key)) return { ...row, status: 'duplicate', problem: IMPORT_PROBLEMS.EARLIER_IN_FILE };
+        namesInFile.add(key);
+        return { ...row, status: 'ready' };
+    });
+};
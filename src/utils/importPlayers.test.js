@@ -0,0 +1,49 @@
+import { parseCsv, parseImport, IMPORT_PROBLEMS } from './importPlayers';
+
+test('parses quoted CSV cells', () => {
+    expect(parseCsv('name,points\r\n"Smith, ""Jo""",5\n\nAda,')).toEqual([
+        ['name', 'points'],
+        ['Smith, "Jo"', '5'],
+        ['Ada', ''],
+    ]);
+});
+
+test('reads CSV with or without a header and validates every row', () => {
+    const rows = parseImport('points,name\n3,Ada\nx,Linus\n2,\n1,ada', [{ name: 'Grace' }]);
+    expect(rows.map(r => [r.line, r.name, r.points, r.status, r.problem])).toEqual([
+        [2, 'Ada', 3, 'ready', undefined],
+        [3, 'Linus', NaN, 'invalid', IMPORT_PROBLEMS.BAD_POINTS],
+        [4, '', 2, 'invalid', IMPORT_PROBLEMS.NAME_MISSING],
+        [5, 'ada', 1, 'duplicate', IMPORT_PROBLEMS.EARLIER_IN_FILE],
+    ]);
+
+    expect(parseImport('Ada\nGrace,4', [{ name: 'grace' }]).map(r => [r.name, r.points, r.status, r.problem])).toEqual([
+        ['Ada', 0, 'ready', undefined],
+        ['Grace', 4, 'duplicate', IMPORT_PROBLEMS.ON_BOARD],
+    ]);
+    expect(parseImport('x'.repeat(51))[0].problem).toBe(IMPORT_PROBLEMS.NAME_TOO_LONG);
+});
+
+test('reports the line of the file each CSV row starts on', () => {
+    const rows = parseImport('\nname,points\n\nAda,3\n"Smith,\nJo",2\r\n\r\nLinus,x\n');
+    expect(rows.map(r => [r.line, r.name])).toEqual([
+        [4, 'Ada'],
+        [5, 'Smith,\nJo'],
+        [8, 'Linus'],
+    ]);
+});
+
+test('reads JSON lists of names or objects', () => {
+    expect(parseImport('["Ada", {"name": "Linus", "points": 7}]').map(r => [r.name, r.points, r.status])).toEqual([
+        ['Ada', 0, 'ready'],
+        ['Linus', 7, 'ready'],
+    ]);
+    expect(parseImport('{"players": [{"name": "Ada", "points": -1}]}')[0].status).toBe('invalid');
+    expect(() => parseImport('{"nope": 1}')).toThrow(expect.objectContaining({ problem: IMPORT_PROBLEMS.NOT_A_LIST }));
+});
+
+test('reads an optional team column', () => {
+    expect(parseImport('name,team\nAda, Red \nLinus,').map(r => [r.name, r.team])).toEqual([['Ada', 'Red'], ['Linus', null]]);
+    expect(parseImport('Ada,3,Blue')[0]).toMatchObject({ name: 'Ada', points: 3, team: 'Blue' });
+    expect(parseImport('[{"name": "Ada", "team": "Red"}]')[0].team).toBe('Red');
+});
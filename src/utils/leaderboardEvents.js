@@ -0,0 +1,100 @@
+import { rankUsers } from './ranking';
+
+// --- LEADERBOARD EVENTS ---
+// Every change to the leaderboard, whether made in this tab or streamed from the server,
+// is described by one of these events and applied to the `users` list with applyLeaderboardEvent.
+
+export const USER_CREATED = 'user-created';
+export const USER_UPDATED = 'user-updated';
+export const POINTS_CLAIMED = 'points-claimed';
+export const USER_DELETED = 'user-deleted';
+export const SCORES_RESET = 'scores-reset';
+export const USERS_CLEARED = 'users-cleared';
+
+/**
+ * Inserts or replaces a user by id.
+ */
+const upsertUser = (users, user) =>
+    users.some(u => u._id === user._id)
+        ? users.map(u => (u._id === user._id ? { ...u, ...user } : u))
+        : [...users, user];
+
+/**
+ * Whether a user that is not in a partially loaded list belongs below its last row,
+ * i.e. on a page that has not been loaded yet.
+ */
+const belongsOnLaterPage = (users, user) =>
+    !users.some(u => u._id === user._id) && users.length > 0 && user.points < users[users.length - 1].points;
+
+/**
+ * Returns a new, re-ranked users array with the event applied.
+ * Applying the same event twice gives the same result, so an event echoed back by the
+ * server after this tab already applied it is harmless.
+ * @param {Array} users - The current users.
+ * @param {{type: string, user?: object, userId?: string}} event
+ * @param {{isPartial?: boolean}} [options] - Set `isPartial` when `users` is only the top of the
+ *   leaderboard (more pages exist); players that rank below it are then left out rather than appended.
+ */
+export const applyLeaderboardEvent = (users, event, { isPartial = false } = {}) => {
+    if (isPartial && event.user && belongsOnLaterPage(users, event.user)) return users;
+    switch (event.type) {
+        case POINTS_CLAIMED: {
+            // Answers to rapid claims can arrive out of order; an older total must not overwrite a newer one
+            const current = users.find(u => u._id === event.user?._id);
+            if (current && current.points > event.user.points) return users;
+            return event.user ? rankUsers(upsertUser(users, event.user)) : users;
+        }
+        case USER_CREATED:
+        case USER_UPDATED:
+            return event.user ? rankUsers(upsertUser(users, event.user)) : users;
+        case USER_DELETED:
+            return rankUsers(users.filter(u => u._id !== event.userId));
+        case SCORES_RESET:
+            return rankUsers(users.map(u => ({ ...u, points: 0 })));
+        case USERS_CLEARED:
+            return [];
+        default:
+            return users;
+    }
+};
+
+/**
+ * Whether anything other than the points changed, e.g. a rename or a new team.
+ */
+const hasDetailsChanged = (before, after) => before.name !== after.name || (before.team ?? null) !== (after.team ?? null);
+
+/**
+ * Works out which events turn one snapshot of the leaderboard into another.
+ * Used when only full snapshots are available, e.g. when polling or syncing between tabs.
+ * @param {Array} previous - The older snapshot.
+ * @param {Array} next - The newer snapshot.
+ * @returns {Array} Events that, applied in order to `previous`, produce `next`.
+ */
+export const diffUsers = (previous, next) => {
+    if (previous.length > 0 && next.length === 0) return [{ type: USERS_CLEARED }];
+
+    const previousById = new Map(previous.map(u => [u._id, u]));
+    const nextIds = new Set(next.map(u => u._id));
+    const events = [];
+
+    previous.forEach(user => {
+        if (!nextIds.has(user._id)) events.push({ type: USER_DELETED, userId: user._id });
+    });
+
+    const wasReset = previous.some(u => u.points > 0) && next.every(u => u.points === 0);
+    if (wasReset) events.push({ type: SCORES_RESET });
+
+    next.forEach(user => {
+        const before = previousById.get(user._id);
+        if (!before) {
+            events.push({ type: USER_CREATED, user });
+        } else if (wasReset) {
+            if (hasDetailsChanged(before, user)) events.push({ type: USER_UPDATED, user });
+        } else if (user.points > before.points) {
+            events.push({ type: POINTS_CLAIMED, user, pointsClaimed: user.points - before.points });
+        } else if (user.points !== before.points || hasDetailsChanged(before, user)) {
+            events.push({ type: USER_UPDATED, user });
+        }
+    });
+    return events;
+};
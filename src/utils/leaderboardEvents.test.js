@@ -0,0 +1,48 @@
+import { applyLeaderboardEvent, diffUsers, USER_CREATED, USER_UPDATED, POINTS_CLAIMED, USER_DELETED, SCORES_RESET, USERS_CLEARED } from './leaderboardEvents';
+
+const ada = { _id: 'a', name: 'Ada', points: 10, rank: 1 };
+const linus = { _id: 'l', name: 'Linus', points: 5, rank: 2 };
+
+test('applies a claim and re-ranks the list', () => {
+    const users = applyLeaderboardEvent([ada, linus], { type: POINTS_CLAIMED, user: { ...linus, points: 12 }, pointsClaimed: 7 });
+    expect(users.map(u => [u.rank, u.name, u.points])).toEqual([[1, 'Linus', 12], [2, 'Ada', 10]]);
+});
+
+test('ignores a claim total older than the one already shown', () => {
+    const users = [{ ...ada, points: 20 }];
+    expect(applyLeaderboardEvent(users, { type: POINTS_CLAIMED, user: { ...ada, points: 15 }, pointsClaimed: 5 })).toBe(users);
+});
+
+test('applying the same event twice is harmless', () => {
+    const event = { type: USER_CREATED, user: { _id: 'g', name: 'Grace', points: 0 } };
+    const once = applyLeaderboardEvent([ada], event);
+    expect(applyLeaderboardEvent(once, event)).toEqual(once);
+});
+
+test('handles deletes, resets and clearing everything', () => {
+    expect(applyLeaderboardEvent([ada, linus], { type: USER_DELETED, userId: 'a' })).toEqual([{ ...linus, rank: 1 }]);
+    expect(applyLeaderboardEvent([ada, linus], { type: SCORES_RESET }).map(u => u.points)).toEqual([0, 0]);
+    expect(applyLeaderboardEvent([ada, linus], { type: USERS_CLEARED })).toEqual([]);
+});
+
+test('leaves out players that rank below a partially loaded list', () => {
+    const newcomer = { type: USER_CREATED, user: { _id: 'g', name: 'Grace', points: 0 } };
+    expect(applyLeaderboardEvent([ada, linus], newcomer, { isPartial: true })).toEqual([ada, linus]);
+    expect(applyLeaderboardEvent([ada, linus], newcomer).map(u => u.name)).toEqual(['Ada', 'Linus', 'Grace']);
+});
+
+test('derives events from two snapshots', () => {
+    const grace = { _id: 'g', name: 'Grace', points: 0 };
+    expect(diffUsers([ada, linus], [{ ...ada, points: 13 }, grace])).toEqual([
+        { type: USER_DELETED, userId: 'l' },
+        { type: POINTS_CLAIMED, user: { ...ada, points: 13 }, pointsClaimed: 3 },
+        { type: USER_CREATED, user: grace },
+    ]);
+    expect(diffUsers([ada, linus], [{ ...ada, points: 0 }, { ...linus, points: 0 }])).toEqual([{ type: SCORES_RESET }]);
+    expect(diffUsers([ada], [])).toEqual([{ type: USERS_CLEARED }]);
+});
+
+test('notices players moving to another team', () => {
+    expect(diffUsers([ada], [{ ...ada, team: 'Red' }])).toEqual([{ type: USER_UPDATED, user: { ...ada, team: 'Red' } }]);
+    expect(diffUsers([{ ...ada, team: null }], [ada])).toEqual([]);
+});
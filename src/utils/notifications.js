@@ -0,0 +1,118 @@
+// --- NOTIFICATIONS ---
+// What the app tells the viewer after something happens: a claim went through, an export failed, ...
+// Each notification is shown as a toast for a while and kept in the history drawer for the rest of the visit.
+//
+// - At most MAX_VISIBLE_TOASTS toasts are on screen, oldest first; the rest wait their turn.
+// - A toast leaves when its time is up (which stops while the viewer hovers or focuses it), when it is
+//   closed, or when its action (Retry, Undo, ...) is used.
+// - A toast with the same level and text as one already waiting or shown replaces it, so repeating a
+//   failing action does not pile up copies. Toasts with an `onClose` (the Undo of a pending delete) are never
+//   replaced: each stands for its own action.
+
+export const NOTIFICATION_LEVELS = {
+    SUCCESS: 'success',
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error',
+};
+
+// How long each level stays on screen; warnings and errors longer, as they usually ask for something
+export const TOAST_DURATIONS = {
+    [NOTIFICATION_LEVELS.SUCCESS]: 4000,
+    [NOTIFICATION_LEVELS.INFO]: 5000,
+    [NOTIFICATION_LEVELS.WARNING]: 8000,
+    [NOTIFICATION_LEVELS.ERROR]: 10000,
+};
+
+// Shown next to each message, so its level does not rest on color alone
+export const LEVEL_ICONS = {
+    [NOTIFICATION_LEVELS.SUCCESS]: '✓',
+    [NOTIFICATION_LEVELS.INFO]: 'ℹ',
+    [NOTIFICATION_LEVELS.WARNING]: '⚠',
+    [NOTIFICATION_LEVELS.ERROR]: '✕',
+};
+
+export const MAX_VISIBLE_TOASTS = 3;
+
+// How many notifications the history drawer keeps, newest first
+export const MAX_HISTORY = 50;
+
+export const EMPTY_NOTIFICATIONS = { toasts: [], history: [] };
+
+/**
+ * A notification with defaults filled in. An unknown level counts as info.
+ * @param {{id: number, level?: string, message: string, details?: Array<string>,
+ *   action?: {label: string, onAction: Function}, duration?: number, onClose?: Function, createdAt: number}} notification
+ *   `details` are extra lines shown only in the history, e.g. why each player of a batch failed.
+ *   `duration` replaces the level's time on screen, e.g. to match an undo window.
+ *   `onClose` is called when the toast leaves without its action being used: its time on screen ran out or the
+ *   viewer closed it. An undo window ends there, so it only counts time the Undo button was actually shown.
+ */
+export const createNotification = ({ id, level, message, details = [], action = null, duration, onClose = null, createdAt }) => {
+    const knownLevel = Object.values(NOTIFICATION_LEVELS).includes(level) ? level : NOTIFICATION_LEVELS.INFO;
+    return {
+        id,
+        level: knownLevel,
+        message,
+        details,
+        action,
+        duration: duration ?? TOAST_DURATIONS[knownLevel],
+        onClose,
+        createdAt,
+        isRead: false,
+    };
+};
+
+/**
+ * Queues a notification's toast under the rules above and records it in the history.
+ * The history copy has no action or `onClose`: by the time the drawer is opened, a Retry or Undo may no longer apply.
+ * @param {{toasts: Array, history: Array}} state
+ * @param {object} notification - From createNotification.
+ */
+export const addNotification = (state, notification) => {
+    const isSame = (toast) => !toast.onClose && !notification.onClose
+        && toast.level === notification.level && toast.message === notification.message;
+    const toasts = state.toasts.some(isSame)
+        ? state.toasts.map(toast => (isSame(toast) ? notification : toast))
+        : [...state.toasts, notification];
+    const history = [{ ...notification, action: null, onClose: null }, ...state.history].slice(0, MAX_HISTORY);
+    return { toasts, history };
+};
+
+/**
+ * Takes a toast off the screen (or out of the queue). It stays in the history.
+ * @param {{toasts: Array, history: Array}} state
+ * @param {number} id
+ */
+export const dismissToast = (state, id) => ({ ...state, toasts: state.toasts.filter(toast => toast.id !== id) });
+
+/**
+ * Takes every toast with an action off the screen and out of the queue, e.g. when what its Retry or Undo
+ * would act on is no longer shown. Toasts with an `onClose` stay: they hold a pending action that still
+ * happens either way, so its Undo must stay within reach.
+ * @param {{toasts: Array, history: Array}} state
+ */
+export const dismissActionToasts = (state) => {
+    const isDropped = (toast) => toast.action && !toast.onClose;
+    return state.toasts.some(isDropped) ? { ...state, toasts: state.toasts.filter(toast => !isDropped(toast)) } : state;
+};
+
+/**
+ * The toasts on screen, oldest first.
+ * @param {Array} toasts
+ */
+export const visibleToasts = (toasts) => toasts.slice(0, MAX_VISIBLE_TOASTS);
+
+/**
+ * How many notifications in the history have not been seen in the drawer yet.
+ * @param {Array} history
+ */
+export const countUnread = (history) => history.filter(notification => !notification.isRead).length;
+
+/**
+ * Marks the whole history as seen.
+ * @param {{toasts: Array, history: Array}} state
+ */
+export const markAllRead = (state) => (countUnread(state.history) === 0
+    ? state
+    : { ...state, history: state.history.map(notification => ({ ...notification, isRead: true })) });
@@ -0,0 +1,71 @@
+import {
+    addNotification, dismissToast, dismissActionToasts, visibleToasts, countUnread, markAllRead, createNotification,
+    EMPTY_NOTIFICATIONS, NOTIFICATION_LEVELS, MAX_VISIBLE_TOASTS, MAX_HISTORY, TOAST_DURATIONS,
+} from './notifications';
+
+const notification = (id, message, level = NOTIFICATION_LEVELS.SUCCESS, extra = {}) =>
+    createNotification({ id, level, message, createdAt: id, ...extra });
+
+test('stacks toasts and queues the ones that do not fit', () => {
+    let state = EMPTY_NOTIFICATIONS;
+    for (let id = 0; id < MAX_VISIBLE_TOASTS + 2; id++) state = addNotification(state, notification(id, `Message ${id}`));
+    expect(visibleToasts(state.toasts).map(toast => toast.id)).toEqual([0, 1, 2]);
+
+    state = dismissToast(state, 1);
+    expect(visibleToasts(state.toasts).map(toast => toast.id)).toEqual([0, 2, 3]);
+    expect(state.history.map(entry => entry.id)).toEqual([4, 3, 2, 1, 0]);
+});
+
+test('replaces a toast with the same level and text instead of repeating it', () => {
+    let state = addNotification(EMPTY_NOTIFICATIONS, notification(0, 'Failed', NOTIFICATION_LEVELS.ERROR));
+    state = addNotification(state, notification(1, 'Saved'));
+    state = addNotification(state, notification(2, 'Failed', NOTIFICATION_LEVELS.ERROR));
+    state = addNotification(state, notification(3, 'Failed', NOTIFICATION_LEVELS.WARNING));
+    expect(state.toasts.map(toast => toast.id)).toEqual([2, 1, 3]);
+    expect(state.history).toHaveLength(4);
+});
+
+test('keeps every toast that waits on its own action, even with the same text', () => {
+    const undo = { label: 'Undo', onAction: () => {} };
+    const onClose = () => {};
+    let state = addNotification(EMPTY_NOTIFICATIONS, notification(0, 'Resetting', NOTIFICATION_LEVELS.INFO, { action: undo, onClose }));
+    state = addNotification(state, notification(1, 'Resetting', NOTIFICATION_LEVELS.INFO, { action: undo, onClose }));
+    expect(state.toasts.map(toast => toast.id)).toEqual([0, 1]);
+    expect(state.history[0].onClose).toBeNull();
+});
+
+test('keeps a bounded history without actions and counts what is unread', () => {
+    const retry = { label: 'Retry', onAction: () => {} };
+    let state = addNotification(EMPTY_NOTIFICATIONS, notification(0, 'Failed', NOTIFICATION_LEVELS.ERROR, { action: retry }));
+    expect(state.toasts[0].action).toBe(retry);
+    expect(state.history[0].action).toBeNull();
+
+    for (let id = 1; id <= MAX_HISTORY; id++) state = addNotification(state, notification(id, `Message ${id}`));
+    expect(state.history).toHaveLength(MAX_HISTORY);
+    expect(countUnread(state.history)).toBe(MAX_HISTORY);
+    state = markAllRead(state);
+    expect(countUnread(state.history)).toBe(0);
+    expect(markAllRead(state)).toBe(state);
+});
+
+test('drops the toasts whose action no longer applies', () => {
+    const undo = { label: 'Undo', onAction: () => {} };
+    let state = addNotification(EMPTY_NOTIFICATIONS, notification(0, 'Saved', NOTIFICATION_LEVELS.SUCCESS, { action: undo }));
+    state = addNotification(state, notification(1, 'Logged out', NOTIFICATION_LEVELS.INFO));
+    state = addNotification(state, notification(2, 'Deleting', NOTIFICATION_LEVELS.INFO, { action: undo, onClose: () => {} }));
+    state = dismissActionToasts(state);
+    expect(state.toasts.map(toast => toast.id)).toEqual([1, 2]);
+    expect(state.history).toHaveLength(3);
+    expect(dismissActionToasts(state)).toBe(state);
+});
+
+test('falls back to info for an unknown level', () => {
+    expect(createNotification({ id: 0, level: 'shout', message: 'Hi', createdAt: 0 })).toEqual({
+        id: 0, level: NOTIFICATION_LEVELS.INFO, message: 'Hi', details: [], action: null,
+        duration: TOAST_DURATIONS[NOTIFICATION_LEVELS.INFO], onClose: null, createdAt: 0, isRead: false,
+    });
+});
+
+test('keeps a toast on screen for as long as asked', () => {
+    expect(notification(0, 'Deleting', NOTIFICATION_LEVELS.INFO, { duration: 8000 }).duration).toBe(8000);
+});
@@ -0,0 +1,18 @@
+// --- PENDING CLAIMS ---
+// Claims are not applied ahead of the server: how many points a claim gives is drawn by the server, so there
+// is nothing to add or re-rank until it answers, and a guess would make the board jump twice. Until then the
+// row is only marked as waiting, while the table stays as it is (no reload, no "Loading...").
+
+/**
+ * Marks the players with claims that are still waiting for the server.
+ * The confirmed list is never modified, so dropping a pending claim is all it takes to take the mark off.
+ * @param {Array} users - Users as last confirmed by the server.
+ * @param {Array<{id: number, userId: string}>} pendingClaims
+ * @returns {Array} The same users in the same order; rows with claims in flight get `pendingClaims` (their count).
+ */
+export const applyPendingClaims = (users, pendingClaims) => {
+    if (pendingClaims.length === 0) return users;
+    const countByUser = new Map();
+    pendingClaims.forEach(({ userId }) => countByUser.set(userId, (countByUser.get(userId) || 0) + 1));
+    return users.map(user => (countByUser.has(user._id) ? { ...user, pendingClaims: countByUser.get(user._id) } : user));
+};
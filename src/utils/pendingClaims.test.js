@@ -0,0 +1,22 @@
+import { applyPendingClaims } from './pendingClaims';
+
+const users = [
+    { _id: 'a', name: 'Ada', points: 10, rank: 1 },
+    { _id: 'l', name: 'Linus', points: 8, rank: 2 },
+];
+
+test('returns the confirmed users untouched when nothing is pending', () => {
+    expect(applyPendingClaims(users, [])).toBe(users);
+});
+
+test('marks rows with claims in flight but keeps their confirmed points and rank', () => {
+    const shown = applyPendingClaims(users, [
+        { id: 1, userId: 'l' },
+        { id: 2, userId: 'l' },
+    ]);
+    expect(shown.map(u => [u.rank, u.name, u.points, u.pendingClaims])).toEqual([
+        [1, 'Ada', 10, undefined],
+        [2, 'Linus', 8, 2],
+    ]);
+    expect(users[1].pendingClaims).toBeUndefined();
+});
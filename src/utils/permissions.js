@@ -0,0 +1,48 @@
+// --- ROLES & PERMISSIONS ---
+// The UI hides or disables what the signed-in role may not do. The backend still has the final say:
+// it receives the bearer token with every request.
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    SCOREKEEPER: 'scorekeeper',
+    ADMIN: 'admin',
+};
+
+export const PERMISSIONS = {
+    CLAIM_POINTS: 'claimPoints',
+    ADD_PLAYER: 'addPlayer',
+    // Generating and importing players
+    ADD_PLAYERS_IN_BULK: 'addPlayersInBulk',
+    DELETE_PLAYER: 'deletePlayer',
+    ASSIGN_TEAMS: 'assignTeams',
+    RESET_SCORES: 'resetScores',
+    DELETE_ALL_PLAYERS: 'deleteAllPlayers',
+    // Creating and archiving boards
+    MANAGE_BOARDS: 'manageBoards',
+    // A board's colors, logo and title
+    BRAND_BOARDS: 'brandBoards',
+    OPEN_ADMIN_AREA: 'openAdminArea',
+    VIEW_AUDIT_LOG: 'viewAuditLog',
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.VIEWER]: [],
+    [ROLES.SCOREKEEPER]: [PERMISSIONS.CLAIM_POINTS, PERMISSIONS.ADD_PLAYER],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Turns whatever a login response calls the role into one of ROLES; anything unknown is a viewer.
+ * @param {string} [role]
+ */
+export const normalizeRole = (role) => {
+    const value = String(role || '').toLowerCase();
+    return Object.values(ROLES).includes(value) ? value : ROLES.VIEWER;
+};
+
+/**
+ * Whether a role may do something.
+ * @param {string} role - One of ROLES.
+ * @param {string} permission - One of PERMISSIONS.
+ */
+export const roleCan = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
@@ -0,0 +1,15 @@
+import { roleCan, normalizeRole, ROLES, PERMISSIONS } from './permissions';
+
+test('gives each role only its own actions', () => {
+    expect(roleCan(ROLES.VIEWER, PERMISSIONS.CLAIM_POINTS)).toBe(false);
+    expect(roleCan(ROLES.SCOREKEEPER, PERMISSIONS.CLAIM_POINTS)).toBe(true);
+    expect(roleCan(ROLES.SCOREKEEPER, PERMISSIONS.DELETE_ALL_PLAYERS)).toBe(false);
+    expect(Object.values(PERMISSIONS).every(permission => roleCan(ROLES.ADMIN, permission))).toBe(true);
+});
+
+test('treats unknown roles as viewers', () => {
+    expect(normalizeRole('ADMIN')).toBe(ROLES.ADMIN);
+    expect(normalizeRole('superuser')).toBe(ROLES.VIEWER);
+    expect(normalizeRole(undefined)).toBe(ROLES.VIEWER);
+    expect(roleCan('superuser', PERMISSIONS.CLAIM_POINTS)).toBe(false);
+});
@@ -0,0 +1,65 @@
+// --- RANK MOVEMENT ---
+
+/**
+ * Freezes the standings so later ones can be compared with them.
+ * @param {Array} users - Ranked users.
+ * @param {boolean} isComplete - False when `users` is only the top of a longer, paged list.
+ * @returns {{ranks: Map<string, number>, names: Map<string, string>, isComplete: boolean}}
+ */
+export const takeRankSnapshot = (users, isComplete) => ({
+    ranks: new Map(users.map(u => [u._id, u.rank])),
+    names: new Map(users.map(u => [u._id, u.name])),
+    isComplete,
+});
+
+/**
+ * Whether the standings moved since a snapshot: a player changed rank, left, or joined.
+ * Points changing without anyone swapping places is not a move, and neither is loading
+ * the next page of a paged list (newcomers that all rank below the snapshot).
+ * @param {{ranks: Map, isComplete: boolean}} snapshot
+ * @param {Array} users - The current ranked users.
+ */
+export const hasRankingMoved = (snapshot, users) => {
+    const currentIds = new Set(users.map(u => u._id));
+    for (const id of snapshot.ranks.keys()) {
+        if (!currentIds.has(id)) return true;
+    }
+    return users.some(user => {
+        const previousRank = snapshot.ranks.get(user._id);
+        if (previousRank !== undefined) return previousRank !== user.rank;
+        return snapshot.isComplete || user.rank <= snapshot.ranks.size;
+    });
+};
+
+/**
+ * How a player moved against a baseline snapshot.
+ * @returns {number | 'new' | null} Places gained (negative when dropped), 'new' for a player
+ *   the baseline did not have, or null when there is nothing to compare with.
+ */
+export const getRankMovement = (user, baseline) => {
+    if (!baseline) return null;
+    const baselineRank = baseline.ranks.get(user._id);
+    if (baselineRank !== undefined) return baselineRank - user.rank;
+    // A paged baseline only knows its top slice, so an unknown player may simply have climbed into view
+    return baseline.isComplete ? 'new' : null;
+};
+
+/**
+ * Who entered and who left the top places since the baseline.
+ * @param {Array} users - The current ranked users.
+ * @param {{ranks: Map, names: Map}} baseline
+ * @param {number} [places]
+ * @returns {{entered: Array<string>, left: Array<string>}} Player names.
+ */
+export const diffTopPlaces = (users, baseline, places = 3) => {
+    if (!baseline || baseline.ranks.size === 0) return { entered: [], left: [] };
+    const currentTop = users.filter(u => u.rank <= places);
+    const currentTopIds = new Set(currentTop.map(u => u._id));
+    const entered = currentTop
+        .filter(u => !(baseline.ranks.get(u._id) <= places))
+        .map(u => u.name);
+    const left = [...baseline.ranks]
+        .filter(([id, rank]) => rank <= places && !currentTopIds.has(id))
+        .map(([id]) => users.find(u => u._id === id)?.name || baseline.names.get(id));
+    return { entered, left };
+};
@@ -0,0 +1,33 @@
+import { takeRankSnapshot, hasRankingMoved, getRankMovement, diffTopPlaces } from './rankMovement';
+
+const ranked = (...names) => names.map((name, i) => ({ _id: name.toLowerCase(), name, rank: i + 1 }));
+
+test('reports places gained, places lost and newcomers', () => {
+    const baseline = takeRankSnapshot(ranked('Ada', 'Grace', 'Linus'), true);
+    const [grace, ada, alan] = ranked('Grace', 'Ada', 'Alan');
+    expect(getRankMovement(grace, baseline)).toBe(1);
+    expect(getRankMovement(ada, baseline)).toBe(-1);
+    expect(getRankMovement(alan, baseline)).toBe('new');
+    expect(getRankMovement(ada, null)).toBeNull();
+});
+
+test('does not call a player new when the baseline was only the first page', () => {
+    const baseline = takeRankSnapshot(ranked('Ada', 'Grace'), false);
+    expect(getRankMovement(ranked('Alan')[0], baseline)).toBeNull();
+});
+
+test('only counts a change of places as movement', () => {
+    const snapshot = takeRankSnapshot(ranked('Ada', 'Grace'), false);
+    expect(hasRankingMoved(snapshot, ranked('Ada', 'Grace'))).toBe(false);
+    // The next page of a paged list arriving
+    expect(hasRankingMoved(snapshot, ranked('Ada', 'Grace', 'Linus'))).toBe(false);
+    expect(hasRankingMoved(snapshot, ranked('Grace', 'Ada'))).toBe(true);
+    expect(hasRankingMoved(snapshot, ranked('Ada'))).toBe(true);
+    expect(hasRankingMoved(takeRankSnapshot(ranked('Ada'), true), ranked('Ada', 'Grace'))).toBe(true);
+});
+
+test('finds who entered and who left the top 3', () => {
+    const baseline = takeRankSnapshot(ranked('Ada', 'Grace', 'Linus', 'Alan'), true);
+    expect(diffTopPlaces(ranked('Alan', 'Ada', 'Grace', 'Linus'), baseline)).toEqual({ entered: ['Alan'], left: ['Linus'] });
+    expect(diffTopPlaces(ranked('Grace', 'Ada', 'Linus', 'Alan'), baseline)).toEqual({ entered: [], left: [] });
+});
@@ -0,0 +1,67 @@
+// --- RANKING HELPERS ---
+// Players are ordered by points, and players with equal points by a tie-break rule. How the ordered
+// players are then numbered is the ranking scheme: shared ranks with gaps, shared ranks without gaps,
+// or a different rank for everyone.
+
+export const RANKING_SCHEMES = {
+    STANDARD: 'standard',
+    DENSE: 'dense',
+    ORDINAL: 'ordinal',
+};
+
+export const TIE_BREAKS = {
+    REACHED_FIRST: 'reachedFirst',
+    JOINED_FIRST: 'joinedFirst',
+    NAME: 'name',
+};
+
+// What the app shows until the viewer picks something else
+export const DEFAULT_RANKING = { scheme: RANKING_SCHEMES.STANDARD, tieBreak: TIE_BREAKS.REACHED_FIRST };
+
+const compareText = (a, b) => String(a || '').localeCompare(String(b || ''));
+
+/**
+ * When a player reached their current score: `reachedAt` when the data source tracks it.
+ * Backends that do not send it get "joined first" order instead, from `createdAt`; claims seen by one
+ * browser are not used, as other viewers would then see a different order.
+ */
+const defaultReachedAt = (user) => user.reachedAt || user.createdAt;
+
+/**
+ * Numbers players that are already in ranking order.
+ * @param {Array} ordered - Best first.
+ * @param {string} [scheme] - One of RANKING_SCHEMES.
+ * @param {Function} [getScore] - What counts as a tie; defaults to equal `points`.
+ * @returns {Array} New objects with a `rank`.
+ */
+export const assignRanks = (ordered, scheme = RANKING_SCHEMES.ORDINAL, getScore = (item) => item.points) => {
+    let previous = null;
+    return ordered.map((item, index) => {
+        const isTied = previous !== null && getScore(item) === getScore(previous.item);
+        let rank = index + 1;
+        if (scheme === RANKING_SCHEMES.STANDARD && isTied) rank = previous.rank;
+        else if (scheme === RANKING_SCHEMES.DENSE) rank = previous === null ? 1 : previous.rank + (isTied ? 0 : 1);
+        previous = { item, rank };
+        return { ...item, rank };
+    });
+};
+
+/**
+ * Orders users by points (most first) and numbers them.
+ * Without options this matches the backend: ties keep the order in which the players were created, and
+ * everyone gets their own rank. Whatever the tie-break, the order never depends on the input order.
+ * @param {Array} users - Users with at least `points`; `createdAt` and `reachedAt` are used when present.
+ * @param {{scheme?: string, tieBreak?: string, getReachedAt?: Function}} [options]
+ *   One of RANKING_SCHEMES and TIE_BREAKS; `getReachedAt(user)` overrides when a player reached their score.
+ * @returns {Array} New user objects with a fresh `rank`, sorted by rank.
+ */
+export const rankUsers = (users, { scheme = RANKING_SCHEMES.ORDINAL, tieBreak = TIE_BREAKS.JOINED_FIRST, getReachedAt = defaultReachedAt } = {}) => {
+    const breakTie = (a, b) => {
+        if (tieBreak === TIE_BREAKS.REACHED_FIRST) return compareText(getReachedAt(a), getReachedAt(b));
+        if (tieBreak === TIE_BREAKS.NAME) return compareText(a.name, b.name);
+        return 0;
+    };
+    const ordered = [...users].sort((a, b) =>
+        (b.points - a.points) || breakTie(a, b) || compareText(a.createdAt, b.createdAt) || compareText(a._id, b._id));
+    return assignRanks(ordered, scheme);
+};
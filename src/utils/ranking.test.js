@@ -0,0 +1,35 @@
+import { rankUsers, assignRanks, RANKING_SCHEMES, TIE_BREAKS } from './ranking';
+
+const users = [
+    { _id: 'c', name: 'Cleo', points: 5, createdAt: '2025-05-01T09:00:00.000Z', reachedAt: '2025-05-03T10:00:00.000Z' },
+    { _id: 'a', name: 'Ada', points: 10, createdAt: '2025-05-01T11:00:00.000Z', reachedAt: '2025-05-02T12:00:00.000Z' },
+    { _id: 'b', name: 'Bo', points: 10, createdAt: '2025-05-01T10:00:00.000Z', reachedAt: '2025-05-02T13:00:00.000Z' },
+    { _id: 'd', name: 'Dan', points: 3, createdAt: '2025-05-01T08:00:00.000Z' },
+];
+
+const ranks = (ranked) => ranked.map(u => [u.name, u.rank]);
+
+test('numbers ties by the chosen scheme', () => {
+    const options = { tieBreak: TIE_BREAKS.REACHED_FIRST };
+    expect(ranks(rankUsers(users, { ...options, scheme: RANKING_SCHEMES.STANDARD }))).toEqual([['Ada', 1], ['Bo', 1], ['Cleo', 3], ['Dan', 4]]);
+    expect(ranks(rankUsers(users, { ...options, scheme: RANKING_SCHEMES.DENSE }))).toEqual([['Ada', 1], ['Bo', 1], ['Cleo', 2], ['Dan', 3]]);
+    expect(ranks(rankUsers(users, { ...options, scheme: RANKING_SCHEMES.ORDINAL }))).toEqual([['Ada', 1], ['Bo', 2], ['Cleo', 3], ['Dan', 4]]);
+});
+
+test('breaks ties by who reached the score first, who joined first or by name', () => {
+    expect(rankUsers(users, { tieBreak: TIE_BREAKS.REACHED_FIRST }).map(u => u.name).slice(0, 2)).toEqual(['Ada', 'Bo']);
+    expect(rankUsers(users, { tieBreak: TIE_BREAKS.JOINED_FIRST }).map(u => u.name).slice(0, 2)).toEqual(['Bo', 'Ada']);
+    expect(rankUsers(users, { tieBreak: TIE_BREAKS.NAME }).map(u => u.name).slice(0, 2)).toEqual(['Ada', 'Bo']);
+    const reachedAt = { a: '2025-05-04T00:00:00.000Z', b: '2025-05-03T00:00:00.000Z' };
+    expect(rankUsers(users, { tieBreak: TIE_BREAKS.REACHED_FIRST, getReachedAt: u => reachedAt[u._id] }).map(u => u.name).slice(0, 2)).toEqual(['Bo', 'Ada']);
+});
+
+test('gives the same order whatever order the players come in', () => {
+    expect(rankUsers([...users].reverse())).toEqual(rankUsers(users));
+    expect(ranks(rankUsers(users))).toEqual([['Bo', 1], ['Ada', 2], ['Cleo', 3], ['Dan', 4]]);
+});
+
+test('ranks anything by a custom score', () => {
+    const teams = [{ name: 'Red', total: 9 }, { name: 'Blue', total: 9 }, { name: 'Green', total: 4 }];
+    expect(assignRanks(teams, RANKING_SCHEMES.DENSE, t => t.total).map(t => t.rank)).toEqual([1, 1, 2]);
+});
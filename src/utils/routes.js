@@ -0,0 +1,77 @@
+// --- ROUTES ---
+// The address bar describes what is on screen, so a copied link opens the same view:
+//   /                 the board
+//   /players/:id      the board with a player's profile open
+//   /teams            the team standings
+//   /admin            the admin area (destructive and bulk actions)
+// and the query string carries the view state: ?board=…&user=…&q=…&team=…&sort=points-desc
+
+export const PAGES = { BOARD: 'board', PLAYER: 'player', TEAMS: 'teams', ADMIN: 'admin' };
+
+// The query parameters the app owns; anything else (e.g. ?api=) is left alone
+export const ROUTE_PARAMS = ['board', 'user', 'q', 'team', 'sort'];
+
+const stripBase = (pathname, basePath) =>
+    (basePath && pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname) || '/';
+
+/**
+ * Reads the page and view state from a URL.
+ * @param {{pathname: string, search: string}} location - e.g. `window.location`.
+ * @param {string} [basePath] - Where the app is served from (CRA's PUBLIC_URL), e.g. "/leaderboard".
+ * @returns {{page: string, playerId: string | null, query: Object<string, string>}}
+ *   `query` holds the ROUTE_PARAMS that are present.
+ */
+export const parseRoute = ({ pathname, search }, basePath = '') => {
+    const path = stripBase(pathname, basePath).replace(/\/+$/, '') || '/';
+    const params = new URLSearchParams(search);
+    const query = {};
+    ROUTE_PARAMS.forEach(key => {
+        if (params.get(key)) query[key] = params.get(key);
+    });
+
+    const playerMatch = path.match(/^\/players\/([^/]+)$/);
+    if (playerMatch) return { page: PAGES.PLAYER, playerId: decodeURIComponent(playerMatch[1]), query };
+    if (path === '/teams') return { page: PAGES.TEAMS, playerId: null, query };
+    if (path === '/admin') return { page: PAGES.ADMIN, playerId: null, query };
+    return { page: PAGES.BOARD, playerId: null, query };
+};
+
+/**
+ * Builds the URL for a page, starting from the current one.
+ * @param {{pathname: string, search: string, hash?: string}} location - The current location.
+ * @param {{page?: string, playerId?: string, query?: Object<string, string | null>}} to
+ *   Without `page` the path stays as it is. `query` values are merged in; null or '' removes a parameter.
+ * @param {string} [basePath]
+ * @returns {string} A path with query string, ready for `history.pushState`.
+ */
+export const buildRouteUrl = (location, { page, playerId, query = {} }, basePath = '') => {
+    let path = location.pathname;
+    if (page === PAGES.PLAYER) path = `${basePath}/players/${encodeURIComponent(playerId)}`;
+    else if (page === PAGES.TEAMS) path = `${basePath}/teams`;
+    else if (page === PAGES.ADMIN) path = `${basePath}/admin`;
+    else if (page === PAGES.BOARD) path = `${basePath}/`;
+
+    const params = new URLSearchParams(location.search);
+    Object.entries(query).forEach(([key, value]) => {
+        if (value == null || value === '') params.delete(key);
+        else params.set(key, value);
+    });
+    const search = params.toString();
+    return `${path}${search ? `?${search}` : ''}${location.hash || ''}`;
+};
+
+/**
+ * Writes a table sort as a query value, e.g. "points-desc".
+ * @param {{columnId: string, direction: string}} sort
+ */
+export const encodeSort = ({ columnId, direction }) => `${columnId}-${direction}`;
+
+/**
+ * Reads a table sort from a query value.
+ * @param {string} [value] - e.g. "points-desc".
+ * @returns {{columnId: string, direction: 'asc' | 'desc'} | null} Null when missing or malformed.
+ */
+export const decodeSort = (value) => {
+    const match = /^(\w+)-(asc|desc)$/.exec(value || '');
+    return match ? { columnId: match[1], direction: match[2] } : null;
+};
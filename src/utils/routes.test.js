@@ -0,0 +1,30 @@
+import { parseRoute, buildRouteUrl, encodeSort, decodeSort, PAGES } from './routes';
+
+test('reads the page and the view state from a URL', () => {
+    expect(parseRoute({ pathname: '/', search: '?board=spring-cup-k3f9&q=ada&api=staging' })).toEqual({
+        page: PAGES.BOARD,
+        playerId: null,
+        query: { board: 'spring-cup-k3f9', q: 'ada' },
+    });
+    expect(parseRoute({ pathname: '/players/abc%20123', search: '' })).toMatchObject({ page: PAGES.PLAYER, playerId: 'abc 123' });
+    expect(parseRoute({ pathname: '/admin/', search: '' }).page).toBe(PAGES.ADMIN);
+    expect(parseRoute({ pathname: '/teams', search: '?team=Red' })).toEqual({ page: PAGES.TEAMS, playerId: null, query: { team: 'Red' } });
+    expect(parseRoute({ pathname: '/nowhere', search: '' }).page).toBe(PAGES.BOARD);
+});
+
+test('understands an app served from a sub-path', () => {
+    expect(parseRoute({ pathname: '/leaderboard/admin', search: '' }, '/leaderboard').page).toBe(PAGES.ADMIN);
+    expect(buildRouteUrl({ pathname: '/leaderboard/', search: '' }, { page: PAGES.PLAYER, playerId: 'p1' }, '/leaderboard')).toBe('/leaderboard/players/p1');
+});
+
+test('builds URLs that keep the rest of the query string', () => {
+    const location = { pathname: '/players/p1', search: '?api=staging&q=ada' };
+    expect(buildRouteUrl(location, { page: PAGES.BOARD })).toBe('/?api=staging&q=ada');
+    expect(buildRouteUrl(location, { query: { q: '', sort: 'points-desc' } })).toBe('/players/p1?api=staging&sort=points-desc');
+});
+
+test('round-trips a sort through the query string', () => {
+    expect(decodeSort(encodeSort({ columnId: 'lastClaim', direction: 'desc' }))).toEqual({ columnId: 'lastClaim', direction: 'desc' });
+    expect(decodeSort('points-sideways')).toBeNull();
+    expect(decodeSort(undefined)).toBeNull();
+});
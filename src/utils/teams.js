@@ -0,0 +1,76 @@
+import { assignRanks, RANKING_SCHEMES } from './ranking';
+
+// --- TEAMS ---
+// A player can belong to one team (or group), stored on the user as `team`: the team's name, or null.
+// Team standings aggregate their members' points in one of three ways.
+
+export const MAX_TEAM_NAME_LENGTH = 40;
+
+export const TEAM_AGGREGATES = {
+    SUM: 'sum',
+    AVERAGE: 'average',
+    TOP_N: 'topN',
+};
+
+// How many players count towards a team's score with the "best players only" aggregate
+export const TOP_N_OPTIONS = [1, 3, 5];
+export const DEFAULT_TOP_N = 3;
+
+/**
+ * Cleans up a typed team name: trimmed, inner whitespace collapsed. Blank means "no team".
+ * @param {string} [name]
+ * @returns {string | null}
+ */
+export const normalizeTeamName = (name) => {
+    const cleaned = String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_TEAM_NAME_LENGTH);
+    return cleaned || null;
+};
+
+/**
+ * The teams that have at least one player, A→Z.
+ * @param {Array} users
+ * @returns {Array<string>}
+ */
+export const listTeamNames = (users) =>
+    [...new Set(users.map(u => u.team).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * The players of one team.
+ * @param {Array} users
+ * @param {string} team - A team name; empty means everyone.
+ */
+export const filterByTeam = (users, team) => (team ? users.filter(u => u.team === team) : users);
+
+/**
+ * Ranks the teams by their members' points. Players without a team are left out.
+ * Each team looks enough like a user (`_id`, `name`, `points`, `rank`) to go on the Podium;
+ * `points` is the chosen aggregate, and `total`, `average` and `topPoints` hold all three.
+ * Teams with equal points are listed by total points, then by name, and numbered by the ranking scheme.
+ * @param {Array} users - Ranked users.
+ * @param {{aggregate?: string, topN?: number, scheme?: string}} [options] - One of TEAM_AGGREGATES, N for TOP_N,
+ *   and one of RANKING_SCHEMES (everyone gets their own rank by default).
+ * @returns {Array<{_id: string, name: string, points: number, rank: number, total: number,
+ *   average: number, topPoints: number, memberCount: number, members: Array}>}
+ */
+export const rankTeams = (users, { aggregate = TEAM_AGGREGATES.SUM, topN = DEFAULT_TOP_N, scheme = RANKING_SCHEMES.ORDINAL } = {}) => {
+    const membersByTeam = new Map();
+    users.forEach(user => {
+        if (!user.team) return;
+        membersByTeam.set(user.team, [...(membersByTeam.get(user.team) || []), user]);
+    });
+
+    const teams = [...membersByTeam].map(([name, members]) => {
+        const sorted = [...members].sort((a, b) => b.points - a.points);
+        const total = sorted.reduce((sum, u) => sum + u.points, 0);
+        // One decimal is enough to tell averages apart
+        const average = Math.round((total / sorted.length) * 10) / 10;
+        const topPoints = sorted.slice(0, topN).reduce((sum, u) => sum + u.points, 0);
+        const points = aggregate === TEAM_AGGREGATES.AVERAGE ? average : aggregate === TEAM_AGGREGATES.TOP_N ? topPoints : total;
+        return { _id: name, name, points, total, average, topPoints, memberCount: sorted.length, members: sorted };
+    });
+
+    return assignRanks(
+        teams.sort((a, b) => (b.points - a.points) || (b.total - a.total) || a.name.localeCompare(b.name)),
+        scheme
+    );
+};
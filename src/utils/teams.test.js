@@ -0,0 +1,48 @@
+import { rankTeams, listTeamNames, filterByTeam, normalizeTeamName, TEAM_AGGREGATES } from './teams';
+import { RANKING_SCHEMES } from './ranking';
+
+const users = [
+    { _id: 'a', name: 'Ada', points: 30, team: 'Red' },
+    { _id: 'l', name: 'Linus', points: 20, team: 'Blue' },
+    { _id: 'g', name: 'Grace', points: 12, team: 'Blue' },
+    { _id: 'k', name: 'Ken', points: 10, team: 'Blue' },
+    { _id: 'm', name: 'Margaret', points: 5, team: null },
+];
+
+test('ranks teams by total, average or their best players', () => {
+    expect(rankTeams(users).map(t => [t.rank, t.name, t.points, t.memberCount])).toEqual([
+        [1, 'Blue', 42, 3],
+        [2, 'Red', 30, 1],
+    ]);
+    expect(rankTeams(users, { aggregate: TEAM_AGGREGATES.AVERAGE }).map(t => [t.name, t.points])).toEqual([
+        ['Red', 30],
+        ['Blue', 14],
+    ]);
+    expect(rankTeams(users, { aggregate: TEAM_AGGREGATES.TOP_N, topN: 1 }).map(t => [t.name, t.points])).toEqual([
+        ['Red', 30],
+        ['Blue', 20],
+    ]);
+});
+
+test('breaks ties by total points, then by name', () => {
+    const tied = [
+        { _id: 'x', name: 'X', points: 10, team: 'Zeta' },
+        { _id: 'y', name: 'Y', points: 10, team: 'Alpha' },
+        { _id: 'z', name: 'Z', points: 4, team: 'Zeta' },
+    ];
+    expect(rankTeams(tied, { aggregate: TEAM_AGGREGATES.TOP_N, topN: 1 }).map(t => t.name)).toEqual(['Zeta', 'Alpha']);
+    expect(rankTeams(tied.slice(0, 2)).map(t => t.name)).toEqual(['Alpha', 'Zeta']);
+    expect(rankTeams(tied.slice(0, 2), { scheme: RANKING_SCHEMES.STANDARD }).map(t => t.rank)).toEqual([1, 1]);
+});
+
+test('lists teams and filters players by team', () => {
+    expect(listTeamNames(users)).toEqual(['Blue', 'Red']);
+    expect(filterByTeam(users, 'Red').map(u => u.name)).toEqual(['Ada']);
+    expect(filterByTeam(users, '')).toHaveLength(5);
+});
+
+test('cleans up typed team names', () => {
+    expect(normalizeTeamName('  Night   Owls ')).toBe('Night Owls');
+    expect(normalizeTeamName('   ')).toBeNull();
+    expect(normalizeTeamName(undefined)).toBeNull();
+});
@@ -0,0 +1,209 @@
+// --- THEMES ---
+// Every color in App's stylesheet is a CSS custom property. A preset sets all of them; a board's brand
+// theme then overrides the accent colors on top of it. The high-contrast preset keeps its own accents,
+// since a brand's colors could undo the contrast it exists for.
+
+export const THEME_MODES = {
+    // Light or dark, following the viewer's system setting
+    SYSTEM: 'system',
+    LIGHT: 'light',
+    DARK: 'dark',
+    CONTRAST: 'contrast',
+};
+
+export const THEME_PRESETS = {
+    [THEME_MODES.LIGHT]: {
+        'color-scheme': 'light',
+        '--bg': 'linear-gradient(135deg, #eef1fb 0%, #e4dcf3 100%)',
+        '--text': '#1f2340',
+        '--text-soft': 'rgba(31, 35, 64, 0.85)',
+        '--text-muted': 'rgba(31, 35, 64, 0.65)',
+        '--surface': 'rgba(255, 255, 255, 0.7)',
+        '--surface-raised': 'rgba(255, 255, 255, 0.97)',
+        '--tint': 'rgba(31, 35, 64, 0.06)',
+        '--tint-strong': 'rgba(31, 35, 64, 0.12)',
+        '--border': 'rgba(31, 35, 64, 0.15)',
+        '--input-bg': '#fff',
+        '--table-head': 'rgba(226, 230, 245, 0.98)',
+        '--button-bg': 'linear-gradient(45deg, #2874b8, #7d3c98)',
+        '--button-text': '#fff',
+        '--button-glow': 'rgba(125, 60, 152, 0.45)',
+        '--secondary-bg': 'linear-gradient(45deg, #7f8c8d, #6c7a7b)',
+        '--danger-bg': 'linear-gradient(45deg, #d64535, #b03224)',
+        '--disabled-bg': '#c5cad3',
+        '--disabled-text': '#fff',
+        '--success': '#1e8449',
+        '--warning': '#9a7d0a',
+        '--danger': '#c0392b',
+        '--info': '#2874b8',
+        '--error-bg': 'rgba(192, 57, 43, 0.9)',
+        '--rank-1-color': '#f2c200',
+        '--rank-2-color': '#b8bec6',
+        '--rank-3-color': '#c8843d',
+        '--rank-other-color': 'rgba(31, 35, 64, 0.15)',
+        '--podium-text': '#222',
+        '--mark': 'rgba(241, 196, 15, 0.45)',
+        '--mark-text': 'inherit',
+        '--backdrop': 'rgba(20, 24, 45, 0.45)',
+        '--shadow': 'rgba(31, 38, 135, 0.15)',
+        '--focus': '#2874b8',
+    },
+    [THEME_MODES.DARK]: {
+        'color-scheme': 'dark',
+        '--bg': 'linear-gradient(135deg, #2b2d5c 0%, #3b2252 100%)',
+        '--text': '#fff',
+        '--text-soft': 'rgba(255, 255, 255, 0.85)',
+        '--text-muted': 'rgba(255, 255, 255, 0.7)',
+        '--surface': 'rgba(255, 255, 255, 0.08)',
+        '--surface-raised': 'rgba(40, 44, 72, 0.97)',
+        '--tint': 'rgba(255, 255, 255, 0.1)',
+        '--tint-strong': 'rgba(255, 255, 255, 0.2)',
+        '--border': 'rgba(255, 255, 255, 0.2)',
+        '--input-bg': 'rgba(255, 255, 255, 0.12)',
+        '--table-head': 'rgba(60, 64, 110, 0.97)',
+        '--button-bg': 'linear-gradient(45deg, #3498db, #8e44ad)',
+        '--button-text': '#fff',
+        '--button-glow': 'rgba(142, 68, 173, 0.7)',
+        '--secondary-bg': 'linear-gradient(45deg, #95a5a6, #7f8c8d)',
+        '--danger-bg': 'linear-gradient(45deg, #e74c3c, #c0392b)',
+        '--disabled-bg': '#5d6275',
+        '--disabled-text': 'rgba(255, 255, 255, 0.7)',
+        '--success': '#2ecc71',
+        '--warning': '#f1c40f',
+        '--danger': '#ff7675',
+        '--info': '#74b9ff',
+        '--error-bg': 'rgba(231, 76, 60, 0.8)',
+        '--rank-1-color': '#ffd700',
+        '--rank-2-color': '#c0c0c0',
+        '--rank-3-color': '#cd7f32',
+        '--rank-other-color': 'rgba(255, 255, 255, 0.7)',
+        '--podium-text': '#333',
+        '--mark': 'rgba(241, 196, 15, 0.6)',
+        '--mark-text': 'inherit',
+        '--backdrop': 'rgba(0, 0, 0, 0.6)',
+        '--shadow': 'rgba(0, 0, 0, 0.37)',
+        '--focus': '#9ecbff',
+    },
+    [THEME_MODES.CONTRAST]: {
+        'color-scheme': 'dark',
+        '--bg': '#000',
+        '--text': '#fff',
+        '--text-soft': '#fff',
+        '--text-muted': '#fff',
+        '--surface': '#000',
+        '--surface-raised': '#000',
+        '--tint': 'rgba(255, 255, 255, 0.15)',
+        '--tint-strong': 'rgba(255, 255, 255, 0.25)',
+        '--border': '#fff',
+        '--input-bg': '#000',
+        '--table-head': '#000',
+        '--button-bg': '#ff0',
+        '--button-text': '#000',
+        '--button-glow': '#fff',
+        '--secondary-bg': '#fff',
+        '--danger-bg': '#ff8080',
+        '--disabled-bg': '#000',
+        '--disabled-text': '#aaa',
+        '--success': '#0f0',
+        '--warning': '#ff0',
+        '--danger': '#ff8080',
+        '--info': '#0ff',
+        '--error-bg': '#8b0000',
+        '--rank-1-color': '#ffd700',
+        '--rank-2-color': '#e0e0e0',
+        '--rank-3-color': '#ff9f43',
+        '--rank-other-color': '#fff',
+        '--podium-text': '#000',
+        '--mark': '#ff0',
+        '--mark-text': '#000',
+        '--backdrop': 'rgba(0, 0, 0, 0.85)',
+        '--shadow': 'transparent',
+        '--focus': '#0ff',
+    },
+};
+
+// The fields a board's brand theme may set; an empty value keeps the preset's
+export const DEFAULT_BRAND = {
+    primary: '',
+    secondary: '',
+    logoUrl: '',
+    title: '',
+};
+
+export const MAX_BRAND_TITLE_LENGTH = 60;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const normalizeColor = (value) => (HEX_COLOR.test(value) ? value.toLowerCase() : '');
+
+// Only web addresses and inline images, so a saved theme cannot point the logo anywhere else
+const normalizeLogoUrl = (value) => {
+    const url = String(value || '').trim();
+    return /^(https?:\/\/|data:image\/)/i.test(url) ? url : '';
+};
+
+/**
+ * A brand theme with everything unknown or malformed dropped, e.g. one read back from storage.
+ * @param {object} [brand]
+ * @returns {{primary: string, secondary: string, logoUrl: string, title: string}}
+ */
+export const normalizeBrand = (brand) => ({
+    primary: normalizeColor(brand?.primary),
+    secondary: normalizeColor(brand?.secondary),
+    logoUrl: normalizeLogoUrl(brand?.logoUrl),
+    title: String(brand?.title || '').trim().slice(0, MAX_BRAND_TITLE_LENGTH),
+});
+
+/**
+ * Black or white, whichever reads better on a background color (by WCAG relative luminance).
+ * @param {string} hex - A '#rrggbb' color.
+ */
+export const readableTextColor = (hex) => {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return luminance > 0.179 ? '#000' : '#fff';
+};
+
+/**
+ * The preset a mode stands for. System mode follows the viewer's settings, and a request for more
+ * contrast wins over light and dark.
+ * @param {string} mode - One of THEME_MODES.
+ * @param {{prefersDark: boolean, prefersMoreContrast: boolean}} system
+ * @returns {string} A key of THEME_PRESETS.
+ */
+export const resolveThemeMode = (mode, { prefersDark, prefersMoreContrast }) => {
+    if (mode === THEME_MODES.SYSTEM) {
+        if (prefersMoreContrast) return THEME_MODES.CONTRAST;
+        return prefersDark ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+    }
+    return THEME_PRESETS[mode] ? mode : THEME_MODES.DARK;
+};
+
+/**
+ * All the custom properties for a preset with a brand theme applied.
+ * @param {string} preset - A key of THEME_PRESETS.
+ * @param {object} [brand] - A normalized brand theme.
+ * @returns {object} Property name to value.
+ */
+export const themeVariables = (preset, brand = DEFAULT_BRAND) => {
+    const variables = { ...THEME_PRESETS[preset] };
+    if (preset === THEME_MODES.CONTRAST || !brand.primary) return variables;
+
+    const secondary = brand.secondary || brand.primary;
+    variables['--button-bg'] = `linear-gradient(45deg, ${brand.primary}, ${secondary})`;
+    variables['--button-text'] = readableTextColor(brand.primary);
+    // 8-digit hex: the brand color at 70% opacity
+    variables['--button-glow'] = `${brand.primary}b3`;
+    return variables;
+};
+
+/**
+ * The properties as the body of a CSS rule, for App's stylesheet.
+ * @param {object} variables - From themeVariables.
+ */
+export const toCssDeclarations = (variables) => Object.entries(variables)
+    .map(([name, value]) => `${name}: ${value};`)
+    .join(' ');
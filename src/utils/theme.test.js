@@ -0,0 +1,35 @@
+import { resolveThemeMode, themeVariables, normalizeBrand, readableTextColor, toCssDeclarations, THEME_MODES, THEME_PRESETS } from './theme';
+
+test('follows the system setting in system mode and asks for more contrast first', () => {
+    expect(resolveThemeMode(THEME_MODES.SYSTEM, { prefersDark: true, prefersMoreContrast: false })).toBe(THEME_MODES.DARK);
+    expect(resolveThemeMode(THEME_MODES.SYSTEM, { prefersDark: false, prefersMoreContrast: false })).toBe(THEME_MODES.LIGHT);
+    expect(resolveThemeMode(THEME_MODES.SYSTEM, { prefersDark: false, prefersMoreContrast: true })).toBe(THEME_MODES.CONTRAST);
+    expect(resolveThemeMode(THEME_MODES.LIGHT, { prefersDark: true, prefersMoreContrast: true })).toBe(THEME_MODES.LIGHT);
+    expect(resolveThemeMode('sepia', { prefersDark: false, prefersMoreContrast: false })).toBe(THEME_MODES.DARK);
+});
+
+test('every preset sets the same properties', () => {
+    const names = Object.keys(THEME_PRESETS[THEME_MODES.DARK]).sort();
+    Object.values(THEME_PRESETS).forEach(preset => expect(Object.keys(preset).sort()).toEqual(names));
+});
+
+test('applies brand colors except in high contrast', () => {
+    const brand = normalizeBrand({ primary: '#FFCC00', secondary: '#ff6600' });
+    expect(themeVariables(THEME_MODES.LIGHT, brand)['--button-bg']).toBe('linear-gradient(45deg, #ffcc00, #ff6600)');
+    expect(themeVariables(THEME_MODES.LIGHT, brand)['--button-text']).toBe('#000');
+    expect(themeVariables(THEME_MODES.CONTRAST, brand)).toEqual(THEME_PRESETS[THEME_MODES.CONTRAST]);
+    expect(themeVariables(THEME_MODES.DARK)).toEqual(THEME_PRESETS[THEME_MODES.DARK]);
+});
+
+test('drops malformed brand fields', () => {
+    expect(normalizeBrand({ primary: 'red', secondary: '#12345', logoUrl: 'ftp://example.com/logo.png', title: '  Cup  ', extra: 1 }))
+        .toEqual({ primary: '', secondary: '', logoUrl: '', title: 'Cup' });
+    expect(normalizeBrand({ logoUrl: ' https://example.com/logo.png ' }).logoUrl).toBe('https://example.com/logo.png');
+    expect(normalizeBrand(null)).toEqual({ primary: '', secondary: '', logoUrl: '', title: '' });
+});
+
+test('picks readable text for a background', () => {
+    expect(readableTextColor('#ffffff')).toBe('#000');
+    expect(readableTextColor('#1a237e')).toBe('#fff');
+    expect(toCssDeclarations({ '--a': '1', 'color-scheme': 'dark' })).toBe('--a: 1; color-scheme: dark;');
+});